@@ -0,0 +1,290 @@
+const db = require('./db');
+const promptBuilder = require('./prompt-builder');
+const agentVersions = require('./agent-versions');
+
+/**
+ * Event-Bus fuer interAgentCommunication.
+ *
+ * Jedes Profil deklariert feedbackLoops ({ target, trigger, payload }) und
+ * receives ({ from, event, action }). Emittiert eine Conversation einen
+ * Trigger, bekommt jeder passende Ziel-Agent eine neue Conversation mit dem
+ * Payload als erster Nachricht. Jede Zustellung landet in agent_events; ueber
+ * parent_event_id laesst sich nachvollziehen, welcher Agent welchen ausgeloest hat.
+ *
+ * Ausnahme prompt_upgrade: Der Payload ({ systemInstructions, changeNote, baseVersion })
+ * wird beim Ziel-Agent als Profilversion vorgeschlagen und durchlaeuft danach
+ * proposed -> approved -> active wie ein Vorschlag ueber die API.
+ */
+
+// Maximale Kettenlaenge (A -> B -> C ...), verhindert Endlosschleifen zwischen Agents
+const MAX_EVENT_DEPTH = parseInt(process.env.MAX_EVENT_DEPTH || '3', 10);
+
+const PROMPT_UPGRADE_TRIGGER = 'prompt_upgrade';
+
+let getAgent = () => null;
+let runAgent = null;
+
+/**
+ * Zugriff auf die Agent-Registry und den Chat-Ablauf aus index.js setzen.
+ * @param {Object} hooks
+ * @param {Function} hooks.getAgent - (agentId) => agent | undefined
+ * @param {Function} hooks.runAgent - async (agent, conversationId, message, { variables }) => Ergebnis
+ */
+function configure(hooks) {
+  getAgent = hooks.getAgent;
+  runAgent = hooks.runAgent;
+}
+
+/**
+ * Deklarierte Trigger eines Agents.
+ * @returns {string[]}
+ */
+function getTriggers(agent) {
+  const loops = agent.interAgentCommunication?.feedbackLoops || [];
+  return Array.from(new Set(loops.map((l) => l.trigger).filter(Boolean)));
+}
+
+/**
+ * Erste Nachricht fuer den Ziel-Agent. Die action aus dessen receives-Eintrag
+ * (falls vorhanden) sagt ihm, was er mit dem Event tun soll.
+ */
+function buildEventMessage(event, targetAgent) {
+  const handler = (targetAgent.interAgentCommunication?.receives || []).find(
+    (r) => r.from === event.source_agent_id
+  );
+  const payload = typeof event.payload === 'string' ? event.payload : JSON.stringify(event.payload, null, 2);
+
+  return [
+    `[Agent event] ${event.trigger_name} from ${event.source_agent_id}`,
+    `Payload type: ${event.payload_type || 'unspecified'}`,
+    handler ? `Expected action: ${handler.action}` : null,
+    '',
+    payload || '(no payload)',
+  ].filter((line) => line !== null).join('\n');
+}
+
+/**
+ * Ziel-Agent bekommt eine neue Conversation mit dem Event als erster Nachricht.
+ */
+async function startEventConversation(event, target) {
+  // Objekt-Payloads fuellen gleichzeitig die Template-Variablen des Ziels
+  const variables = event.payload && typeof event.payload === 'object' && !Array.isArray(event.payload)
+    ? event.payload
+    : {};
+  const { missing } = promptBuilder.resolveTemplateVariables(target, {}, variables);
+  if (missing.length > 0) {
+    throw new Error(`Template-Variablen fehlen: ${missing.join(', ')}`);
+  }
+
+  const title = `${event.trigger_name} von ${event.source_agent_id}`;
+  const conversation = await db.createConversation(target.id, title, variables);
+  await db.updateAgentEvent(event.id, { targetConversationId: conversation.id });
+
+  await runAgent(target, conversation.id, buildEventMessage(event, target), { variables });
+}
+
+/**
+ * prompt_upgrade als neue Profilversion (status proposed) des Ziel-Agents vorschlagen.
+ * Aktiv wird sie erst nach approve und promote.
+ */
+async function proposePromptUpgrade(event, target) {
+  const { systemInstructions, changeNote, baseVersion } = event.payload || {};
+  if (typeof systemInstructions !== 'string' || systemInstructions.trim().length === 0) {
+    throw new Error('prompt_upgrade braucht payload.systemInstructions');
+  }
+  if (baseVersion !== undefined && !(Number.isInteger(baseVersion) && baseVersion > 0)) {
+    throw new Error('payload.baseVersion muss eine positive Ganzzahl sein');
+  }
+
+  const base = baseVersion !== undefined
+    ? await db.getAgentVersion(target.id, baseVersion)
+    : await db.getActiveAgentVersion(target.id);
+  if (!base) {
+    throw new Error(baseVersion !== undefined
+      ? `Version ${baseVersion} von '${target.id}' nicht gefunden`
+      : `'${target.id}' hat keine aktive Version`);
+  }
+  if (base.profile.systemInstructions === systemInstructions) {
+    throw new Error(`systemInstructions sind identisch mit Version ${base.version_number}`);
+  }
+
+  const version = await agentVersions.propose(base, {
+    systemInstructions,
+    changeNote: typeof changeNote === 'string' && changeNote ? changeNote : `prompt_upgrade (Event ${event.id})`,
+    proposedBy: event.source_agent_id,
+  });
+  console.log(`[Events] prompt_upgrade: ${target.id} Version ${version.version_number} vorgeschlagen (Basis ${base.version_number})`);
+}
+
+/**
+ * Event an den Ziel-Agent zustellen (laeuft im Hintergrund).
+ */
+async function deliver(event) {
+  const target = getAgent(event.target_agent_id);
+  try {
+    if (event.trigger_name === PROMPT_UPGRADE_TRIGGER) {
+      await proposePromptUpgrade(event, target);
+    } else {
+      await startEventConversation(event, target);
+    }
+    await db.updateAgentEvent(event.id, { status: 'delivered' });
+    console.log(`[Events] ${event.trigger_name}: ${event.source_agent_id} -> ${target.id} zugestellt`);
+  } catch (err) {
+    console.error(`[Events] Zustellung an ${event.target_agent_id} fehlgeschlagen:`, err.message);
+    await db.updateAgentEvent(event.id, { status: 'failed', error: err.message }).catch(() => {});
+  }
+}
+
+/**
+ * Trigger einer Conversation emittieren.
+ * Die Zustellung passiert asynchron, zurueck kommen die angelegten Events.
+ * @param {Object} sourceAgent - Agent aus der Registry
+ * @param {string} trigger - z.B. "call_completed"
+ * @param {Object} options - { payload, conversationId, target } - target: nur an diesen Agent statt an alle des Triggers
+ * @returns {Promise<Array>} Zeilen aus agent_events
+ */
+async function emit(sourceAgent, trigger, { payload, conversationId, target } = {}) {
+  const loops = (sourceAgent.interAgentCommunication?.feedbackLoops || [])
+    .filter((l) => l.trigger === trigger && (!target || l.target === target));
+  if (loops.length === 0) {
+    throw new Error(target
+      ? `Agent '${sourceAgent.id}' hat keinen feedbackLoop fuer Trigger '${trigger}' an '${target}'`
+      : `Agent '${sourceAgent.id}' hat keinen feedbackLoop fuer Trigger '${trigger}'`);
+  }
+
+  // Wurde diese Conversation selbst durch ein Event gestartet? Dann ist es Teil der Kette.
+  const parent = conversationId ? await db.getAgentEventByTargetConversation(conversationId) : null;
+  const depth = parent ? parent.depth + 1 : 0;
+
+  const events = [];
+  for (const loop of loops) {
+    let error = null;
+    if (depth >= MAX_EVENT_DEPTH) {
+      error = `Maximale Event-Kettenlaenge (${MAX_EVENT_DEPTH}) erreicht`;
+    } else if (!getAgent(loop.target)) {
+      error = `Ziel-Agent '${loop.target}' ist nicht geladen`;
+    }
+
+    const event = await db.createAgentEvent({
+      parentEventId: parent?.id,
+      sourceAgentId: sourceAgent.id,
+      sourceConversationId: conversationId,
+      triggerName: trigger,
+      targetAgentId: loop.target,
+      payloadType: loop.payload,
+      payload: payload ?? null,
+      depth,
+      status: error ? 'failed' : 'pending',
+      error,
+    });
+    events.push(event);
+
+    if (!error) {
+      setImmediate(() => deliver(event));
+    }
+  }
+
+  console.log(`[Events] ${sourceAgent.id} emittiert ${trigger} an ${loops.map((l) => l.target).join(', ')}`);
+  return events;
+}
+
+/**
+ * Event fuer API-Antworten aufbereiten.
+ */
+function formatEvent(row) {
+  return {
+    id: row.id,
+    parentEventId: row.parent_event_id,
+    sourceAgentId: row.source_agent_id,
+    sourceConversationId: row.source_conversation_id,
+    trigger: row.trigger_name,
+    targetAgentId: row.target_agent_id,
+    targetConversationId: row.target_conversation_id,
+    payloadType: row.payload_type,
+    payload: row.payload,
+    status: row.status,
+    error: row.error,
+    depth: row.depth,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at,
+  };
+}
+
+// --- Tool fuer den Agent selbst ---
+
+/**
+ * Tool-Definition mit den Triggern, die der Agent laut Profil senden darf.
+ * @param {string[]} triggers
+ * @returns {Object} Tool-Definition im Ollama-Format
+ */
+function buildEmitTool(triggers) {
+  const payloadHint = triggers.includes(PROMPT_UPGRADE_TRIGGER)
+    ? '. For prompt_upgrade: { systemInstructions, changeNote, baseVersion } - proposed as a new profile version of the target, set target'
+    : '';
+  return {
+    type: 'function',
+    function: {
+      name: 'agent_emit_event',
+      description: 'Notify the agents that subscribed to one of your triggers (interAgentCommunication). ' +
+        'Each target agent receives the payload in a new conversation.',
+      parameters: {
+        type: 'object',
+        properties: {
+          trigger: {
+            type: 'string',
+            enum: triggers,
+            description: 'Trigger to emit'
+          },
+          payload: {
+            type: 'object',
+            description: `Event data for the target agents (e.g. summary, outcome, transcript)${payloadHint}`
+          },
+          target: {
+            type: 'string',
+            description: 'Only notify this agent instead of every agent subscribed to the trigger'
+          }
+        },
+        required: ['trigger']
+      }
+    }
+  };
+}
+
+/**
+ * Event-Tool ausfuehren.
+ * @param {string} name - Tool-Name
+ * @param {Object} args - { trigger, payload, target }
+ * @param {Object} context - { agent, conversationId }
+ */
+async function executeFunction(name, args, context) {
+  if (name !== 'agent_emit_event') {
+    return { error: `Unknown function: ${name}` };
+  }
+  if (!context?.agent) {
+    return { error: 'Event tools require an agent context' };
+  }
+
+  try {
+    const events = await emit(context.agent, args.trigger, {
+      payload: args.payload,
+      conversationId: context.conversationId,
+      target: args.target,
+    });
+    return {
+      emitted: events.map((e) => ({ id: e.id, target: e.target_agent_id, status: e.status, error: e.error })),
+    };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+module.exports = {
+  MAX_EVENT_DEPTH,
+  PROMPT_UPGRADE_TRIGGER,
+  configure,
+  getTriggers,
+  emit,
+  formatEvent,
+  buildEmitTool,
+  executeFunction,
+};
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const agentVersions = require('./agent-versions');
+const schemas = require('./schema-registry');
+const voicePolicies = require('./voice-policies');
+const toolRegistry = require('./tool-registry');
+
+/**
+ * Agent-Profile aus dem Agent-Verzeichnis lesen und mit dem geladenen Stand
+ * vergleichen.
+ *
+ * Beim Start und bei jedem Reload (Datei-Watcher oder POST /api/agents/reload)
+ * wird das ganze Verzeichnis neu eingelesen. Pro Datei entsteht ein Eintrag im
+ * Report: added, changed, unchanged, failed oder removed. Eine fehlerhafte
+ * Datei ersetzt kein funktionierendes Profil - der alte Stand bleibt geladen.
+ *
+ * Jede Datei wird gegen data/agent-profile.schema.json geprueft (Fehler, Datei
+ * wird nicht geladen). Verweise ueber Dateigrenzen hinweg - Ziele der
+ * interAgentCommunication, outputSchemaRef, voicePolicyRef, allowedTools -
+ * werden als Warnungen gemeldet; das Profil wird trotzdem geladen.
+ */
+
+const AGENT_DIR = process.env.AGENT_DIR || '/agents';
+const HOT_RELOAD = process.env.AGENT_HOT_RELOAD !== 'false';
+
+// Editoren schreiben oft in mehreren Schritten (temp-Datei, rename) - erst nach Ruhe neu laden
+const WATCH_DEBOUNCE_MS = 500;
+
+const PROFILE_SCHEMA = JSON.parse(
+  fs.readFileSync(path.join(__dirname, 'data', 'agent-profile.schema.json'), 'utf-8')
+);
+
+// Reserviertes Ziel in interAgentCommunication: Nachricht an alle Agents
+const BROADCAST_TARGET = 'all_agents';
+
+/**
+ * Profil gegen das Profil-Schema pruefen.
+ * @returns {string[]} Fehlermeldungen, leer wenn gueltig
+ */
+function validateProfile(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['Profil muss ein JSON-Objekt sein'];
+  }
+  return schemas.validate(PROFILE_SCHEMA, config);
+}
+
+/**
+ * Verweise eines Profils pruefen, die erst mit allen Agents aufloesbar sind.
+ * @param {Object} config - Gueltiges Profil
+ * @param {Set} knownIds - ids aller Agents, auf die verwiesen werden darf
+ * @returns {string[]} Warnungen
+ */
+function checkProfileReferences(config, knownIds) {
+  const warnings = [];
+  const knownAgent = (id) => id === BROADCAST_TARGET || knownIds.has(id);
+  const links = config.interAgentCommunication || {};
+
+  (links.feedbackLoops || []).forEach((loop, i) => {
+    if (!knownAgent(loop.target)) {
+      warnings.push(`interAgentCommunication.feedbackLoops[${i}].target: Agent '${loop.target}' existiert nicht`);
+    }
+  });
+  (links.receives || []).forEach((rule, i) => {
+    if (!knownAgent(rule.from)) {
+      warnings.push(`interAgentCommunication.receives[${i}].from: Agent '${rule.from}' existiert nicht`);
+    }
+  });
+  if (config.outputSchemaRef && !schemas.getSchema(config.outputSchemaRef)) {
+    warnings.push(`outputSchemaRef: Schema '${config.outputSchemaRef}' nicht gefunden`);
+  }
+  if (config.voicePolicyRef && !voicePolicies.getVoicePolicy(config.voicePolicyRef)) {
+    warnings.push(`voicePolicyRef: Policy '${config.voicePolicyRef}' nicht gefunden`);
+  }
+  (config.lettaConfig?.allowedTools || []).forEach((tool, i) => {
+    if (!toolRegistry.isKnownEntry(tool)) {
+      warnings.push(`lettaConfig.allowedTools[${i}]: unbekanntes Tool '${tool}'`);
+    }
+  });
+  return warnings;
+}
+
+/**
+ * Profil-Dateien lesen und pruefen (Schema, doppelte ids, Verweise).
+ * @param {string[]} files - Absolute Pfade
+ * @returns {Array} [{ file, config, hash, errors, warnings }]; file ist der Dateiname
+ */
+function readFiles(files) {
+  const seen = new Map();
+  const entries = files.map((filePath) => {
+    const file = path.basename(filePath);
+    try {
+      const config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      const errors = validateProfile(config);
+      if (errors.length === 0) {
+        if (seen.has(config.id)) {
+          errors.push(`id '${config.id}' ist bereits in ${seen.get(config.id)} definiert`);
+        } else {
+          seen.set(config.id, file);
+        }
+      }
+      return { file, config, hash: agentVersions.hashProfile(config), errors, warnings: [] };
+    } catch (err) {
+      return { file, config: null, hash: null, errors: [err.message], warnings: [] };
+    }
+  });
+  const ids = new Set(seen.keys());
+  for (const entry of entries) {
+    if (entry.errors.length === 0) entry.warnings = checkProfileReferences(entry.config, ids);
+  }
+  return entries;
+}
+
+/**
+ * Alle *.json im Agent-Verzeichnis lesen und pruefen.
+ * @param {string} dir - Verzeichnis, Standard AGENT_DIR
+ * @returns {Array|null} [{ file, config, hash, errors, warnings }] oder null, wenn das Verzeichnis fehlt
+ */
+function readAgentDir(dir = AGENT_DIR) {
+  if (!fs.existsSync(dir)) return null;
+
+  const files = fs.readdirSync(dir)
+    .filter((f) => f.endsWith('.json'))
+    .sort()
+    .map((f) => path.join(dir, f));
+  return readFiles(files);
+}
+
+/**
+ * Eingelesene Dateien mit dem geladenen Stand vergleichen.
+ * @param {Map} loaded - agentId -> { file, hash } (aktuell geladene Profile)
+ * @param {Array} entries - Ergebnis von readAgentDir()
+ * @param {Set} reserved - ids, die schon anderweitig vergeben sind (ueber die API angelegte Agents)
+ * @returns {Object} { report, upserts: [{ file, config, hash }], removals: [agentId] }
+ */
+function planReload(loaded, entries, reserved = new Set()) {
+  const report = [];
+  const upserts = [];
+  const seen = new Set();
+
+  for (const entry of entries) {
+    const agentId = entry.config?.id;
+
+    if (entry.errors.length === 0 && reserved.has(agentId)) {
+      entry.errors.push(`id '${agentId}' ist bereits als gespeicherter Agent (API) angelegt`);
+    }
+
+    if (entry.errors.length === 0 && seen.has(agentId)) {
+      // id gehoert noch zu einem alten Stand, der wegen eines Fehlers aktiv geblieben ist
+      entry.errors.push(`id '${agentId}' ist bereits in einer anderen Datei definiert`);
+    }
+    if (entry.errors.length > 0) {
+      // Gleiche Datei war vorher gueltig geladen? Dann bleibt dieses Profil aktiv.
+      const previous = Array.from(loaded.entries()).find(([, p]) => p.file === entry.file);
+      if (previous) seen.add(previous[0]);
+      report.push({
+        file: entry.file,
+        agentId: previous?.[0] || (typeof agentId === 'string' ? agentId : null),
+        status: 'failed',
+        errors: entry.errors,
+        kept: Boolean(previous),
+      });
+      continue;
+    }
+
+    seen.add(agentId);
+    const current = loaded.get(agentId);
+    let status = 'unchanged';
+    if (!current) status = 'added';
+    else if (current.hash !== entry.hash || current.file !== entry.file) status = 'changed';
+
+    if (status !== 'unchanged') upserts.push(entry);
+    report.push({
+      file: entry.file,
+      agentId,
+      status,
+      ...(entry.warnings.length > 0 ? { warnings: entry.warnings } : {}),
+    });
+  }
+
+  const removals = [];
+  for (const [agentId, profile] of loaded) {
+    if (!seen.has(agentId)) {
+      removals.push(agentId);
+      report.push({ file: profile.file, agentId, status: 'removed' });
+    }
+  }
+
+  return { report, upserts, removals };
+}
+
+/**
+ * Report zusammenfassen: Anzahl pro Status.
+ */
+function summarize(report) {
+  const summary = { added: 0, changed: 0, unchanged: 0, removed: 0, failed: 0 };
+  for (const entry of report) summary[entry.status]++;
+  return summary;
+}
+
+/**
+ * Agent-Verzeichnis beobachten und onChange (entprellt) aufrufen.
+ * @param {Function} onChange - async () => void
+ * @returns {fs.FSWatcher|null}
+ */
+function watchAgentDir(onChange) {
+  if (!HOT_RELOAD) return null;
+  if (!fs.existsSync(AGENT_DIR)) {
+    console.warn(`[Agents] ${AGENT_DIR} existiert nicht, Hot-Reload deaktiviert`);
+    return null;
+  }
+
+  let timer = null;
+  try {
+    const watcher = fs.watch(AGENT_DIR, { persistent: false }, (eventType, filename) => {
+      if (filename && !filename.endsWith('.json')) return;
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        Promise.resolve(onChange()).catch((err) => {
+          console.error('[Agents] Hot-Reload fehlgeschlagen:', err.message);
+        });
+      }, WATCH_DEBOUNCE_MS);
+    });
+    watcher.on('error', (err) => console.error('[Agents] Watcher-Fehler:', err.message));
+    console.log(`[Agents] Hot-Reload aktiv fuer ${AGENT_DIR}`);
+    return watcher;
+  } catch (err) {
+    console.warn('[Agents] Hot-Reload nicht verfuegbar:', err.message);
+    return null;
+  }
+}
+
+module.exports = {
+  AGENT_DIR,
+  validateProfile,
+  checkProfileReferences,
+  readFiles,
+  readAgentDir,
+  planReload,
+  summarize,
+  watchAgentDir,
+};
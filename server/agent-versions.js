@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const db = require('./db');
+
+/**
+ * Versionierte Agent-Profile.
+ *
+ * Die JSON-Dateien in /agents sind der Seed: Beim Start wird jede neue oder
+ * geaenderte Datei als Version gespeichert und aktiv geschaltet. Aenderungen
+ * an systemInstructions kommen als Vorschlag ueber die API (z.B. aus der
+ * Prompt-Upgrade-Pipeline) und durchlaufen proposed -> approved -> active.
+ * Eine abgeloeste Version (superseded) kann per Rollback wieder aktiv werden.
+ */
+
+// Ab dieser Groesse (Zeilen alt x neu) kein LCS-Diff mehr, nur ganzer Austausch
+const MAX_DIFF_CELLS = 4000000;
+const DIFF_CONTEXT = 3;
+
+function hashProfile(profile) {
+  return crypto.createHash('sha256').update(JSON.stringify(profile)).digest('hex');
+}
+
+/**
+ * Profile aller geladenen Agents als Versionen uebernehmen.
+ * @param {Map} sources - agentId -> Profil aus der JSON-Datei
+ * @returns {Promise<Map>} agentId -> aktive Version
+ */
+async function seedFromFiles(sources) {
+  const active = new Map();
+  for (const [agentId, profile] of sources) {
+    try {
+      active.set(agentId, await db.seedAgentVersion(agentId, profile, hashProfile(profile)));
+    } catch (err) {
+      console.error(`[Versions] Seed fuer ${agentId} fehlgeschlagen:`, err.message);
+    }
+  }
+  return active;
+}
+
+/**
+ * Neues Profil aus der Basisversion mit geaenderten systemInstructions.
+ * @param {Object} base - Version, auf der der Vorschlag aufbaut
+ * @param {Object} changes - { systemInstructions, changeNote, proposedBy }
+ * @returns {Promise<Object>} Neue Version (status 'proposed')
+ */
+async function propose(base, { systemInstructions, changeNote, proposedBy }) {
+  const profile = { ...base.profile, systemInstructions };
+  return db.createAgentVersion({
+    agentId: base.agent_id,
+    profile,
+    profileHash: hashProfile(profile),
+    baseVersion: base.version_number,
+    changeNote,
+    proposedBy,
+  });
+}
+
+// --- Diff ---
+
+/**
+ * Zeilen-Diff (LCS).
+ * @returns {Array} [{ op: ' '|'-'|'+', text, oldLine, newLine }]
+ */
+function diffLines(oldText, newText) {
+  const a = (oldText || '').split('\n');
+  const b = (newText || '').split('\n');
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map((text, i) => ({ op: '-', text, oldLine: i + 1 })),
+      ...b.map((text, i) => ({ op: '+', text, newLine: i + 1 })),
+    ];
+  }
+
+  // lcs[i][j] = Laenge der gemeinsamen Teilfolge von a[i..] und b[j..]
+  const width = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ op: ' ', text: a[i], oldLine: i + 1, newLine: j + 1 });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+      lines.push({ op: '-', text: a[i], oldLine: i + 1 });
+      i++;
+    } else {
+      lines.push({ op: '+', text: b[j], newLine: j + 1 });
+      j++;
+    }
+  }
+  return lines;
+}
+
+/**
+ * Diff in Hunks mit Kontextzeilen zerlegen (wie unified diff).
+ */
+function toHunks(lines) {
+  const changes = [];
+  lines.forEach((line, index) => {
+    if (line.op !== ' ') changes.push(index);
+  });
+
+  // Aenderungen zusammenfassen, deren Kontext sich ueberschneidet
+  const ranges = [];
+  for (const index of changes) {
+    const last = ranges[ranges.length - 1];
+    if (last && index - last.to <= DIFF_CONTEXT * 2) {
+      last.to = index;
+    } else {
+      ranges.push({ from: index, to: index });
+    }
+  }
+
+  return ranges.map(({ from, to }) => {
+    const start = Math.max(from - DIFF_CONTEXT, 0);
+    const before = lines.slice(0, start);
+    return {
+      oldStart: before.filter((l) => l.op !== '+').length + 1,
+      newStart: before.filter((l) => l.op !== '-').length + 1,
+      lines: lines.slice(start, to + DIFF_CONTEXT + 1).map((l) => `${l.op}${l.text}`),
+    };
+  });
+}
+
+/**
+ * systemInstructions zweier Versionen vergleichen.
+ * @param {Object} from - Aeltere Version
+ * @param {Object} to - Neuere Version
+ * @returns {Object} { from, to, added, removed, hunks }
+ */
+function diffVersions(from, to) {
+  const lines = diffLines(from.profile.systemInstructions, to.profile.systemInstructions);
+  return {
+    from: from.version_number,
+    to: to.version_number,
+    added: lines.filter((l) => l.op === '+').length,
+    removed: lines.filter((l) => l.op === '-').length,
+    hunks: toHunks(lines),
+  };
+}
+
+/**
+ * Version fuer API-Antworten aufbereiten.
+ * @param {Object} row - Zeile aus agent_profile_versions
+ * @param {Object} options - { includeProfile: komplettes Profil statt nur Kennzahlen }
+ */
+function formatVersion(row, { includeProfile = false } = {}) {
+  const instructions = row.profile?.systemInstructions || '';
+  return {
+    id: row.id,
+    agentId: row.agent_id,
+    version: row.version_number,
+    status: row.status,
+    source: row.source,
+    baseVersion: row.base_version,
+    changeNote: row.change_note,
+    proposedBy: row.proposed_by,
+    reviewedBy: row.reviewed_by,
+    reviewNote: row.review_note,
+    createdAt: row.created_at,
+    reviewedAt: row.reviewed_at,
+    promotedAt: row.promoted_at,
+    conversations: row.conversation_count !== undefined ? Number(row.conversation_count) : undefined,
+    systemInstructionsLength: instructions.length,
+    profileHash: row.profile_hash,
+    ...(includeProfile ? { profile: row.profile } : {}),
+  };
+}
+
+module.exports = {
+  hashProfile,
+  seedFromFiles,
+  propose,
+  diffLines,
+  diffVersions,
+  formatVersion,
+};
@@ -0,0 +1,111 @@
+const db = require('./db');
+
+/**
+ * Menschliche Freigabe fuer schreibende Tool-Calls.
+ *
+ * Der Tool-Loop legt pro Write-Call einen Eintrag in tool_approvals an und
+ * wartet, bis POST /api/approvals/:id entscheidet (oder das Timeout greift bzw.
+ * die Generierung abgebrochen wird). Die wartenden Loops liegen nur im Speicher
+ * dieses Prozesses.
+ */
+
+const APPROVAL_TIMEOUT_MS = parseInt(process.env.APPROVAL_TIMEOUT_MS || '600000', 10);
+
+// approvalId -> settle(decision)
+const waiting = new Map();
+
+/**
+ * Freigabe anlegen und auf die Entscheidung warten.
+ * @param {Object} request - { agentId, conversationId, toolCall }
+ * @param {Function} onCreated - Wird mit dem neuen Eintrag aufgerufen (z.B. SSE an das UI)
+ * @param {AbortSignal} signal - Optional; Abbruch der Generierung beendet das Warten als expired
+ * @returns {Promise<Object>} { id, status: 'approved'|'denied'|'expired', reason }
+ */
+async function requestApproval({ agentId, conversationId, toolCall }, onCreated = () => {}, signal) {
+  const approval = await db.createToolApproval({
+    agentId,
+    conversationId,
+    toolCallId: toolCall.id,
+    toolName: toolCall.function?.name,
+    toolArguments: toolCall.function?.arguments,
+  });
+  console.log(`[Approvals] ${approval.tool_name} wartet auf Freigabe (${approval.id})`);
+
+  const decision = new Promise((resolve) => {
+    let settled = false;
+    let expiring = false;
+    const onAbort = () => expire('Generierung abgebrochen');
+    const timer = setTimeout(() => expire('Timeout'), APPROVAL_TIMEOUT_MS);
+    function settle(result) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      waiting.delete(approval.id);
+      resolve(result);
+    }
+    // Erst speichern, dann aufloesen: kam POST /api/approvals/:id zuvor, gilt dessen Entscheidung
+    async function expire(reason) {
+      if (settled || expiring) return;
+      expiring = true;
+      try {
+        const row = await db.decideToolApproval(approval.id, 'expired', reason);
+        const stored = row || await db.getToolApproval(approval.id);
+        settle({ status: stored.status, reason: stored.reason });
+      } catch (err) {
+        console.error(`[Approvals] Ablauf von ${approval.id} nicht gespeichert:`, err.message);
+        settle({ status: 'expired', reason });
+      }
+    }
+    waiting.set(approval.id, settle);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    if (signal?.aborted) onAbort();
+  });
+  onCreated(approval);
+
+  const { status, reason } = await decision;
+  console.log(`[Approvals] ${approval.tool_name}: ${status}`);
+  return { id: approval.id, status, reason };
+}
+
+/**
+ * Offene Freigabe entscheiden und den wartenden Tool-Loop fortsetzen.
+ * @param {string} approvalId
+ * @param {boolean} approve
+ * @param {string} reason - Optionale Begruendung
+ * @returns {Promise<Object|null>} Aktualisierter Eintrag oder null wenn nicht mehr offen
+ */
+async function decide(approvalId, approve, reason) {
+  const status = approve ? 'approved' : 'denied';
+  const row = await db.decideToolApproval(approvalId, status, reason);
+  if (!row) return null;
+
+  const settle = waiting.get(approvalId);
+  if (settle) settle({ status, reason: row.reason });
+  return row;
+}
+
+/**
+ * Eintrag fuer API und SSE aufbereiten.
+ */
+function formatApproval(row) {
+  return {
+    id: row.id,
+    conversationId: row.conversation_id,
+    agentId: row.agent_id,
+    toolCallId: row.tool_call_id,
+    tool: row.tool_name,
+    arguments: row.arguments,
+    status: row.status,
+    reason: row.reason,
+    createdAt: row.created_at,
+    decidedAt: row.decided_at,
+  };
+}
+
+module.exports = {
+  APPROVAL_TIMEOUT_MS,
+  requestApproval,
+  decide,
+  formatApproval,
+};
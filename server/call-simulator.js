@@ -0,0 +1,367 @@
+const db = require('./db');
+const providers = require('./provider-registry');
+const voicePolicies = require('./voice-policies');
+
+/**
+ * Call-Simulation fuer die Voice-Agents (sales, inbound, campaigns, mvp).
+ *
+ * Eine Caller-Persona spricht Turn fuer Turn mit einem Call-Agent. Die Persona
+ * ist entweder ein Skript (feste Caller-Turns) oder ein LLM mit Beschreibung und
+ * Ziel. Stille, Unterbrechungen und DNC-Wuensche lassen sich im Skript als
+ * eigene Turn-Typen oder per behavior (Turn-Nummern) fuer beide Varianten setzen.
+ *
+ * Jeder Agent-Turn laeuft ueber den normalen Chat-Ablauf (inkl. outputSchemaRef)
+ * und wird gegen die Voice-Regeln geprueft: max. 2 Saetze, eine Frage. Ergebnis
+ * ist das Transkript, die finale Disposition und die Auswertung der Checks.
+ */
+
+const DEFAULT_MAX_TURNS = 12;
+const MAX_TURNS_LIMIT = 40;
+
+// "max 2 sentences, one question" aus den Call-Profilen
+const DEFAULT_VOICE_RULES = { maxSentences: 2, maxQuestions: 1 };
+
+const TERMINAL_STATES = ['COMPLETED', 'FAILED', 'ESCALATED'];
+
+// Marker, die der Agent statt gesprochenem Text bekommt
+const CALL_CONNECTED = '[call connected]';
+const SILENCE = '[silence]';
+
+const DNC_PHRASES = {
+  de: 'Bitte rufen Sie mich nicht mehr an.',
+  en: 'Please do not call me again.',
+  fr: 'Merci de ne plus m\'appeler.',
+  it: 'Per favore non mi chiami piu.',
+  pl: 'Prosze do mnie wiecej nie dzwonic.',
+};
+
+let runAgent = null;
+
+/**
+ * Chat-Ablauf aus index.js setzen.
+ * @param {Object} hooks
+ * @param {Function} hooks.runAgent - async (agent, conversationId, message, { variables }) => Ergebnis von runChatTurn
+ */
+function configure(hooks) {
+  runAgent = hooks.runAgent;
+}
+
+// --- Voice-Regeln ---
+
+function countSentences(text) {
+  return text.split(/[.!?…]+(?=\s|$)/).filter((part) => part.trim().length > 0).length;
+}
+
+function countQuestions(text) {
+  return (text.match(/\?+/g) || []).length;
+}
+
+/**
+ * Gesprochenen Text eines Agent-Turns gegen die Voice-Regeln pruefen.
+ * @param {string} text - reply_text bzw. Antworttext
+ * @param {Object} rules - { maxSentences, maxQuestions }
+ * @returns {Object} { sentences, questions, maxSentences: bool, oneQuestion: bool }
+ */
+function checkVoiceRules(text, rules = DEFAULT_VOICE_RULES) {
+  const sentences = countSentences(text || '');
+  const questions = countQuestions(text || '');
+  return {
+    sentences,
+    questions,
+    maxSentences: sentences <= rules.maxSentences,
+    oneQuestion: questions <= rules.maxQuestions,
+  };
+}
+
+/**
+ * Auswertung ueber alle Agent-Turns.
+ * @returns {Object} Checks mit bestandenen/fehlgeschlagenen Turns und passed
+ */
+function summarizeChecks(transcript, rules) {
+  const agentTurns = transcript.filter((t) => t.speaker === 'agent');
+  const failedTurns = (key) => agentTurns.filter((t) => !t.checks[key]).map((t) => t.turn);
+
+  const checks = {
+    maxSentences: { limit: rules.maxSentences, failedTurns: failedTurns('maxSentences') },
+    oneQuestion: { limit: rules.maxQuestions, failedTurns: failedTurns('oneQuestion') },
+    validOutput: {
+      failedTurns: agentTurns.filter((t) => t.structuredOutput && !t.structuredOutput.valid).map((t) => t.turn),
+    },
+  };
+
+  // DNC muss im direkt folgenden Agent-Turn mit disposition "dnc" beendet werden
+  const dncTurn = transcript.find((t) => t.speaker === 'caller' && t.type === 'dnc');
+  if (dncTurn) {
+    const answer = agentTurns.find((t) => t.turn > dncTurn.turn);
+    checks.dncHonored = {
+      requestedAtTurn: dncTurn.turn,
+      passed: Boolean(answer && answer.disposition === 'dnc' && TERMINAL_STATES.includes(answer.nextState)),
+    };
+  }
+
+  for (const check of Object.values(checks)) {
+    if (check.failedTurns) check.passed = check.failedTurns.length === 0;
+  }
+  checks.passed = Object.values(checks).every((c) => c.passed);
+  checks.agentTurns = agentTurns.length;
+  return checks;
+}
+
+// --- Caller-Persona ---
+
+/**
+ * Naechsten Caller-Turn aus dem Skript lesen.
+ * Eintraege: "Text" | { type: 'say'|'silence'|'interrupt'|'dnc', text }
+ */
+function scriptedTurn(persona, index) {
+  const entry = persona.turns?.[index];
+  if (entry === undefined) return null;
+  return typeof entry === 'string' ? { type: 'say', text: entry } : { type: entry.type || 'say', text: entry.text };
+}
+
+/**
+ * Ueberschreibung durch behavior (1-basierte Caller-Turn-Nummern).
+ */
+function behaviorTurn(behavior = {}, callerTurn) {
+  if (behavior.dncAt === callerTurn) return { type: 'dnc' };
+  if ((behavior.silenceAt || []).includes(callerTurn)) return { type: 'silence' };
+  if ((behavior.interruptAt || []).includes(callerTurn)) return { type: 'interrupt' };
+  return null;
+}
+
+function buildPersonaPrompt(persona) {
+  return [
+    'You are role-playing a person who receives or makes a phone call. Stay in character.',
+    `Persona: ${persona.description || 'an ordinary private person'}`,
+    persona.goal ? `Your goal in this call: ${persona.goal}` : null,
+    `Speak ${persona.language || 'de'} only. Reply with one short spoken utterance, no stage directions, no JSON.`,
+    'Reply with exactly [hangup] when you would end the call.',
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Text fuer einen LLM-Caller-Turn erzeugen. Aus Sicht der Persona sind die
+ * Agent-Saetze "user" und die eigenen Saetze "assistant".
+ */
+async function generateCallerText(persona, transcript) {
+  const selection = await providers.selectModel(
+    { modelPreferences: { defaultModel: persona.model || '' } },
+    { temperature: persona.temperature ?? 0.8, maxTokens: 200 }
+  );
+  const messages = [
+    { role: 'system', content: buildPersonaPrompt(persona) },
+    ...transcript
+      .filter((t) => t.text)
+      .map((t) => ({ role: t.speaker === 'agent' ? 'user' : 'assistant', content: t.text })),
+  ];
+  if (messages[messages.length - 1].role !== 'user') {
+    messages.push({ role: 'user', content: '...' });
+  }
+  const response = await selection.provider.chat(selection.model, messages, selection.options);
+  return (response.message?.content || '').trim();
+}
+
+/**
+ * Naechsten Caller-Turn bestimmen (null = Persona legt auf / Skript zu Ende).
+ * @returns {Promise<Object|null>} { type, text }
+ */
+async function nextCallerTurn(persona, behavior, callerTurn, transcript) {
+  const scripted = persona.type === 'scripted' ? scriptedTurn(persona, callerTurn - 1) : null;
+  if (persona.type === 'scripted' && !scripted) return null;
+
+  const turn = behaviorTurn(behavior, callerTurn) || scripted || { type: 'say' };
+  const language = persona.language || 'de';
+
+  if (turn.type === 'silence') return { type: 'silence', text: '' };
+  if (turn.type === 'dnc') return { type: 'dnc', text: turn.text || DNC_PHRASES[language] || DNC_PHRASES.de };
+
+  const text = turn.text || await generateCallerText(persona, transcript);
+  if (!text || text === '[hangup]') return null;
+  return { type: turn.type, text };
+}
+
+/**
+ * Nachricht an den Agent: Stille und Unterbrechungen als Marker, damit die
+ * Regeln der Profile (z.B. "silent twice") greifen koennen.
+ */
+function toAgentMessage(callerTurn, interruptedReply) {
+  if (callerTurn.type === 'silence') return SILENCE;
+  if (callerTurn.type === 'interrupt') {
+    const heard = interruptedReply ? interruptedReply.split(/\s+/).slice(0, 6).join(' ') : '';
+    return `[caller interrupts${heard ? ` after "${heard}"` : ''}] ${callerTurn.text}`;
+  }
+  return callerTurn.text;
+}
+
+// --- Ablauf ---
+
+/**
+ * Konfiguration pruefen und normalisieren.
+ * Regeln: Default < Voice-Policy des Agents (voicePolicyRef) < rules aus dem Body.
+ * @param {Object} body - { persona, behavior, maxTurns, opening, rules, variables }
+ * @param {Object} agent - Call-Agent aus der Registry
+ * @returns {Object} { config } oder { error }
+ */
+function normalizeConfig(body = {}, agent = {}) {
+  const { persona, behavior = {}, opening = 'agent', rules = {}, variables = {} } = body;
+  if (!persona || !['scripted', 'llm'].includes(persona.type)) {
+    return { error: 'Feld "persona.type" muss "scripted" oder "llm" sein' };
+  }
+  if (persona.type === 'scripted' && (!Array.isArray(persona.turns) || persona.turns.length === 0)) {
+    return { error: 'Skript-Persona braucht "persona.turns" (Array)' };
+  }
+  if (!['agent', 'caller'].includes(opening)) {
+    return { error: 'Feld "opening" muss "agent" oder "caller" sein' };
+  }
+  const maxTurns = Math.min(parseInt(body.maxTurns || DEFAULT_MAX_TURNS, 10) || DEFAULT_MAX_TURNS, MAX_TURNS_LIMIT);
+
+  return {
+    config: {
+      persona,
+      behavior,
+      opening,
+      maxTurns,
+      rules: { ...DEFAULT_VOICE_RULES, ...voicePolicies.getVoicePolicy(agent.voicePolicyRef)?.rules, ...rules },
+      variables,
+    },
+  };
+}
+
+/**
+ * Simulation ausfuehren und das Ergebnis in call_simulations schreiben.
+ * @param {Object} agent - Call-Agent aus der Registry
+ * @param {Object} simulation - Zeile aus call_simulations (mit conversation_id)
+ * @param {Object} config - Ergebnis von normalizeConfig()
+ */
+async function run(agent, simulation, config) {
+  const { persona, behavior, opening, maxTurns, rules, variables } = config;
+  const transcript = [];
+  let turn = 0;
+  let callerTurns = 0;
+  let disposition = null;
+  let endReason = 'max_turns';
+  let lastReply = '';
+
+  const recordCaller = (callerTurn) => {
+    turn++;
+    transcript.push({ turn, speaker: 'caller', type: callerTurn.type, text: callerTurn.text });
+    if (callerTurn.type === 'interrupt') {
+      const previous = [...transcript].reverse().find((t) => t.speaker === 'agent');
+      if (previous) previous.interrupted = true;
+    }
+  };
+
+  try {
+    let agentInput = CALL_CONNECTED;
+    if (opening === 'caller') {
+      const first = await nextCallerTurn(persona, behavior, ++callerTurns, transcript);
+      if (!first) throw new Error('Persona hat keinen ersten Caller-Turn');
+      recordCaller(first);
+      agentInput = toAgentMessage(first, '');
+    }
+
+    while (turn < maxTurns) {
+      const { response, meta } = await runAgent(agent, simulation.conversation_id, agentInput, { variables });
+      const output = meta.structuredOutput;
+      const data = output?.valid ? output.data : null;
+      // Gesprochen wird reply_text; ohne gueltige strukturierte Ausgabe der ganze Text
+      const spoken = data ? (data.reply_text || '') : response;
+
+      turn++;
+      transcript.push({
+        turn,
+        speaker: 'agent',
+        text: spoken,
+        nextState: data?.next_state || null,
+        disposition: data?.disposition || null,
+        structuredOutput: output ? { valid: output.valid, errors: output.errors, attempts: output.attempts } : null,
+        checks: checkVoiceRules(spoken, rules),
+      });
+      disposition = data?.disposition || disposition;
+      lastReply = spoken;
+
+      if (data && TERMINAL_STATES.includes(data.next_state)) {
+        endReason = 'agent_ended';
+        break;
+      }
+      if (turn >= maxTurns) break;
+
+      const callerTurn = await nextCallerTurn(persona, behavior, ++callerTurns, transcript);
+      if (!callerTurn) {
+        endReason = persona.type === 'scripted' ? 'script_ended' : 'caller_hung_up';
+        break;
+      }
+      recordCaller(callerTurn);
+      agentInput = toAgentMessage(callerTurn, lastReply);
+    }
+
+    const checks = summarizeChecks(transcript, rules);
+    console.log(`[Simulation] ${agent.id}: ${turn} Turns, ${endReason}, Disposition ${disposition || '-'}, Checks ${checks.passed ? 'ok' : 'fehlgeschlagen'}`);
+    return db.updateCallSimulation(simulation.id, {
+      status: 'completed',
+      endReason,
+      transcript,
+      disposition,
+      checks,
+    });
+  } catch (err) {
+    console.error(`[Simulation] ${agent.id} abgebrochen:`, err.message);
+    return db.updateCallSimulation(simulation.id, {
+      status: 'failed',
+      endReason: 'error',
+      transcript,
+      disposition,
+      checks: summarizeChecks(transcript, rules),
+      error: err.message,
+    });
+  }
+}
+
+/**
+ * Simulation anlegen (eigene Conversation) und im Hintergrund starten.
+ * @param {Object} agent - Call-Agent aus der Registry
+ * @param {Object} config - Ergebnis von normalizeConfig()
+ * @returns {Promise<Object>} Zeile aus call_simulations (status 'running')
+ */
+async function start(agent, config) {
+  const label = config.persona.name || config.persona.type;
+  const conversation = await db.createConversation(agent.id, `Simulation: ${label}`, config.variables);
+  const simulation = await db.createCallSimulation({
+    agentId: agent.id,
+    conversationId: conversation.id,
+    persona: config.persona,
+    config: { behavior: config.behavior, opening: config.opening, maxTurns: config.maxTurns, rules: config.rules },
+  });
+  setImmediate(() => run(agent, simulation, config));
+  return simulation;
+}
+
+/**
+ * Simulation fuer API-Antworten aufbereiten.
+ */
+function formatSimulation(row) {
+  return {
+    id: row.id,
+    agentId: row.agent_id,
+    conversationId: row.conversation_id,
+    persona: row.persona,
+    config: row.config,
+    status: row.status,
+    endReason: row.end_reason,
+    disposition: row.disposition,
+    checks: row.checks,
+    transcript: row.transcript,
+    error: row.error,
+    createdAt: row.created_at,
+    finishedAt: row.finished_at,
+  };
+}
+
+module.exports = {
+  DEFAULT_VOICE_RULES,
+  configure,
+  checkVoiceRules,
+  normalizeConfig,
+  start,
+  formatSimulation,
+};
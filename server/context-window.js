@@ -0,0 +1,244 @@
+const db = require('./db');
+
+/**
+ * Kontextfenster einer Conversation: welcher Teil des Verlaufs geht an das Modell?
+ *
+ * Tokens werden pro Provider/Modell geschaetzt (Zeichen pro Token, Overhead pro
+ * Nachricht), einen Tokenizer gibt es fuer die meisten Provider nicht lokal.
+ * Vom Kontextfenster des Modells gehen die Reserve fuer die Antwort, der
+ * System-Prompt, die Zusammenfassung und die angehefteten Nachrichten ab; der
+ * Rest wird von hinten mit ganzen Turns (User-Nachricht bis vor die naechste)
+ * gefuellt. Der aktuelle Turn ist immer dabei, auch wenn er allein zu gross ist.
+ *
+ * Was nicht mehr passt, wird in eine rollende Zusammenfassung gefaltet
+ * (conversations.summary, bis summary_until). Dabei wird bis auf
+ * SUMMARY_KEEP_RATIO des Budgets gekuerzt, damit nicht jeder Turn erneut
+ * zusammenfasst. Angeheftete Nachrichten (messages.pinned) werden nie gefaltet.
+ */
+
+// Ueberschreibt das Kontextfenster aller Modelle (z.B. fuer Ollama mit eigenem num_ctx)
+const CONTEXT_WINDOW_TOKENS = parseInt(process.env.CONTEXT_WINDOW_TOKENS || '0', 10);
+const SUMMARY_KEEP_RATIO = 0.6;
+const SUMMARY_MAX_TOKENS = 800;
+// Tool-Ergebnisse nur gekuerzt in die Zusammenfassung geben
+const SUMMARY_TOOL_CHARS = 500;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Fenster und Zeichen pro Token je Provider; Ollama rechnet mit num_ctx, nicht mit dem Modell-Maximum
+const PROVIDER_DEFAULTS = {
+  ollama: { contextWindow: 8192, charsPerToken: 3.5 },
+  openai: { contextWindow: 128000, charsPerToken: 4 },
+  'openai-compatible': { contextWindow: 32768, charsPerToken: 3.5 },
+  mock: { contextWindow: 8192, charsPerToken: 4 },
+};
+
+// Erster Treffer gewinnt
+const MODEL_LIMITS = [
+  { pattern: /^gpt-4\.1/, contextWindow: 1047576 },
+  { pattern: /^gpt-4o/, contextWindow: 128000 },
+  { pattern: /^gpt-4-turbo/, contextWindow: 128000 },
+  { pattern: /^gpt-4(?!\d)/, contextWindow: 8192 },
+  { pattern: /^gpt-3\.5/, contextWindow: 16385 },
+  { pattern: /^o\d/, contextWindow: 200000 },
+  { pattern: /glm/i, charsPerToken: 3 },
+  { pattern: /qwen/i, charsPerToken: 3.2 },
+];
+
+const SUMMARY_PREFIX = 'Summary of the earlier conversation (older messages are not shown):\n';
+
+const SUMMARY_PROMPT = [
+  'You maintain the running summary of a conversation between a user and an assistant.',
+  'Merge the previous summary and the new messages into one updated summary.',
+  'Keep facts, names, numbers, decisions, open questions and commitments; drop small talk.',
+  'Write plain text, at most 250 words, in the language of the conversation. Reply with the summary only.',
+].join(' ');
+
+/**
+ * Token-Parameter fuer Provider und Modell.
+ * @param {Object} selection - Ergebnis von providers.selectModel()
+ * @returns {Object} { contextWindow, charsPerToken, reserve }
+ */
+function getModelLimits(selection) {
+  const defaults = PROVIDER_DEFAULTS[selection.provider.name] || PROVIDER_DEFAULTS['openai-compatible'];
+  const limits = { ...defaults };
+  for (const rule of MODEL_LIMITS) {
+    if (!rule.pattern.test(selection.model)) continue;
+    if (rule.contextWindow && limits.contextWindow === defaults.contextWindow) limits.contextWindow = rule.contextWindow;
+    if (rule.charsPerToken && limits.charsPerToken === defaults.charsPerToken) limits.charsPerToken = rule.charsPerToken;
+  }
+
+  const numCtx = selection.options?.ollamaOptions?.num_ctx;
+  if (CONTEXT_WINDOW_TOKENS > 0) limits.contextWindow = CONTEXT_WINDOW_TOKENS;
+  else if (selection.provider.name === 'ollama' && numCtx) limits.contextWindow = numCtx;
+
+  // Platz fuer die Antwort, hoechstens ein Viertel des Fensters
+  limits.reserve = Math.min(selection.options?.maxTokens ?? 4096, Math.floor(limits.contextWindow / 4));
+  return limits;
+}
+
+function estimateTokens(text, charsPerToken) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / charsPerToken);
+}
+
+function messageTokens(message, charsPerToken) {
+  let tokens = MESSAGE_OVERHEAD_TOKENS + estimateTokens(message.content, charsPerToken);
+  if (message.tool_calls) tokens += estimateTokens(JSON.stringify(message.tool_calls), charsPerToken);
+  return tokens;
+}
+
+/**
+ * Verlauf in Turns zerlegen: jeder Turn beginnt mit einer User-Nachricht.
+ * Tool-Calls und Tool-Ergebnisse bleiben so immer beim zugehoerigen Turn.
+ */
+function splitTurns(messages) {
+  const turns = [];
+  for (const m of messages) {
+    if (m.role === 'user' || turns.length === 0) turns.push([]);
+    turns[turns.length - 1].push(m);
+  }
+  return turns;
+}
+
+/**
+ * Turns von hinten auswaehlen, bis das Budget erschoepft ist.
+ * @returns {number} Index des aeltesten ausgewaehlten Turns
+ */
+function selectTurns(turns, budget, charsPerToken) {
+  let used = 0;
+  let first = turns.length;
+  while (first > 0) {
+    const tokens = turns[first - 1]
+      .filter((m) => !m.pinned)
+      .reduce((sum, m) => sum + messageTokens(m, charsPerToken), 0);
+    // Der aktuelle Turn kommt immer mit
+    if (first < turns.length && used + tokens > budget) break;
+    used += tokens;
+    first--;
+  }
+  return first;
+}
+
+/**
+ * Transkript der zu faltenden Nachrichten fuer den Zusammenfassungs-Prompt.
+ */
+function formatTranscript(messages) {
+  return messages
+    .map((m) => {
+      if (m.role === 'tool') {
+        const content = m.content.length > SUMMARY_TOOL_CHARS ? `${m.content.substring(0, SUMMARY_TOOL_CHARS)} ...` : m.content;
+        return `Tool ${m.tool_name || ''}: ${content}`;
+      }
+      if (m.role === 'assistant' && m.tool_calls) {
+        const names = m.tool_calls.map((tc) => tc.function?.name).filter(Boolean);
+        return `Assistant (calls ${names.join(', ')}): ${m.content || ''}`.trim();
+      }
+      return `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Bisherige Zusammenfassung und neue Nachrichten zu einer neuen Zusammenfassung verdichten.
+ * @returns {Promise<string>}
+ */
+async function summarize(selection, previousSummary, messages) {
+  const input = [
+    previousSummary ? `Previous summary:\n${previousSummary}` : 'Previous summary: (none)',
+    `New messages:\n${formatTranscript(messages)}`,
+  ].join('\n\n');
+
+  const response = await selection.provider.chat(
+    selection.model,
+    [
+      { role: 'system', content: SUMMARY_PROMPT },
+      { role: 'user', content: input },
+    ],
+    { temperature: 0.2, maxTokens: SUMMARY_MAX_TOKENS }
+  );
+  // Modelle halten sich nicht immer an die Laenge - sonst frisst die Zusammenfassung das Budget
+  const maxChars = SUMMARY_MAX_TOKENS * getModelLimits(selection).charsPerToken;
+  const text = (response.message?.content || '').trim();
+  return text.length > maxChars ? text.substring(0, maxChars) : text;
+}
+
+/**
+ * Kontext fuer einen Turn zusammenstellen und bei Bedarf den Verlauf falten.
+ * @param {string} conversationId
+ * @param {string} systemPrompt - Fertiger System-Prompt des Agents
+ * @param {Object} selection - Ergebnis von providers.selectModel()
+ * @param {Function} toContextMessage - Gespeicherte Nachricht -> Provider-Format
+ * @param {Object} options - { fold: false nur berechnen, nichts zusammenfassen; knowledge: System-Nachricht der Wissensbasis }
+ * @returns {Promise<Object>} { messages, stats: { contextWindow, budget, tokens, messages, pinned, dropped, summarized, summaryUpdated } }
+ */
+async function buildContext(conversationId, systemPrompt, selection, toContextMessage, { fold = true, knowledge = null } = {}) {
+  const limits = getModelLimits(selection);
+  const { charsPerToken } = limits;
+  const stored = (await db.getContextMessages(conversationId)) || { summary: null, messages: [] };
+  let { summary } = stored;
+
+  const pinned = stored.messages.filter((m) => m.pinned);
+  const fixedTokens = messageTokens({ content: systemPrompt }, charsPerToken)
+    + (knowledge ? messageTokens({ content: knowledge }, charsPerToken) : 0)
+    + pinned.reduce((sum, m) => sum + messageTokens(m, charsPerToken), 0);
+  const summaryTokens = () => (summary ? messageTokens({ content: SUMMARY_PREFIX + summary }, charsPerToken) : 0);
+  const budget = () => Math.max(limits.contextWindow - limits.reserve - fixedTokens - summaryTokens(), 0);
+
+  const turns = splitTurns(stored.messages);
+  let first = selectTurns(turns, budget(), charsPerToken);
+  let summaryUpdated = false;
+
+  if (fold && first > 0) {
+    // Bis auf SUMMARY_KEEP_RATIO kuerzen, damit nicht jeder folgende Turn wieder faltet
+    const keepFrom = Math.max(selectTurns(turns, Math.floor(budget() * SUMMARY_KEEP_RATIO), charsPerToken), first);
+    const folded = turns.slice(0, keepFrom).flat().filter((m) => !m.pinned);
+    if (folded.length > 0) {
+      try {
+        const next = await summarize(selection, summary, folded);
+        if (next) {
+          const updated = await db.updateConversationSummary(conversationId, next, folded[folded.length - 1].id);
+          if (updated) {
+            summary = next;
+            summaryUpdated = true;
+            first = keepFrom;
+            console.log(`[Context] ${conversationId}: ${folded.length} Nachrichten in die Zusammenfassung gefaltet`);
+          }
+        }
+      } catch (err) {
+        // Ohne neue Zusammenfassung fehlen die aeltesten Turns nur in diesem Request
+        console.error(`[Context] Zusammenfassung fuer ${conversationId} fehlgeschlagen:`, err.message);
+      }
+    }
+  }
+
+  const window = new Set(turns.slice(first).flat());
+  const included = stored.messages.filter((m) => m.pinned || window.has(m));
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    ...(summary
+      ? [{ role: 'system', content: SUMMARY_PREFIX + summary }]
+      : []),
+    ...(knowledge ? [{ role: 'system', content: knowledge }] : []),
+    ...included.map(toContextMessage),
+  ];
+
+  return {
+    messages,
+    stats: {
+      contextWindow: limits.contextWindow,
+      budget: limits.contextWindow - limits.reserve,
+      tokens: messages.reduce((sum, m) => sum + messageTokens(m, charsPerToken), 0),
+      messages: included.length,
+      pinned: pinned.length,
+      dropped: stored.messages.length - included.length,
+      summarized: Boolean(summary),
+      summaryUpdated,
+    },
+  };
+}
+
+module.exports = {
+  getModelLimits,
+  estimateTokens,
+  buildContext,
+};
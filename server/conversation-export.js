@@ -0,0 +1,292 @@
+const toolRegistry = require('./tool-registry');
+
+/**
+ * Export und Import von Conversations.
+ *
+ * Exportiert wird jeweils der aktive Zweig einer Conversation.
+ *
+ * - json: portables Dokument { format, version, exportedAt, conversations: [...] } mit
+ *   allen Nachrichten inkl. Tool-Verlauf; dasselbe Dokument nimmt der Import an.
+ * - jsonl: eine Zeile pro Conversation im Chat-Format fuer OpenAI-Fine-Tuning
+ *   ({ messages, tools }); abgebrochene Antworten fehlen, der System-Prompt stammt aus
+ *   der Profilversion, mit der die Conversation lief.
+ * - md: lesbares Protokoll zum Archivieren.
+ */
+
+const FORMATS = ['md', 'json', 'jsonl'];
+const DOCUMENT_FORMAT = 'letta-conversations';
+const DOCUMENT_VERSION = 1;
+const ROLES = ['system', 'user', 'assistant', 'tool'];
+const MAX_IMPORT_CONVERSATIONS = 500;
+
+const CONTENT_TYPES = {
+  md: 'text/markdown; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8',
+};
+
+// --- Export ---
+
+function formatMessage(m) {
+  return {
+    id: m.id,
+    role: m.role,
+    content: m.content,
+    createdAt: m.created_at,
+    ...(m.tool_calls ? { toolCalls: m.tool_calls } : {}),
+    ...(m.role === 'tool'
+      ? {
+        toolCallId: m.tool_call_id,
+        toolName: m.tool_name,
+        toolArguments: m.tool_arguments,
+        durationMs: m.duration_ms,
+        error: m.error,
+      }
+      : {}),
+    ...(m.structured_output ? { structuredOutput: m.structured_output } : {}),
+    ...(m.sources ? { sources: m.sources } : {}),
+    ...(m.cancelled ? { cancelled: true } : {}),
+    ...(m.pinned ? { pinned: true } : {}),
+  };
+}
+
+/**
+ * Conversation (mit messages) aus der Datenbank ins Exportformat.
+ */
+function formatConversation(conversation) {
+  return {
+    id: conversation.id,
+    agentId: conversation.agent_id,
+    title: conversation.title,
+    variables: conversation.variables || {},
+    profileVersion: conversation.profile_version ?? null,
+    parentConversationId: conversation.parent_conversation_id || null,
+    createdAt: conversation.created_at,
+    updatedAt: conversation.updated_at,
+    closedAt: conversation.closed_at || null,
+    messages: conversation.messages.map(formatMessage),
+  };
+}
+
+function toJson(conversations) {
+  const document = {
+    format: DOCUMENT_FORMAT,
+    version: DOCUMENT_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversations: conversations.map(formatConversation),
+  };
+  return `${JSON.stringify(document, null, 2)}\n`;
+}
+
+/**
+ * Tool-Call im OpenAI-Format (arguments als JSON-String, type function).
+ */
+function toOpenAiToolCall(toolCall) {
+  const args = toolCall.function?.arguments;
+  return {
+    id: toolCall.id,
+    type: 'function',
+    function: {
+      name: toolCall.function?.name,
+      arguments: typeof args === 'string' ? args : JSON.stringify(args || {}),
+    },
+  };
+}
+
+/**
+ * Eine Conversation als Fine-Tuning-Beispiel.
+ * @param {Object} conversation - mit messages
+ * @param {string|null} systemPrompt
+ * @returns {Object|null} { messages, tools? } - null ohne Assistant-Antwort
+ */
+function toFineTuningExample(conversation, systemPrompt) {
+  const messages = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
+  const toolNames = new Set();
+
+  for (const m of conversation.messages) {
+    if (m.cancelled || m.role === 'system') continue;
+    if (m.role === 'assistant' && m.tool_calls) {
+      const toolCalls = m.tool_calls.map(toOpenAiToolCall);
+      toolCalls.forEach((tc) => toolNames.add(tc.function.name));
+      messages.push({ role: 'assistant', ...(m.content ? { content: m.content } : {}), tool_calls: toolCalls });
+    } else if (m.role === 'tool') {
+      messages.push({ role: 'tool', tool_call_id: m.tool_call_id, content: m.content });
+    } else {
+      messages.push({ role: m.role, content: m.content });
+    }
+  }
+
+  if (!messages.some((m) => m.role === 'assistant')) return null;
+  const tools = toolRegistry.getToolDefinitions(Array.from(toolNames));
+  return tools.length > 0 ? { messages, tools } : { messages };
+}
+
+/**
+ * @param {Array} conversations - mit messages
+ * @param {Function} getSystemPrompt - conversation -> System-Prompt oder null
+ */
+function toJsonl(conversations, getSystemPrompt) {
+  return conversations
+    .map((c) => toFineTuningExample(c, getSystemPrompt(c)))
+    .filter(Boolean)
+    .map((example) => `${JSON.stringify(example)}\n`)
+    .join('');
+}
+
+function formatArguments(args) {
+  if (typeof args === 'string') return args;
+  return JSON.stringify(args || {});
+}
+
+function conversationToMarkdown(conversation) {
+  const lines = [
+    `# ${conversation.title || 'Conversation'}`,
+    '',
+    `- Agent: ${conversation.agent_id}`,
+    `- Conversation: ${conversation.id}`,
+    `- Started: ${new Date(conversation.created_at).toISOString()}`,
+  ];
+  if (conversation.profile_version) lines.push(`- Profile version: ${conversation.profile_version}`);
+  const variables = Object.entries(conversation.variables || {});
+  if (variables.length > 0) {
+    lines.push(`- Variables: ${variables.map(([k, v]) => `${k}=${v}`).join(', ')}`);
+  }
+
+  for (const m of conversation.messages) {
+    const time = new Date(m.created_at).toISOString();
+    lines.push('');
+    if (m.role === 'tool') {
+      const status = m.error ? `failed: ${m.error}` : `${m.duration_ms ?? '?'} ms`;
+      lines.push(`### Tool result: ${m.tool_name || 'tool'} (${status})`, '', '```', m.content, '```');
+      continue;
+    }
+
+    const label = m.role.charAt(0).toUpperCase() + m.role.slice(1);
+    const flags = [m.cancelled ? 'stopped' : null, m.pinned ? 'pinned' : null].filter(Boolean);
+    lines.push(`## ${label} · ${time}${flags.length ? ` (${flags.join(', ')})` : ''}`);
+    if (m.content) lines.push('', m.content);
+    for (const tc of m.tool_calls || []) {
+      lines.push('', `> Calls \`${tc.function?.name}\` with \`${formatArguments(tc.function?.arguments)}\``);
+    }
+    if (m.sources?.length) {
+      lines.push('', 'Sources:');
+      m.sources.forEach((s) => lines.push(`- [${s.index}] ${s.title}${s.heading ? ` > ${s.heading}` : ''}`));
+    }
+  }
+  return lines.join('\n');
+}
+
+function toMarkdown(conversations) {
+  return `${conversations.map(conversationToMarkdown).join('\n\n---\n\n')}\n`;
+}
+
+// --- Import ---
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseDate(value) {
+  if (value === undefined || value === null) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function parseMessage(m, prefix, errors) {
+  if (!isPlainObject(m)) {
+    errors.push(`${prefix}: muss ein Objekt sein`);
+    return null;
+  }
+  if (!ROLES.includes(m.role)) errors.push(`${prefix}.role: muss einer von ${ROLES.join(', ')} sein`);
+  if (typeof m.content !== 'string') errors.push(`${prefix}.content: muss ein String sein`);
+  const createdAt = parseDate(m.createdAt);
+  if (createdAt === undefined) errors.push(`${prefix}.createdAt: kein gueltiges Datum`);
+
+  if (m.toolCalls !== undefined) {
+    const valid = Array.isArray(m.toolCalls) && m.toolCalls.every((tc) => isPlainObject(tc) && typeof tc.function?.name === 'string');
+    if (!valid) errors.push(`${prefix}.toolCalls: muss ein Array von { id, function: { name, arguments } } sein`);
+    if (m.role !== 'assistant') errors.push(`${prefix}.toolCalls: nur bei role assistant erlaubt`);
+  }
+  if (m.role === 'tool' && typeof m.toolCallId !== 'string') {
+    errors.push(`${prefix}.toolCallId: bei role tool erforderlich`);
+  }
+
+  return {
+    role: m.role,
+    content: m.content,
+    createdAt,
+    toolCalls: m.toolCalls || null,
+    toolCallId: m.toolCallId,
+    toolName: m.toolName,
+    toolArguments: m.toolArguments,
+    durationMs: Number.isInteger(m.durationMs) ? m.durationMs : null,
+    error: typeof m.error === 'string' ? m.error : null,
+    structuredOutput: isPlainObject(m.structuredOutput) ? m.structuredOutput : null,
+    sources: Array.isArray(m.sources) ? m.sources : null,
+    cancelled: m.cancelled === true,
+    pinned: m.pinned === true,
+  };
+}
+
+/**
+ * Import-Body pruefen: Export-Dokument (json), optional mit agentId fuer alle Conversations.
+ * @param {Object} body - { agentId?, conversations: [...] }
+ * @returns {Object} { errors, conversations: [{ agentId, title, variables, createdAt, closedAt, messages }] }
+ */
+function parseImport(body) {
+  const errors = [];
+  if (!isPlainObject(body) || !Array.isArray(body.conversations)) {
+    return { errors: ['Feld "conversations" muss ein Array sein (Format wie GET .../export?format=json)'], conversations: [] };
+  }
+  if (body.version !== undefined && body.version !== DOCUMENT_VERSION) {
+    errors.push(`Feld "version": ${body.version} wird nicht unterstuetzt (erwartet ${DOCUMENT_VERSION})`);
+  }
+  if (body.conversations.length === 0) errors.push('Feld "conversations" ist leer');
+  if (body.conversations.length > MAX_IMPORT_CONVERSATIONS) {
+    errors.push(`Hoechstens ${MAX_IMPORT_CONVERSATIONS} Conversations pro Import`);
+  }
+  if (body.agentId !== undefined && typeof body.agentId !== 'string') {
+    errors.push('Feld "agentId" muss ein String sein');
+  }
+  if (errors.length > 0) return { errors, conversations: [] };
+
+  const conversations = body.conversations.map((c, i) => {
+    const prefix = `conversations[${i}]`;
+    if (!isPlainObject(c)) {
+      errors.push(`${prefix}: muss ein Objekt sein`);
+      return null;
+    }
+    const agentId = body.agentId || c.agentId;
+    if (!agentId || typeof agentId !== 'string') errors.push(`${prefix}.agentId: erforderlich (oder "agentId" im Body)`);
+    if (c.variables !== undefined && !isPlainObject(c.variables)) errors.push(`${prefix}.variables: muss ein Objekt sein`);
+    if (!Array.isArray(c.messages)) {
+      errors.push(`${prefix}.messages: muss ein Array sein`);
+      return null;
+    }
+    const createdAt = parseDate(c.createdAt);
+    const closedAt = parseDate(c.closedAt);
+    if (createdAt === undefined) errors.push(`${prefix}.createdAt: kein gueltiges Datum`);
+    if (closedAt === undefined) errors.push(`${prefix}.closedAt: kein gueltiges Datum`);
+
+    return {
+      sourceId: typeof c.id === 'string' ? c.id : null,
+      agentId,
+      title: typeof c.title === 'string' ? c.title.substring(0, 512) : null,
+      variables: c.variables || {},
+      createdAt,
+      closedAt,
+      messages: c.messages.map((m, j) => parseMessage(m, `${prefix}.messages[${j}]`, errors)),
+    };
+  });
+
+  return { errors, conversations: errors.length > 0 ? [] : conversations };
+}
+
+module.exports = {
+  FORMATS,
+  CONTENT_TYPES,
+  toJson,
+  toJsonl,
+  toMarkdown,
+  parseImport,
+};
@@ -1,5 +1,8 @@
 const { Pool } = require('pg');
 
+// pgvector vorhanden? Wird in initDatabase gesetzt; ohne Extension keine semantische Suche
+let vectorEnabled = false;
+
 // PostgreSQL Connection Pool
 const pool = new Pool({
   host: process.env.POSTGRES_HOST || 'localhost',
@@ -37,17 +40,150 @@ async function initDatabase() {
       );
     `);
 
+    // Template-Variablen pro Conversation (z.B. targetLanguage)
+    await client.query(`
+      ALTER TABLE conversations ADD COLUMN IF NOT EXISTS variables JSONB NOT NULL DEFAULT '{}'::jsonb;
+    `);
+
+    // Sub-Conversations aus task_delegate haengen an der Conversation des aufrufenden Agents
+    await client.query(`
+      ALTER TABLE conversations
+        ADD COLUMN IF NOT EXISTS parent_conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+        ADD COLUMN IF NOT EXISTS parent_tool_call_id VARCHAR(128),
+        ADD COLUMN IF NOT EXISTS delegation_depth INTEGER NOT NULL DEFAULT 0;
+    `);
+
+    // Versionierte Agent-Profile (JSON-Dateien als Seed, Vorschlaege ueber die API)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS agent_profile_versions (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        agent_id VARCHAR(128) NOT NULL,
+        version_number INTEGER NOT NULL,
+        profile JSONB NOT NULL,
+        profile_hash VARCHAR(64) NOT NULL,
+        source VARCHAR(16) NOT NULL DEFAULT 'api'
+          CHECK (source IN ('seed', 'api')),
+        status VARCHAR(16) NOT NULL DEFAULT 'proposed'
+          CHECK (status IN ('proposed', 'approved', 'rejected', 'active', 'superseded')),
+        base_version INTEGER,
+        change_note TEXT,
+        proposed_by VARCHAR(128),
+        reviewed_by VARCHAR(128),
+        review_note TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        reviewed_at TIMESTAMP WITH TIME ZONE,
+        promoted_at TIMESTAMP WITH TIME ZONE,
+        UNIQUE (agent_id, version_number)
+      );
+    `);
+
+    // Hoechstens eine aktive Version pro Agent
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_agent_profile_versions_active
+        ON agent_profile_versions(agent_id) WHERE status = 'active';
+    `);
+
+    // Ueber die API angelegte Agents (Profil im Format der JSON-Dateien)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS stored_agents (
+        agent_id VARCHAR(128) PRIMARY KEY,
+        profile JSONB NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    // Profilversion, mit der eine Conversation gestartet wurde
+    await client.query(`
+      ALTER TABLE conversations
+        ADD COLUMN IF NOT EXISTS profile_version_id UUID REFERENCES agent_profile_versions(id) ON DELETE SET NULL;
+    `);
+
     // Messages-Tabelle
     await client.query(`
       CREATE TABLE IF NOT EXISTS messages (
         id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
         conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
-        role VARCHAR(32) NOT NULL CHECK (role IN ('system', 'user', 'assistant')),
+        role VARCHAR(32) NOT NULL CHECK (role IN ('system', 'user', 'assistant', 'tool')),
         content TEXT NOT NULL,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
       );
     `);
 
+    // Tool-Calls (assistant) und Tool-Ergebnisse (tool) im Verlauf speichern
+    await client.query(`
+      ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_role_check;
+      ALTER TABLE messages ADD CONSTRAINT messages_role_check
+        CHECK (role IN ('system', 'user', 'assistant', 'tool'));
+      ALTER TABLE messages
+        ADD COLUMN IF NOT EXISTS tool_calls JSONB,
+        ADD COLUMN IF NOT EXISTS tool_call_id VARCHAR(128),
+        ADD COLUMN IF NOT EXISTS tool_name VARCHAR(128),
+        ADD COLUMN IF NOT EXISTS tool_arguments JSONB,
+        ADD COLUMN IF NOT EXISTS duration_ms INTEGER,
+        ADD COLUMN IF NOT EXISTS error TEXT;
+    `);
+
+    // Geparste Ausgabe von Agents mit outputSchemaRef ({ schemaRef, valid, data, errors, attempts })
+    await client.query(`
+      ALTER TABLE messages ADD COLUMN IF NOT EXISTS structured_output JSONB;
+    `);
+
+    // Abgebrochene Generierung: content ist die bis dahin gestreamte Teilausgabe
+    await client.query(`
+      ALTER TABLE messages ADD COLUMN IF NOT EXISTS cancelled BOOLEAN NOT NULL DEFAULT false;
+    `);
+
+    // Kontextfenster: angeheftete Nachrichten bleiben immer im Kontext, aeltere
+    // Nachrichten bis summary_until sind in conversations.summary zusammengefasst
+    await client.query(`
+      ALTER TABLE messages ADD COLUMN IF NOT EXISTS pinned BOOLEAN NOT NULL DEFAULT false;
+      ALTER TABLE conversations
+        ADD COLUMN IF NOT EXISTS summary TEXT,
+        ADD COLUMN IF NOT EXISTS summary_until TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS summary_updated_at TIMESTAMP WITH TIME ZONE;
+    `);
+
+    // Quellen aus der Wissensbasis, die einer Antwort als Kontext dienten ([{ index, documentId, title, ... }])
+    await client.query(`
+      ALTER TABLE messages ADD COLUMN IF NOT EXISTS sources JSONB;
+    `);
+
+    // Verzweigte Verlaeufe: jede Nachricht haengt an ihrem Vorgaenger (parent_message_id),
+    // active_message_id ist das Blatt des angezeigten Zweigs. summary_message_id ist die
+    // letzte zusammengefasste Nachricht - liegt sie nicht im aktiven Zweig, gilt die
+    // Zusammenfassung nicht.
+    await client.query(`
+      ALTER TABLE messages ADD COLUMN IF NOT EXISTS parent_message_id UUID REFERENCES messages(id) ON DELETE CASCADE;
+      ALTER TABLE conversations
+        ADD COLUMN IF NOT EXISTS active_message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS summary_message_id UUID REFERENCES messages(id) ON DELETE SET NULL;
+      CREATE INDEX IF NOT EXISTS idx_messages_parent ON messages(parent_message_id);
+    `);
+
+    // Bestehende lineare Verlaeufe (noch ohne active_message_id) in Erstellungsreihenfolge verketten
+    await client.query(`
+      UPDATE messages m SET parent_message_id = l.prev_id
+      FROM (
+        SELECT m2.id, LAG(m2.id) OVER (PARTITION BY m2.conversation_id ORDER BY m2.created_at, m2.id) AS prev_id
+        FROM messages m2 JOIN conversations c ON c.id = m2.conversation_id
+        WHERE c.active_message_id IS NULL
+      ) l
+      WHERE m.id = l.id AND l.prev_id IS NOT NULL AND m.parent_message_id IS NULL;
+
+      UPDATE conversations c SET active_message_id = (
+        SELECT m.id FROM messages m WHERE m.conversation_id = c.id ORDER BY m.created_at DESC, m.id DESC LIMIT 1
+      )
+      WHERE c.active_message_id IS NULL;
+
+      UPDATE conversations c SET summary_message_id = (
+        SELECT m.id FROM messages m
+        WHERE m.conversation_id = c.id AND m.created_at <= c.summary_until
+        ORDER BY m.created_at DESC LIMIT 1
+      )
+      WHERE c.summary_until IS NOT NULL AND c.summary_message_id IS NULL;
+    `);
+
     // Agent Memory-Tabelle
     await client.query(`
       CREATE TABLE IF NOT EXISTS agent_memory (
@@ -60,19 +196,220 @@ async function initDatabase() {
       );
     `);
 
+    // Agent Memory History (jede Aenderung eines Memory-Blocks)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS agent_memory_history (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        agent_id VARCHAR(128) NOT NULL,
+        label VARCHAR(128) NOT NULL,
+        operation VARCHAR(32) NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        actor VARCHAR(32) NOT NULL,
+        conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    // Freigaben fuer schreibende Tool-Calls (permissionMode)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS tool_approvals (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+        agent_id VARCHAR(128) NOT NULL,
+        tool_call_id VARCHAR(128),
+        tool_name VARCHAR(128) NOT NULL,
+        arguments JSONB,
+        status VARCHAR(16) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'approved', 'denied', 'expired')),
+        reason TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        decided_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+
+    // Inter-Agent-Events (interAgentCommunication.feedbackLoops)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS agent_events (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        parent_event_id UUID REFERENCES agent_events(id) ON DELETE SET NULL,
+        source_agent_id VARCHAR(128) NOT NULL,
+        source_conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+        trigger_name VARCHAR(128) NOT NULL,
+        target_agent_id VARCHAR(128) NOT NULL,
+        target_conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+        payload_type VARCHAR(128),
+        payload JSONB,
+        status VARCHAR(16) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'delivered', 'failed')),
+        error TEXT,
+        depth INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        delivered_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+
+    // Geschlossene Conversations (Call beendet), Ausloeser fuer die QA-Bewertung
+    await client.query(`
+      ALTER TABLE conversations ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP WITH TIME ZONE;
+    `);
+
+    // QA-Bewertungen durch meta-call-qa
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS conversation_reviews (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+        agent_id VARCHAR(128) NOT NULL,
+        reviewer_agent_id VARCHAR(128) NOT NULL,
+        review_conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+        trigger VARCHAR(16) NOT NULL DEFAULT 'manual'
+          CHECK (trigger IN ('manual', 'close')),
+        status VARCHAR(16) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'completed', 'failed')),
+        overall_score NUMERIC,
+        scores JSONB,
+        recommended_disposition VARCHAR(32),
+        review JSONB,
+        valid BOOLEAN,
+        error TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        completed_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+
+    // Call-Simulationen (Caller-Persona gegen Call-Agent)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS call_simulations (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        agent_id VARCHAR(128) NOT NULL,
+        conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+        persona JSONB NOT NULL,
+        config JSONB NOT NULL DEFAULT '{}'::jsonb,
+        status VARCHAR(16) NOT NULL DEFAULT 'running'
+          CHECK (status IN ('running', 'completed', 'failed')),
+        end_reason VARCHAR(32),
+        transcript JSONB NOT NULL DEFAULT '[]'::jsonb,
+        disposition VARCHAR(32),
+        checks JSONB,
+        error TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        finished_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+
+    // Semantische Suche: pgvector ist optional, ohne Extension laeuft nur die Volltextsuche
+    await client.query('SAVEPOINT vector_extension');
+    try {
+      await client.query('CREATE EXTENSION IF NOT EXISTS vector');
+      vectorEnabled = true;
+    } catch (err) {
+      await client.query('ROLLBACK TO SAVEPOINT vector_extension');
+      vectorEnabled = false;
+      console.warn('[DB] pgvector nicht verfuegbar, semantische Suche deaktiviert:', err.message);
+    }
+    if (vectorEnabled) {
+      // Dimension haengt vom Embedding-Modell ab, daher vector ohne feste Laenge
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS message_embeddings (
+          message_id UUID PRIMARY KEY REFERENCES messages(id) ON DELETE CASCADE,
+          model VARCHAR(256) NOT NULL,
+          embedding vector NOT NULL,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        );
+      `);
+      // Nachrichten, die der Provider dauerhaft ablehnt - der Indexer ueberspringt sie pro Modell
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS message_embedding_errors (
+          message_id UUID PRIMARY KEY REFERENCES messages(id) ON DELETE CASCADE,
+          model VARCHAR(256) NOT NULL,
+          error TEXT NOT NULL,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        );
+      `);
+    }
+
+    // Wissensbasis pro Agent: Dokumente (Upload, GitHub, Profil) in Abschnitte zerlegt
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS knowledge_documents (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        agent_id VARCHAR(128) NOT NULL,
+        title VARCHAR(512) NOT NULL,
+        source_type VARCHAR(16) NOT NULL CHECK (source_type IN ('upload', 'github', 'profile')),
+        source_ref VARCHAR(1024) NOT NULL,
+        format VARCHAR(16) NOT NULL DEFAULT 'text',
+        content_hash VARCHAR(64) NOT NULL,
+        size INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE (agent_id, source_ref)
+      );
+      CREATE TABLE IF NOT EXISTS knowledge_chunks (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        document_id UUID NOT NULL REFERENCES knowledge_documents(id) ON DELETE CASCADE,
+        chunk_index INTEGER NOT NULL,
+        heading TEXT,
+        content TEXT NOT NULL,
+        embedding_model VARCHAR(256),
+        UNIQUE (document_id, chunk_index)
+      );
+    `);
+    if (vectorEnabled) {
+      await client.query(`
+        ALTER TABLE knowledge_chunks ADD COLUMN IF NOT EXISTS embedding vector;
+      `);
+    }
+
     // Indizes fuer Performance
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_conversations_agent_id ON conversations(agent_id);
     `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_conversations_parent ON conversations(parent_conversation_id);
+    `);
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_messages_conversation_id ON messages(conversation_id);
     `);
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_messages_created_at ON messages(created_at);
     `);
+    // Volltextsuche ueber messages.content; 'simple' ohne Stemming, weil Deutsch und Englisch gemischt vorkommen.
+    // Ausdrucks-Index statt Spalte, damit SELECT * keinen tsvector mitliefert
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_messages_search ON messages USING GIN (to_tsvector('simple', content));
+    `);
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_agent_memory_agent_id ON agent_memory(agent_id);
     `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_agent_memory_history_agent_label ON agent_memory_history(agent_id, label);
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_tool_approvals_status ON tool_approvals(status, created_at);
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_agent_events_target_conversation ON agent_events(target_conversation_id);
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_agent_events_parent ON agent_events(parent_event_id);
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_conversation_reviews_conversation ON conversation_reviews(conversation_id, created_at);
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_conversation_reviews_agent ON conversation_reviews(agent_id, created_at);
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_call_simulations_agent ON call_simulations(agent_id, created_at);
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_knowledge_documents_agent ON knowledge_documents(agent_id);
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_knowledge_chunks_document ON knowledge_chunks(document_id);
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_knowledge_chunks_search ON knowledge_chunks USING GIN (to_tsvector('simple', content));
+    `);
 
     await client.query('COMMIT');
     console.log('[DB] Tabellen erfolgreich initialisiert');
@@ -87,23 +424,86 @@ async function initDatabase() {
 
 // --- Conversation Queries ---
 
-async function createConversation(agentId, title) {
+/**
+ * Rekursive CTE "path": aktiver Zweig vom Blatt (active_message_id) bis zur Wurzel,
+ * depth 0 ist das Blatt. conversationFilter schraenkt conversations c ein.
+ */
+function activePath(conversationFilter) {
+  return `RECURSIVE path (id, parent_message_id, depth) AS (
+    SELECT m.id, m.parent_message_id, 0
+    FROM conversations c JOIN messages m ON m.id = c.active_message_id
+    WHERE ${conversationFilter}
+    UNION ALL
+    SELECT m.id, m.parent_message_id, p.depth + 1
+    FROM messages m JOIN path p ON m.id = p.parent_message_id
+  )`;
+}
+
+// Aktive Profilversion des Agents zum Zeitpunkt des Anlegens
+const ACTIVE_PROFILE_VERSION = `(SELECT id FROM agent_profile_versions WHERE agent_id = $1::varchar AND status = 'active')`;
+
+async function createConversation(agentId, title, variables = {}) {
+  const result = await pool.query(
+    `INSERT INTO conversations (agent_id, title, variables, profile_version_id)
+     VALUES ($1::varchar, $2, $3, ${ACTIVE_PROFILE_VERSION}) RETURNING *`,
+    [agentId, title || null, JSON.stringify(variables || {})]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Sub-Conversation fuer einen delegierten Task anlegen.
+ * @param {Object} child - { agentId, title, variables, parentConversationId, parentToolCallId, depth }
+ */
+async function createChildConversation({ agentId, title, variables = {}, parentConversationId, parentToolCallId, depth }) {
   const result = await pool.query(
-    `INSERT INTO conversations (agent_id, title) VALUES ($1, $2) RETURNING *`,
-    [agentId, title || null]
+    `INSERT INTO conversations (agent_id, title, variables, parent_conversation_id, parent_tool_call_id, delegation_depth, profile_version_id)
+     VALUES ($1::varchar, $2, $3, $4, $5, $6, ${ACTIVE_PROFILE_VERSION}) RETURNING *`,
+    [agentId, title || null, JSON.stringify(variables || {}), parentConversationId, parentToolCallId || null, depth]
   );
   return result.rows[0];
 }
 
+async function listChildConversations(conversationId) {
+  const result = await pool.query(
+    `SELECT id, agent_id, title, parent_tool_call_id, delegation_depth, created_at, updated_at
+     FROM conversations WHERE parent_conversation_id = $1
+     ORDER BY created_at ASC`,
+    [conversationId]
+  );
+  return result.rows;
+}
+
+/**
+ * Template-Variablen einer Conversation ergaenzen/ueberschreiben (merge).
+ */
+async function updateConversationVariables(conversationId, variables) {
+  const result = await pool.query(
+    `UPDATE conversations SET variables = variables || $2::jsonb WHERE id = $1 RETURNING variables`,
+    [conversationId, JSON.stringify(variables || {})]
+  );
+  return result.rows[0]?.variables || null;
+}
+
 async function getConversation(conversationId) {
   const convResult = await pool.query(
-    `SELECT * FROM conversations WHERE id = $1`,
+    `SELECT c.*, v.version_number AS profile_version
+     FROM conversations c
+     LEFT JOIN agent_profile_versions v ON v.id = c.profile_version_id
+     WHERE c.id = $1`,
     [conversationId]
   );
   if (convResult.rows.length === 0) return null;
 
+  // Nur der aktive Zweig; sibling_ids sind die Alternativen an dieser Stelle (Bearbeiten/Neu generieren)
   const msgResult = await pool.query(
-    `SELECT * FROM messages WHERE conversation_id = $1 ORDER BY created_at ASC`,
+    `WITH ${activePath('c.id = $1')}
+     SELECT m.*,
+            (SELECT array_agg(s.id ORDER BY s.created_at) FROM messages s
+             WHERE s.conversation_id = m.conversation_id
+               AND s.parent_message_id IS NOT DISTINCT FROM m.parent_message_id) AS sibling_ids
+     FROM path JOIN messages m ON m.id = path.id
+     ORDER BY path.depth DESC`,
     [conversationId]
   );
 
@@ -116,9 +516,11 @@ async function getConversation(conversationId) {
 async function listConversations(agentId) {
   const result = await pool.query(
     `SELECT c.*,
+            v.version_number AS profile_version,
             (SELECT COUNT(*) FROM messages m WHERE m.conversation_id = c.id) AS message_count,
-            (SELECT m.content FROM messages m WHERE m.conversation_id = c.id ORDER BY m.created_at DESC LIMIT 1) AS last_message
+            (SELECT m.content FROM messages m WHERE m.id = c.active_message_id) AS last_message
      FROM conversations c
+     LEFT JOIN agent_profile_versions v ON v.id = c.profile_version_id
      WHERE c.agent_id = $1
      ORDER BY c.updated_at DESC`,
     [agentId]
@@ -126,6 +528,86 @@ async function listConversations(agentId) {
   return result.rows;
 }
 
+/**
+ * Alle Conversations eines Agents mit den Nachrichten des aktiven Zweigs (Export), aelteste zuerst.
+ */
+async function listConversationsWithMessages(agentId) {
+  const convResult = await pool.query(
+    `SELECT c.*, v.version_number AS profile_version
+     FROM conversations c
+     LEFT JOIN agent_profile_versions v ON v.id = c.profile_version_id
+     WHERE c.agent_id = $1
+     ORDER BY c.created_at ASC`,
+    [agentId]
+  );
+  const msgResult = await pool.query(
+    `WITH ${activePath('c.agent_id = $1')}
+     SELECT m.* FROM path JOIN messages m ON m.id = path.id
+     ORDER BY m.created_at ASC`,
+    [agentId]
+  );
+  const byConversation = new Map(convResult.rows.map((c) => [c.id, { ...c, messages: [] }]));
+  for (const m of msgResult.rows) {
+    byConversation.get(m.conversation_id).messages.push(m);
+  }
+  return Array.from(byConversation.values());
+}
+
+/**
+ * Importierte Conversation mit Nachrichten in einer Transaktion anlegen (neue IDs).
+ * Fehlt createdAt einer Nachricht, zaehlt die Einfuegereihenfolge.
+ * @param {Object} conv - { agentId, title, variables, createdAt, closedAt, messages } (conversation-export.parseImport)
+ */
+async function importConversation(conv) {
+  return withTransaction(async (client) => {
+    const convResult = await client.query(
+      // Ohne profile_version_id: der Verlauf lief nicht gegen ein Profil dieses Servers
+      `INSERT INTO conversations (agent_id, title, variables, created_at, closed_at)
+       VALUES ($1::varchar, $2, $3, COALESCE($4, NOW()), $5) RETURNING *`,
+      [conv.agentId, conv.title, JSON.stringify(conv.variables || {}), conv.createdAt, conv.closedAt]
+    );
+    const conversation = convResult.rows[0];
+
+    // Importiert wird ein linearer Verlauf: jede Nachricht haengt an der vorherigen
+    let parentId = null;
+    for (const m of conv.messages) {
+      const inserted = await client.query(
+        `INSERT INTO messages (conversation_id, role, content, tool_calls, tool_call_id, tool_name, tool_arguments,
+                               duration_ms, error, structured_output, cancelled, pinned, sources, created_at, parent_message_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, COALESCE($14, clock_timestamp()), $15)
+         RETURNING id`,
+        [
+          conversation.id,
+          m.role,
+          m.content,
+          m.toolCalls ? JSON.stringify(m.toolCalls) : null,
+          m.toolCallId || null,
+          m.toolName || null,
+          m.toolArguments !== undefined ? JSON.stringify(m.toolArguments) : null,
+          m.durationMs,
+          m.error,
+          m.structuredOutput ? JSON.stringify(m.structuredOutput) : null,
+          m.cancelled,
+          m.pinned,
+          m.sources?.length ? JSON.stringify(m.sources) : null,
+          m.createdAt,
+          parentId,
+        ]
+      );
+      parentId = inserted.rows[0].id;
+    }
+
+    const updated = await client.query(
+      `UPDATE conversations
+       SET updated_at = COALESCE((SELECT MAX(created_at) FROM messages WHERE conversation_id = $1), created_at),
+           active_message_id = $2
+       WHERE id = $1 RETURNING *`,
+      [conversation.id, parentId]
+    );
+    return { ...updated.rows[0], message_count: conv.messages.length };
+  });
+}
+
 async function deleteConversation(conversationId) {
   const result = await pool.query(
     `DELETE FROM conversations WHERE id = $1 RETURNING id`,
@@ -134,52 +616,1066 @@ async function deleteConversation(conversationId) {
   return result.rows.length > 0;
 }
 
-async function updateConversationTimestamp(conversationId) {
-  await pool.query(
-    `UPDATE conversations SET updated_at = NOW() WHERE id = $1`,
+async function closeConversation(conversationId) {
+  const result = await pool.query(
+    `UPDATE conversations SET closed_at = COALESCE(closed_at, NOW()) WHERE id = $1 RETURNING *`,
     [conversationId]
   );
+  return result.rows[0] || null;
 }
 
 // --- Message Queries ---
 
-async function addMessage(conversationId, role, content) {
+/**
+ * Nachricht an das Blatt des aktiven Zweigs haengen und zum neuen Blatt machen.
+ * @param {Object} details - Tool-Verlauf:
+ *   { toolCalls } bei assistant, { toolCallId, toolName, toolArguments, durationMs, error } bei tool;
+ *   Antworten: { structuredOutput, cancelled, sources };
+ *   Verzweigen: { parentMessageId } - an diese Nachricht haengen (null = neue Wurzel) statt ans Blatt
+ */
+async function addMessage(conversationId, role, content, details = {}) {
+  const { toolCalls, toolCallId, toolName, toolArguments, durationMs, error, structuredOutput, cancelled, sources } = details;
+  const branching = details.parentMessageId !== undefined;
   const result = await pool.query(
-    `INSERT INTO messages (conversation_id, role, content) VALUES ($1, $2, $3) RETURNING *`,
-    [conversationId, role, content]
+    `WITH inserted AS (
+       INSERT INTO messages (conversation_id, role, content, tool_calls, tool_call_id, tool_name, tool_arguments, duration_ms, error,
+                             structured_output, cancelled, sources, parent_message_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+               CASE WHEN $13::boolean THEN $14::uuid ELSE (SELECT active_message_id FROM conversations WHERE id = $1) END)
+       RETURNING *
+     ), moved AS (
+       UPDATE conversations SET active_message_id = (SELECT id FROM inserted), updated_at = NOW() WHERE id = $1
+     )
+     SELECT * FROM inserted`,
+    [
+      conversationId,
+      role,
+      content,
+      toolCalls ? JSON.stringify(toolCalls) : null,
+      toolCallId || null,
+      toolName || null,
+      toolArguments !== undefined ? JSON.stringify(toolArguments) : null,
+      durationMs ?? null,
+      error || null,
+      structuredOutput ? JSON.stringify(structuredOutput) : null,
+      Boolean(cancelled),
+      sources?.length ? JSON.stringify(sources) : null,
+      branching,
+      branching ? details.parentMessageId : null,
+    ]
   );
-  await updateConversationTimestamp(conversationId);
+  if (branching) await clearSummaryOffActivePath(conversationId);
   return result.rows[0];
 }
 
+/**
+ * Die neuesten Nachrichten des aktiven Zweigs, aufsteigend sortiert.
+ */
 async function getMessages(conversationId, limit = 100) {
   const result = await pool.query(
-    `SELECT * FROM messages WHERE conversation_id = $1 ORDER BY created_at ASC LIMIT $2`,
+    `WITH ${activePath('c.id = $1')}
+     SELECT m.* FROM path JOIN messages m ON m.id = path.id
+     WHERE path.depth < $2
+     ORDER BY path.depth DESC`,
     [conversationId, limit]
   );
   return result.rows;
 }
 
-// --- Agent Memory Queries ---
+/**
+ * Zusammenfassung und alles, was noch nicht in ihr steckt, fuer das Kontextfenster.
+ * @returns {Promise<Object|null>} { summary, summaryUntil, messages } - messages: Nachrichten des
+ *   aktiven Zweigs nach summary_until plus angeheftete, aufsteigend sortiert; null wenn die Conversation fehlt
+ */
+async function getContextMessages(conversationId) {
+  const convResult = await pool.query(
+    `SELECT summary, summary_until FROM conversations WHERE id = $1`,
+    [conversationId]
+  );
+  if (convResult.rows.length === 0) return null;
+  const { summary, summary_until: summaryUntil } = convResult.rows[0];
 
-async function getAgentMemory(agentId) {
+  // Vergleich in SQL - ein JS-Date hat nur Millisekunden, created_at Mikrosekunden
+  const msgResult = await pool.query(
+    `WITH ${activePath('c.id = $1')}
+     SELECT m.* FROM path
+     JOIN messages m ON m.id = path.id
+     JOIN conversations c ON c.id = m.conversation_id
+     WHERE m.pinned OR c.summary_until IS NULL OR m.created_at > c.summary_until
+     ORDER BY path.depth DESC`,
+    [conversationId]
+  );
+  return { summary, summaryUntil, messages: msgResult.rows };
+}
+
+/**
+ * Rollende Zusammenfassung speichern; sie reicht bis einschliesslich untilMessageId.
+ * Ein aelterer Stand ueberschreibt keinen neueren.
+ * @returns {Promise<Object|null>} Aktualisierte Conversation oder null
+ */
+async function updateConversationSummary(conversationId, summary, untilMessageId) {
   const result = await pool.query(
-    `SELECT * FROM agent_memory WHERE agent_id = $1 ORDER BY label ASC`,
-    [agentId]
+    `UPDATE conversations c
+     SET summary = $2, summary_until = m.created_at, summary_message_id = m.id, summary_updated_at = NOW()
+     FROM messages m
+     WHERE c.id = $1 AND m.id = $3 AND m.conversation_id = c.id
+       AND (c.summary_until IS NULL OR c.summary_until < m.created_at)
+     RETURNING c.*`,
+    [conversationId, summary, untilMessageId]
+  );
+  return result.rows[0] || null;
+}
+
+async function getMessage(conversationId, messageId) {
+  const result = await pool.query(
+    `SELECT * FROM messages WHERE id = $1 AND conversation_id = $2`,
+    [messageId, conversationId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Naechste User-Nachricht auf dem Weg von messageId zur Wurzel (inkl. messageId):
+ * der Anfang des Turns, zu dem die Nachricht gehoert.
+ */
+async function getTurnStart(conversationId, messageId) {
+  const result = await pool.query(
+    `WITH RECURSIVE up (id, parent_message_id, role, depth) AS (
+       SELECT id, parent_message_id, role, 0 FROM messages WHERE id = $2 AND conversation_id = $1
+       UNION ALL
+       SELECT m.id, m.parent_message_id, m.role, u.depth + 1
+       FROM messages m JOIN up u ON m.id = u.parent_message_id
+       WHERE u.role <> 'user'
+     )
+     SELECT m.* FROM up JOIN messages m ON m.id = up.id
+     WHERE up.role = 'user'
+     ORDER BY up.depth ASC LIMIT 1`,
+    [conversationId, messageId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Zusammenfassung verwerfen, wenn ihre letzte Nachricht nicht im aktiven Zweig liegt.
+ */
+async function clearSummaryOffActivePath(conversationId) {
+  await pool.query(
+    `WITH ${activePath('c.id = $1')}
+     UPDATE conversations
+     SET summary = NULL, summary_until = NULL, summary_message_id = NULL, summary_updated_at = NOW()
+     WHERE id = $1 AND summary IS NOT NULL
+       AND (summary_message_id IS NULL OR summary_message_id NOT IN (SELECT id FROM path))`,
+    [conversationId]
+  );
+}
+
+/**
+ * Blatt des aktiven Zweigs setzen (z.B. vor dem Neu-Generieren auf die User-Nachricht).
+ * @returns {Promise<boolean>} false, wenn die Nachricht nicht zur Conversation gehoert
+ */
+async function setActiveMessage(conversationId, messageId) {
+  const result = await pool.query(
+    `UPDATE conversations c SET active_message_id = m.id, updated_at = NOW()
+     FROM messages m
+     WHERE c.id = $1 AND m.id = $2 AND m.conversation_id = c.id
+     RETURNING c.id`,
+    [conversationId, messageId]
+  );
+  if (result.rows.length === 0) return false;
+  await clearSummaryOffActivePath(conversationId);
+  return true;
+}
+
+/**
+ * Zweig einer Nachricht aktivieren: von ihr aus jeweils der neuesten Antwort folgen bis zum Blatt.
+ * @returns {Promise<string|null>} ID des neuen Blatts oder null, wenn es die Nachricht nicht gibt
+ */
+async function activateBranch(conversationId, messageId) {
+  const result = await pool.query(
+    `WITH RECURSIVE down (id, depth) AS (
+       SELECT id, 0 FROM messages WHERE id = $2 AND conversation_id = $1
+       UNION ALL
+       SELECT child.id, d.depth + 1
+       FROM down d
+       CROSS JOIN LATERAL (
+         SELECT id FROM messages WHERE parent_message_id = d.id ORDER BY created_at DESC LIMIT 1
+       ) child
+     )
+     SELECT id FROM down ORDER BY depth DESC LIMIT 1`,
+    [conversationId, messageId]
+  );
+  if (result.rows.length === 0) return null;
+  const leafId = result.rows[0].id;
+  await setActiveMessage(conversationId, leafId);
+  return leafId;
+}
+
+async function setMessagePinned(messageId, pinned) {
+  const result = await pool.query(
+    `UPDATE messages SET pinned = $2 WHERE id = $1 RETURNING *`,
+    [messageId, Boolean(pinned)]
+  );
+  return result.rows[0] || null;
+}
+
+// --- Suche ---
+
+// Filter fuer beide Suchmodi; $1 ist jeweils der Suchbegriff bzw. Vektor
+const SEARCH_FILTERS = `
+  AND ($2::varchar IS NULL OR c.agent_id = $2)
+  AND ($3::varchar IS NULL OR m.role = $3)
+  AND ($4::timestamptz IS NULL OR m.created_at >= $4)
+  AND ($5::timestamptz IS NULL OR m.created_at < $5)`;
+
+const SEARCH_COLUMNS = `
+  m.id, m.conversation_id, m.role, m.content, m.created_at,
+  c.agent_id, c.title AS conversation_title, c.parent_conversation_id,
+  COUNT(*) OVER () AS total`;
+
+function searchParams({ agentId, role, from, to, limit, offset }) {
+  return [agentId || null, role || null, from || null, to || null, limit, offset];
+}
+
+/**
+ * Volltextsuche ueber messages.content (websearch-Syntax: "Phrase", OR, -Wort).
+ * Treffer im snippet sind mit [[ ]] markiert.
+ * @param {Object} filters - { query, agentId, role, from, to, limit, offset }
+ */
+async function searchMessages(filters) {
+  const result = await pool.query(
+    `SELECT ${SEARCH_COLUMNS},
+            ts_rank(to_tsvector('simple', m.content), q) AS rank,
+            ts_headline('simple', m.content, q, 'StartSel=[[, StopSel=]], MaxWords=35, MinWords=15, MaxFragments=2') AS snippet
+     FROM messages m
+     JOIN conversations c ON c.id = m.conversation_id,
+          websearch_to_tsquery('simple', $1) q
+     WHERE to_tsvector('simple', m.content) @@ q ${SEARCH_FILTERS}
+     ORDER BY rank DESC, m.created_at DESC
+     LIMIT $6 OFFSET $7`,
+    [filters.query, ...searchParams(filters)]
   );
   return result.rows;
 }
 
-async function upsertAgentMemory(agentId, label, value) {
+/**
+ * Semantische Suche: naechste Embeddings (Kosinus-Distanz) desselben Modells.
+ * @param {number[]} embedding - Embedding des Suchbegriffs
+ * @param {string} model - Embedding-Modell ("<provider>/<modell>")
+ * @param {Object} filters - { agentId, role, from, to, limit, offset }
+ */
+async function searchMessagesByEmbedding(embedding, model, filters) {
   const result = await pool.query(
-    `INSERT INTO agent_memory (agent_id, label, value)
-     VALUES ($1, $2, $3)
-     ON CONFLICT (agent_id, label)
-     DO UPDATE SET value = $3, updated_at = NOW()
-     RETURNING *`,
-    [agentId, label, value]
+    `SELECT ${SEARCH_COLUMNS},
+            1 - (e.embedding <=> $1::vector) AS score
+     FROM message_embeddings e
+     JOIN messages m ON m.id = e.message_id
+     JOIN conversations c ON c.id = m.conversation_id
+     WHERE e.model = $8 ${SEARCH_FILTERS}
+     ORDER BY e.embedding <=> $1::vector
+     LIMIT $6 OFFSET $7`,
+    [JSON.stringify(embedding), ...searchParams(filters), model]
   );
-  return result.rows[0];
+  return result.rows;
+}
+
+/**
+ * Welche der Nachrichten liegen im aktiven Zweig ihrer Conversation?
+ * @param {string[]} messageIds
+ * @returns {Promise<Set<string>>}
+ */
+async function getActiveBranchMessageIds(messageIds) {
+  if (messageIds.length === 0) return new Set();
+  const result = await pool.query(
+    `WITH ${activePath('c.id IN (SELECT conversation_id FROM messages WHERE id = ANY($1::uuid[]))')}
+     SELECT id FROM path WHERE id = ANY($1::uuid[])`,
+    [messageIds]
+  );
+  return new Set(result.rows.map((r) => r.id));
+}
+
+/**
+ * Nachrichten ohne Embedding des angegebenen Modells (User und Assistant mit Text).
+ * Nachrichten, die mit diesem Modell dauerhaft fehlgeschlagen sind, fehlen.
+ */
+async function listMessagesWithoutEmbedding(model, limit = 32) {
+  const result = await pool.query(
+    `SELECT m.id, m.content FROM messages m
+     LEFT JOIN message_embeddings e ON e.message_id = m.id AND e.model = $1
+     LEFT JOIN message_embedding_errors f ON f.message_id = m.id AND f.model = $1
+     WHERE e.message_id IS NULL AND f.message_id IS NULL AND m.role IN ('user', 'assistant') AND m.content <> ''
+     ORDER BY m.created_at ASC
+     LIMIT $2`,
+    [model, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Embeddings speichern; ein Wechsel des Modells ersetzt das alte Embedding.
+ * @param {Array} rows - [{ messageId, embedding }]
+ */
+async function saveMessageEmbeddings(rows, model) {
+  for (const { messageId, embedding } of rows) {
+    await pool.query(
+      `INSERT INTO message_embeddings (message_id, model, embedding)
+       VALUES ($1, $2, $3::vector)
+       ON CONFLICT (message_id) DO UPDATE SET model = $2, embedding = $3::vector, created_at = NOW()`,
+      [messageId, model, JSON.stringify(embedding)]
+    );
+  }
+}
+
+/**
+ * Nachricht fuer dieses Modell als nicht einbettbar markieren.
+ */
+async function saveMessageEmbeddingError(messageId, model, error) {
+  await pool.query(
+    `INSERT INTO message_embedding_errors (message_id, model, error)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (message_id) DO UPDATE SET model = $2, error = $3, created_at = NOW()`,
+    [messageId, model, String(error).substring(0, 2000)]
+  );
+}
+
+function isVectorEnabled() {
+  return vectorEnabled;
+}
+
+// --- Wissensbasis ---
+
+async function listKnowledgeDocuments(agentId) {
+  const result = await pool.query(
+    `SELECT d.*,
+            (SELECT COUNT(*) FROM knowledge_chunks k WHERE k.document_id = d.id) AS chunk_count,
+            (SELECT COUNT(*) FROM knowledge_chunks k WHERE k.document_id = d.id AND k.embedding_model IS NOT NULL) AS embedded_count
+     FROM knowledge_documents d
+     WHERE d.agent_id = $1
+     ORDER BY d.source_type = 'profile' DESC, d.updated_at DESC`,
+    [agentId]
+  );
+  return result.rows;
+}
+
+async function getKnowledgeDocumentByRef(agentId, sourceRef) {
+  const result = await pool.query(
+    `SELECT * FROM knowledge_documents WHERE agent_id = $1 AND source_ref = $2`,
+    [agentId, sourceRef]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Dokument anlegen oder ersetzen (gleiche source_ref), Abschnitte neu schreiben.
+ * Bei unveraendertem Inhalt (content_hash) bleibt alles, wie es ist.
+ * @param {Object} doc - { agentId, title, sourceType, sourceRef, format, contentHash, size }
+ * @param {Array} chunks - [{ heading, content }]
+ * @returns {Promise<Object>} { document, unchanged }
+ */
+async function upsertKnowledgeDocument(doc, chunks) {
+  return withTransaction(async (client) => {
+    const existing = await client.query(
+      `SELECT * FROM knowledge_documents WHERE agent_id = $1 AND source_ref = $2 FOR UPDATE`,
+      [doc.agentId, doc.sourceRef]
+    );
+    if (existing.rows[0]?.content_hash === doc.contentHash && existing.rows[0].title === doc.title) {
+      return { document: existing.rows[0], unchanged: true };
+    }
+
+    const result = await client.query(
+      `INSERT INTO knowledge_documents (agent_id, title, source_type, source_ref, format, content_hash, size)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (agent_id, source_ref) DO UPDATE SET
+         title = $2, source_type = $3, format = $5, content_hash = $6, size = $7, updated_at = NOW()
+       RETURNING *`,
+      [doc.agentId, doc.title, doc.sourceType, doc.sourceRef, doc.format, doc.contentHash, doc.size]
+    );
+    const document = result.rows[0];
+
+    await client.query(`DELETE FROM knowledge_chunks WHERE document_id = $1`, [document.id]);
+    for (const [index, chunk] of chunks.entries()) {
+      await client.query(
+        `INSERT INTO knowledge_chunks (document_id, chunk_index, heading, content) VALUES ($1, $2, $3, $4)`,
+        [document.id, index, chunk.heading || null, chunk.content]
+      );
+    }
+    return { document, unchanged: false };
+  });
+}
+
+async function deleteKnowledgeDocument(agentId, documentId) {
+  const result = await pool.query(
+    `DELETE FROM knowledge_documents WHERE id = $1 AND agent_id = $2 RETURNING id`,
+    [documentId, agentId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Abschnitte eines Agents ohne Embedding des angegebenen Modells.
+ */
+async function listKnowledgeChunksWithoutEmbedding(agentId, model, limit = 32) {
+  const result = await pool.query(
+    `SELECT k.id, k.heading, k.content FROM knowledge_chunks k
+     JOIN knowledge_documents d ON d.id = k.document_id
+     WHERE d.agent_id = $1 AND k.embedding_model IS DISTINCT FROM $2
+     ORDER BY d.updated_at ASC, k.chunk_index ASC
+     LIMIT $3`,
+    [agentId, model, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * @param {Array} rows - [{ chunkId, embedding }]
+ */
+async function saveKnowledgeEmbeddings(rows, model) {
+  for (const { chunkId, embedding } of rows) {
+    await pool.query(
+      `UPDATE knowledge_chunks SET embedding = $2::vector, embedding_model = $3 WHERE id = $1`,
+      [chunkId, JSON.stringify(embedding), model]
+    );
+  }
+}
+
+const KNOWLEDGE_COLUMNS = `
+  k.id, k.document_id, k.chunk_index, k.heading, k.content,
+  d.title, d.source_type, d.source_ref`;
+
+/**
+ * Volltext: Abschnitte, die einen der Begriffe enthalten, nach Rang.
+ * @param {string[]} terms - Nur Buchstaben/Ziffern (werden mit | verknuepft)
+ */
+async function searchKnowledgeChunks(agentId, terms, limit) {
+  const result = await pool.query(
+    `SELECT ${KNOWLEDGE_COLUMNS}, ts_rank(to_tsvector('simple', k.content), q) AS score
+     FROM knowledge_chunks k
+     JOIN knowledge_documents d ON d.id = k.document_id,
+          to_tsquery('simple', $2) q
+     WHERE d.agent_id = $1 AND to_tsvector('simple', k.content) @@ q
+     ORDER BY score DESC
+     LIMIT $3`,
+    [agentId, terms.join(' | '), limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Semantisch: naechste Abschnitte (Kosinus-Aehnlichkeit) mit Embedding desselben Modells.
+ */
+async function searchKnowledgeChunksByEmbedding(agentId, embedding, model, limit) {
+  const result = await pool.query(
+    `SELECT ${KNOWLEDGE_COLUMNS}, 1 - (k.embedding <=> $2::vector) AS score
+     FROM knowledge_chunks k
+     JOIN knowledge_documents d ON d.id = k.document_id
+     WHERE d.agent_id = $1 AND k.embedding_model = $3
+     ORDER BY k.embedding <=> $2::vector
+     LIMIT $4`,
+    [agentId, JSON.stringify(embedding), model, limit]
+  );
+  return result.rows;
+}
+
+// --- QA-Bewertungen ---
+
+async function createConversationReview({ conversationId, agentId, reviewerAgentId, trigger }) {
+  const result = await pool.query(
+    `INSERT INTO conversation_reviews (conversation_id, agent_id, reviewer_agent_id, trigger)
+     VALUES ($1, $2, $3, $4) RETURNING *`,
+    [conversationId, agentId, reviewerAgentId, trigger || 'manual']
+  );
+  return result.rows[0];
+}
+
+/**
+ * Ergebnis einer Bewertung speichern; completed_at wird mit dem Endstatus gesetzt.
+ */
+async function updateConversationReview(reviewId, fields) {
+  const { status, reviewConversationId, overallScore, scores, recommendedDisposition, review, valid, error } = fields;
+  const result = await pool.query(
+    `UPDATE conversation_reviews SET
+       status = COALESCE($2, status),
+       review_conversation_id = COALESCE($3, review_conversation_id),
+       overall_score = COALESCE($4, overall_score),
+       scores = COALESCE($5, scores),
+       recommended_disposition = COALESCE($6, recommended_disposition),
+       review = COALESCE($7, review),
+       valid = COALESCE($8, valid),
+       error = COALESCE($9, error),
+       completed_at = CASE WHEN COALESCE($2, status) <> 'pending' THEN NOW() ELSE completed_at END
+     WHERE id = $1 RETURNING *`,
+    [
+      reviewId,
+      status || null,
+      reviewConversationId || null,
+      overallScore ?? null,
+      scores ? JSON.stringify(scores) : null,
+      recommendedDisposition || null,
+      review ? JSON.stringify(review) : null,
+      valid ?? null,
+      error || null,
+    ]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Bewertungen filtern, neueste zuerst.
+ */
+async function listConversationReviews({ agentId, conversationId, limit = 100 } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM conversation_reviews
+     WHERE ($1::text IS NULL OR agent_id = $1)
+       AND ($2::uuid IS NULL OR conversation_id = $2)
+     ORDER BY created_at DESC LIMIT $3`,
+    [agentId || null, conversationId || null, limit]
+  );
+  return result.rows;
+}
+
+// --- Call-Simulationen ---
+
+async function createCallSimulation({ agentId, conversationId, persona, config }) {
+  const result = await pool.query(
+    `INSERT INTO call_simulations (agent_id, conversation_id, persona, config)
+     VALUES ($1, $2, $3, $4) RETURNING *`,
+    [agentId, conversationId || null, JSON.stringify(persona), JSON.stringify(config || {})]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Zwischenstand bzw. Ergebnis einer Simulation speichern.
+ * finished_at wird gesetzt, sobald status nicht mehr 'running' ist.
+ */
+async function updateCallSimulation(simulationId, { status, endReason, transcript, disposition, checks, error }) {
+  const result = await pool.query(
+    `UPDATE call_simulations SET
+       status = COALESCE($2, status),
+       end_reason = COALESCE($3, end_reason),
+       transcript = COALESCE($4, transcript),
+       disposition = COALESCE($5, disposition),
+       checks = COALESCE($6, checks),
+       error = COALESCE($7, error),
+       finished_at = CASE WHEN COALESCE($2, status) <> 'running' THEN NOW() ELSE finished_at END
+     WHERE id = $1 RETURNING *`,
+    [
+      simulationId,
+      status || null,
+      endReason || null,
+      transcript ? JSON.stringify(transcript) : null,
+      disposition || null,
+      checks ? JSON.stringify(checks) : null,
+      error || null,
+    ]
+  );
+  return result.rows[0] || null;
+}
+
+async function getCallSimulation(simulationId) {
+  const result = await pool.query(`SELECT * FROM call_simulations WHERE id = $1`, [simulationId]);
+  return result.rows[0] || null;
+}
+
+async function listCallSimulations({ agentId } = {}) {
+  const result = await pool.query(
+    `SELECT id, agent_id, conversation_id, persona, status, end_reason, disposition, checks, error, created_at, finished_at
+     FROM call_simulations
+     WHERE ($1::text IS NULL OR agent_id = $1)
+     ORDER BY created_at DESC LIMIT 100`,
+    [agentId || null]
+  );
+  return result.rows;
+}
+
+// --- Agent Memory Queries ---
+
+async function getAgentMemory(agentId) {
+  const result = await pool.query(
+    `SELECT * FROM agent_memory WHERE agent_id = $1 ORDER BY label ASC`,
+    [agentId]
+  );
+  return result.rows;
+}
+
+/**
+ * Callback in einer Transaktion ausfuehren (BEGIN/COMMIT/ROLLBACK).
+ * @param {Function} callback - async (client) => result
+ */
+async function withTransaction(callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function insertMemoryHistory(client, agentId, label, { operation, oldValue, newValue, actor, conversationId }) {
+  await client.query(
+    `INSERT INTO agent_memory_history (agent_id, label, operation, old_value, new_value, actor, conversation_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [agentId, label, operation, oldValue, newValue, actor, conversationId || null]
+  );
+}
+
+/**
+ * Memory-Block setzen und die Aenderung in agent_memory_history protokollieren.
+ * @param {Object} meta - { actor: 'user'|'agent'|'seed', operation, conversationId }
+ */
+async function upsertAgentMemory(agentId, label, value, { actor = 'user', operation, conversationId = null } = {}) {
+  return withTransaction(async (client) => {
+    const current = await client.query(
+      `SELECT value FROM agent_memory WHERE agent_id = $1 AND label = $2 FOR UPDATE`,
+      [agentId, label]
+    );
+    const oldValue = current.rows.length > 0 ? current.rows[0].value : null;
+
+    const result = await client.query(
+      `INSERT INTO agent_memory (agent_id, label, value)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (agent_id, label)
+       DO UPDATE SET value = $3, updated_at = NOW()
+       RETURNING *`,
+      [agentId, label, value]
+    );
+
+    if (oldValue !== value) {
+      await insertMemoryHistory(client, agentId, label, {
+        operation: operation || (oldValue === null ? 'create' : 'update'),
+        oldValue,
+        newValue: value,
+        actor,
+        conversationId,
+      });
+    }
+
+    return result.rows[0];
+  });
+}
+
+/**
+ * Memory-Block transaktional bearbeiten und die Aenderung protokollieren.
+ * applyEdit bekommt den aktuellen Wert und liefert den neuen (oder wirft).
+ * @param {Function} applyEdit - (oldValue) => newValue
+ * @param {Object} meta - { operation, actor, conversationId }
+ */
+async function editAgentMemory(agentId, label, applyEdit, { operation, actor, conversationId = null }) {
+  return withTransaction(async (client) => {
+    const current = await client.query(
+      `SELECT value FROM agent_memory WHERE agent_id = $1 AND label = $2 FOR UPDATE`,
+      [agentId, label]
+    );
+    if (current.rows.length === 0) {
+      throw new Error(`Memory-Block '${label}' nicht gefunden`);
+    }
+
+    const oldValue = current.rows[0].value;
+    const newValue = applyEdit(oldValue);
+
+    const result = await client.query(
+      `UPDATE agent_memory SET value = $3, updated_at = NOW()
+       WHERE agent_id = $1 AND label = $2
+       RETURNING *`,
+      [agentId, label, newValue]
+    );
+    await insertMemoryHistory(client, agentId, label, { operation, oldValue, newValue, actor, conversationId });
+
+    return result.rows[0];
+  });
+}
+
+async function getAgentMemoryHistory(agentId, label, limit = 100) {
+  const result = await pool.query(
+    `SELECT * FROM agent_memory_history
+     WHERE agent_id = $1 AND label = $2
+     ORDER BY created_at DESC
+     LIMIT $3`,
+    [agentId, label, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Memory-Blocks eines Agents zu einem frueheren Zeitpunkt, aus agent_memory_history
+ * rekonstruiert. Blocks ohne Historie gelten mit ihrem aktuellen Wert.
+ * @param {Date|string} at
+ * @returns {Promise<Array>} [{ label, value }] wie getAgentMemory
+ */
+async function getAgentMemoryAt(agentId, at) {
+  // Pro Label: letzter Stand bis "at", sonst der alte Wert der ersten spaeteren Aenderung
+  const result = await pool.query(
+    `SELECT label, value FROM (
+       SELECT DISTINCT ON (label) label,
+              CASE WHEN created_at <= $2 THEN new_value ELSE old_value END AS value
+       FROM agent_memory_history
+       WHERE agent_id = $1
+       ORDER BY label, (created_at <= $2) DESC,
+                CASE WHEN created_at <= $2 THEN created_at END DESC NULLS LAST, created_at ASC
+     ) h
+     WHERE value IS NOT NULL
+     UNION ALL
+     SELECT label, value FROM agent_memory m
+     WHERE agent_id = $1
+       AND NOT EXISTS (SELECT 1 FROM agent_memory_history h WHERE h.agent_id = m.agent_id AND h.label = m.label)
+     ORDER BY label ASC`,
+    [agentId, at]
+  );
+  return result.rows;
+}
+
+async function getAgentMemoryHistoryEntry(historyId) {
+  const result = await pool.query(
+    `SELECT * FROM agent_memory_history WHERE id = $1`,
+    [historyId]
+  );
+  return result.rows[0] || null;
+}
+
+// --- Agent-Profilversionen ---
+
+// Versionsnummern pro Agent fortlaufend vergeben (serialisiert ueber Advisory-Lock)
+async function insertAgentVersion(client, { agentId, profile, profileHash, source, status, baseVersion, changeNote, proposedBy }) {
+  await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [`agent_profile_versions:${agentId}`]);
+  const result = await client.query(
+    `INSERT INTO agent_profile_versions
+       (agent_id, version_number, profile, profile_hash, source, status, base_version, change_note, proposed_by)
+     SELECT $1::varchar, COALESCE(MAX(version_number), 0) + 1, $2, $3, $4, $5, $6, $7, $8
+     FROM agent_profile_versions WHERE agent_id = $1::varchar
+     RETURNING *`,
+    [agentId, JSON.stringify(profile), profileHash, source, status, baseVersion ?? null, changeNote || null, proposedBy || null]
+  );
+  return result.rows[0];
+}
+
+async function activateVersion(client, agentId, versionId) {
+  await client.query(
+    `UPDATE agent_profile_versions SET status = 'superseded' WHERE agent_id = $1 AND status = 'active'`,
+    [agentId]
+  );
+  const result = await client.query(
+    `UPDATE agent_profile_versions SET status = 'active', promoted_at = NOW() WHERE id = $1 RETURNING *`,
+    [versionId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Profil aus der Quelle (JSON-Datei oder stored_agents) als Version uebernehmen.
+ * Neue oder geaenderte Quelle -> neue Version (source 'seed'), die sofort aktiv wird.
+ * Unveraenderte Quelle -> die aktive Version bleibt (auch wenn sie ueber die API befoerdert wurde).
+ * @param {Object} options - { changeNote: Notiz statt der Standard-Notiz fuer Profil-Dateien }
+ * @returns {Promise<Object>} Aktive Version
+ */
+async function seedAgentVersion(agentId, profile, profileHash, { changeNote } = {}) {
+  return withTransaction(async (client) => {
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [`agent_profile_versions:${agentId}`]);
+    const latestSeed = await client.query(
+      `SELECT profile_hash FROM agent_profile_versions
+       WHERE agent_id = $1 AND source = 'seed'
+       ORDER BY version_number DESC LIMIT 1`,
+      [agentId]
+    );
+    const active = await client.query(
+      `SELECT * FROM agent_profile_versions WHERE agent_id = $1 AND status = 'active'`,
+      [agentId]
+    );
+
+    if (latestSeed.rows[0]?.profile_hash === profileHash && active.rows.length > 0) {
+      return active.rows[0];
+    }
+
+    const version = await insertAgentVersion(client, {
+      agentId,
+      profile,
+      profileHash,
+      source: 'seed',
+      status: 'approved',
+      baseVersion: active.rows[0]?.version_number,
+      changeNote: changeNote || (latestSeed.rows.length > 0 ? 'Profil-Datei geaendert' : 'Initial aus Profil-Datei'),
+    });
+    return activateVersion(client, agentId, version.id);
+  });
+}
+
+async function createAgentVersion({ agentId, profile, profileHash, baseVersion, changeNote, proposedBy }) {
+  return withTransaction((client) => insertAgentVersion(client, {
+    agentId,
+    profile,
+    profileHash,
+    source: 'api',
+    status: 'proposed',
+    baseVersion,
+    changeNote,
+    proposedBy,
+  }));
+}
+
+async function getAgentVersion(agentId, versionNumber) {
+  const result = await pool.query(
+    `SELECT * FROM agent_profile_versions WHERE agent_id = $1 AND version_number = $2`,
+    [agentId, versionNumber]
+  );
+  return result.rows[0] || null;
+}
+
+async function getActiveAgentVersion(agentId) {
+  const result = await pool.query(
+    `SELECT * FROM agent_profile_versions WHERE agent_id = $1 AND status = 'active'`,
+    [agentId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Versionen eines Agents (neueste zuerst) inkl. Anzahl Conversations pro Version.
+ */
+async function listAgentVersions(agentId) {
+  const result = await pool.query(
+    `SELECT v.*,
+            (SELECT COUNT(*) FROM conversations c WHERE c.profile_version_id = v.id) AS conversation_count
+     FROM agent_profile_versions v
+     WHERE v.agent_id = $1
+     ORDER BY v.version_number DESC`,
+    [agentId]
+  );
+  return result.rows;
+}
+
+/**
+ * Vorschlag freigeben oder ablehnen. Nur Versionen mit status 'proposed'.
+ * @param {string} status - 'approved' | 'rejected'
+ * @returns {Promise<Object|null>} null, wenn die Version nicht (mehr) offen ist
+ */
+async function reviewAgentVersion(agentId, versionNumber, status, { reviewedBy, note } = {}) {
+  const result = await pool.query(
+    `UPDATE agent_profile_versions
+     SET status = $3, reviewed_by = $4, review_note = $5, reviewed_at = NOW()
+     WHERE agent_id = $1 AND version_number = $2 AND status = 'proposed'
+     RETURNING *`,
+    [agentId, versionNumber, status, reviewedBy || null, note || null]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Version aktiv schalten; die bisher aktive wird 'superseded'.
+ * @param {string[]} fromStatus - Erlaubte Ausgangsstatus ('approved' fuer Promote, 'superseded' fuer Rollback)
+ * @returns {Promise<Object|null>} { version, previous } oder null, wenn der Status nicht passt
+ */
+async function promoteAgentVersion(agentId, versionNumber, fromStatus) {
+  return withTransaction(async (client) => {
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [`agent_profile_versions:${agentId}`]);
+    const target = await client.query(
+      `SELECT * FROM agent_profile_versions WHERE agent_id = $1 AND version_number = $2`,
+      [agentId, versionNumber]
+    );
+    if (target.rows.length === 0 || !fromStatus.includes(target.rows[0].status)) return null;
+
+    const previous = await client.query(
+      `SELECT * FROM agent_profile_versions WHERE agent_id = $1 AND status = 'active'`,
+      [agentId]
+    );
+    const version = await activateVersion(client, agentId, target.rows[0].id);
+    return { version, previous: previous.rows[0] || null };
+  });
+}
+
+/**
+ * Zuletzt abgeloeste Version (Standardziel fuer einen Rollback).
+ */
+async function getPreviousAgentVersion(agentId) {
+  const result = await pool.query(
+    `SELECT * FROM agent_profile_versions
+     WHERE agent_id = $1 AND status = 'superseded'
+     ORDER BY promoted_at DESC NULLS LAST, version_number DESC LIMIT 1`,
+    [agentId]
+  );
+  return result.rows[0] || null;
+}
+
+// --- Gespeicherte Agents (CRUD ueber die API) ---
+
+async function listStoredAgents() {
+  const result = await pool.query('SELECT * FROM stored_agents ORDER BY agent_id');
+  return result.rows;
+}
+
+/**
+ * Agent anlegen.
+ * @returns {Promise<Object|null>} Neue Zeile oder null, wenn die id schon vergeben ist
+ */
+async function createStoredAgent(agentId, profile) {
+  const result = await pool.query(
+    `INSERT INTO stored_agents (agent_id, profile)
+     VALUES ($1, $2)
+     ON CONFLICT (agent_id) DO NOTHING
+     RETURNING *`,
+    [agentId, JSON.stringify(profile)]
+  );
+  return result.rows[0] || null;
+}
+
+async function updateStoredAgent(agentId, profile) {
+  const result = await pool.query(
+    `UPDATE stored_agents SET profile = $2, updated_at = NOW()
+     WHERE agent_id = $1 RETURNING *`,
+    [agentId, JSON.stringify(profile)]
+  );
+  return result.rows[0] || null;
+}
+
+async function deleteStoredAgent(agentId) {
+  const result = await pool.query('DELETE FROM stored_agents WHERE agent_id = $1 RETURNING agent_id', [agentId]);
+  return result.rowCount > 0;
+}
+
+// --- Tool Approval Queries ---
+
+async function createToolApproval({ agentId, conversationId, toolCallId, toolName, toolArguments }) {
+  const result = await pool.query(
+    `INSERT INTO tool_approvals (agent_id, conversation_id, tool_call_id, tool_name, arguments)
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [agentId, conversationId || null, toolCallId || null, toolName, JSON.stringify(toolArguments ?? null)]
+  );
+  return result.rows[0];
+}
+
+async function getToolApproval(approvalId) {
+  const result = await pool.query(`SELECT * FROM tool_approvals WHERE id = $1`, [approvalId]);
+  return result.rows[0] || null;
+}
+
+async function listToolApprovals({ status, conversationId } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM tool_approvals
+     WHERE ($1::text IS NULL OR status = $1) AND ($2::uuid IS NULL OR conversation_id = $2)
+     ORDER BY created_at DESC LIMIT 100`,
+    [status || null, conversationId || null]
+  );
+  return result.rows;
+}
+
+/**
+ * Offene Freigabe entscheiden. Gibt null zurueck, wenn sie nicht (mehr) offen ist.
+ */
+async function decideToolApproval(approvalId, status, reason) {
+  const result = await pool.query(
+    `UPDATE tool_approvals SET status = $2, reason = $3, decided_at = NOW()
+     WHERE id = $1 AND status = 'pending' RETURNING *`,
+    [approvalId, status, reason || null]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Offene Freigaben ablaufen lassen (nach Neustart wartet kein Tool-Loop mehr darauf).
+ */
+async function expirePendingToolApprovals() {
+  const result = await pool.query(
+    `UPDATE tool_approvals SET status = 'expired', reason = 'Server neu gestartet', decided_at = NOW()
+     WHERE status = 'pending' RETURNING id`
+  );
+  return result.rows.length;
+}
+
+// --- Agent Event Queries ---
+
+async function createAgentEvent(event) {
+  const result = await pool.query(
+    `INSERT INTO agent_events
+       (parent_event_id, source_agent_id, source_conversation_id, trigger_name, target_agent_id,
+        payload_type, payload, depth, status, error)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+    [
+      event.parentEventId || null,
+      event.sourceAgentId,
+      event.sourceConversationId || null,
+      event.triggerName,
+      event.targetAgentId,
+      event.payloadType || null,
+      JSON.stringify(event.payload ?? null),
+      event.depth || 0,
+      event.status || 'pending',
+      event.error || null,
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Status und/oder Ziel-Conversation eines Events setzen.
+ */
+async function updateAgentEvent(eventId, { status, error, targetConversationId }) {
+  const result = await pool.query(
+    `UPDATE agent_events SET
+       status = COALESCE($2, status),
+       error = COALESCE($3, error),
+       target_conversation_id = COALESCE($4, target_conversation_id),
+       delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE delivered_at END
+     WHERE id = $1 RETURNING *`,
+    [eventId, status || null, error || null, targetConversationId || null]
+  );
+  return result.rows[0] || null;
+}
+
+async function getAgentEvent(eventId) {
+  const result = await pool.query(`SELECT * FROM agent_events WHERE id = $1`, [eventId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Event, das eine Conversation gestartet hat (null bei normalen Conversations).
+ */
+async function getAgentEventByTargetConversation(conversationId) {
+  const result = await pool.query(
+    `SELECT * FROM agent_events WHERE target_conversation_id = $1 ORDER BY created_at ASC LIMIT 1`,
+    [conversationId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Events filtern: Agent (als Quelle oder Ziel) und/oder Conversation (als Quelle oder Ziel).
+ */
+async function listAgentEvents({ agentId, conversationId } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM agent_events
+     WHERE ($1::text IS NULL OR source_agent_id = $1 OR target_agent_id = $1)
+       AND ($2::uuid IS NULL OR source_conversation_id = $2 OR target_conversation_id = $2)
+     ORDER BY created_at DESC LIMIT 100`,
+    [agentId || null, conversationId || null]
+  );
+  return result.rows;
+}
+
+/**
+ * Komplette Kette eines Events: vom Ursprungs-Event aus alle Nachfolger.
+ */
+async function getAgentEventChain(eventId) {
+  const result = await pool.query(
+    `WITH RECURSIVE ancestors AS (
+       SELECT * FROM agent_events WHERE id = $1
+       UNION ALL
+       SELECT e.* FROM agent_events e JOIN ancestors a ON e.id = a.parent_event_id
+     ),
+     root AS (
+       SELECT id FROM ancestors WHERE parent_event_id IS NULL LIMIT 1
+     ),
+     chain AS (
+       SELECT e.* FROM agent_events e WHERE e.id = (SELECT id FROM root)
+       UNION ALL
+       SELECT e.* FROM agent_events e JOIN chain c ON e.parent_event_id = c.id
+     )
+     SELECT * FROM chain ORDER BY depth ASC, created_at ASC`,
+    [eventId]
+  );
+  return result.rows;
 }
 
 async function deleteAgentMemory(agentId, label) {
@@ -204,14 +1700,77 @@ async function healthCheck() {
 module.exports = {
   pool,
   initDatabase,
+  withTransaction,
   createConversation,
+  createChildConversation,
+  listChildConversations,
   getConversation,
   listConversations,
+  listConversationsWithMessages,
+  importConversation,
   deleteConversation,
+  updateConversationVariables,
+  closeConversation,
   addMessage,
   getMessages,
+  getContextMessages,
+  updateConversationSummary,
+  getMessage,
+  setMessagePinned,
+  getTurnStart,
+  setActiveMessage,
+  activateBranch,
+  searchMessages,
+  searchMessagesByEmbedding,
+  getActiveBranchMessageIds,
+  listMessagesWithoutEmbedding,
+  saveMessageEmbeddings,
+  saveMessageEmbeddingError,
+  isVectorEnabled,
+  listKnowledgeDocuments,
+  getKnowledgeDocumentByRef,
+  upsertKnowledgeDocument,
+  deleteKnowledgeDocument,
+  listKnowledgeChunksWithoutEmbedding,
+  saveKnowledgeEmbeddings,
+  searchKnowledgeChunks,
+  searchKnowledgeChunksByEmbedding,
   getAgentMemory,
   upsertAgentMemory,
+  editAgentMemory,
+  getAgentMemoryHistory,
+  getAgentMemoryAt,
+  getAgentMemoryHistoryEntry,
   deleteAgentMemory,
+  createToolApproval,
+  getToolApproval,
+  listToolApprovals,
+  decideToolApproval,
+  expirePendingToolApprovals,
+  createAgentEvent,
+  updateAgentEvent,
+  getAgentEvent,
+  getAgentEventByTargetConversation,
+  listAgentEvents,
+  getAgentEventChain,
+  seedAgentVersion,
+  createAgentVersion,
+  getAgentVersion,
+  getActiveAgentVersion,
+  listAgentVersions,
+  reviewAgentVersion,
+  promoteAgentVersion,
+  getPreviousAgentVersion,
+  listStoredAgents,
+  createStoredAgent,
+  updateStoredAgent,
+  deleteStoredAgent,
+  createConversationReview,
+  updateConversationReview,
+  listConversationReviews,
+  createCallSimulation,
+  updateCallSimulation,
+  getCallSimulation,
+  listCallSimulations,
   healthCheck,
 };
@@ -0,0 +1,81 @@
+/**
+ * Laufende Generierungen pro Conversation.
+ *
+ * Der Stream-Route legt pro Anfrage einen Eintrag an; abgebrochen wird, wenn der
+ * Client die Verbindung trennt oder POST /api/conversations/:id/cancel kommt.
+ * Das AbortSignal geht an den Tool-Loop, der den Provider-Stream stoppt und die
+ * bisherige Ausgabe zurueckgibt. Turns ohne Stream (/chat, Upload, Hintergrund-Turns,
+ * Bearbeiten, Neu generieren) und Zweigwechsel tragen sich nicht abbrechbar ein, damit
+ * isRunning sie sieht. Die Eintraege liegen nur im Speicher dieses Prozesses.
+ */
+
+// conversationId -> Set von Generierungen
+const running = new Map();
+
+/**
+ * Generierung registrieren.
+ * @param {string} conversationId
+ * @param {Object} options - { cancellable: false = cancel() laesst sie laufen }
+ * @returns {Object} { conversationId, signal, cancellable, reason, cancel(reason) }
+ */
+function start(conversationId, { cancellable = true } = {}) {
+  const controller = new AbortController();
+  const generation = {
+    conversationId,
+    signal: controller.signal,
+    cancellable,
+    reason: null,
+    cancel(reason) {
+      if (controller.signal.aborted) return;
+      generation.reason = reason;
+      controller.abort();
+    },
+  };
+
+  if (!running.has(conversationId)) running.set(conversationId, new Set());
+  running.get(conversationId).add(generation);
+  return generation;
+}
+
+/**
+ * Generierung austragen (nach Abschluss, Fehler oder Abbruch).
+ */
+function finish(generation) {
+  const set = running.get(generation.conversationId);
+  if (!set) return;
+  set.delete(generation);
+  if (set.size === 0) running.delete(generation.conversationId);
+}
+
+/**
+ * Alle abbrechbaren Generierungen einer Conversation abbrechen.
+ * @param {string} conversationId
+ * @param {string} reason - 'api' | 'disconnect'
+ * @returns {number} Anzahl abgebrochener Generierungen
+ */
+function cancel(conversationId, reason) {
+  const set = running.get(conversationId);
+  if (!set) return 0;
+  let count = 0;
+  for (const generation of set) {
+    if (generation.cancellable && !generation.signal.aborted) {
+      generation.cancel(reason);
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Laeuft in der Conversation gerade eine Generierung?
+ */
+function isRunning(conversationId) {
+  return running.has(conversationId);
+}
+
+module.exports = {
+  start,
+  finish,
+  cancel,
+  isRunning,
+};
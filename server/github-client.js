@@ -499,6 +499,11 @@ const tools = [
   }
 ];
 
+/**
+ * Tools that change data on GitHub (need approval under auto_approve_read_only)
+ */
+const writeTools = ['github_create_issue', 'github_create_or_update_file'];
+
 /**
  * Execute a GitHub function by name
  * @param {string} name - Function name
@@ -560,5 +565,6 @@ async function executeFunction(name, args, token) {
 
 module.exports = {
   tools,
+  writeTools,
   executeFunction
 };
@@ -2,12 +2,29 @@ require('dotenv').config();
 
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs');
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
+const util = require('util');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
 const db = require('./db');
 const ollama = require('./ollama-client');
+const providers = require('./provider-registry');
 const toolExecutor = require('./tool-executor');
+const toolRegistry = require('./tool-registry');
+const promptBuilder = require('./prompt-builder');
+const approvals = require('./approvals');
+const generations = require('./generations');
+const contextWindow = require('./context-window');
+const messageSearch = require('./message-search');
+const knowledgeBase = require('./knowledge-base');
+const conversationExport = require('./conversation-export');
+const agentEvents = require('./agent-events');
+const tasks = require('./task-delegation');
+const schemas = require('./schema-registry');
+const voicePolicies = require('./voice-policies');
+const callSimulator = require('./call-simulator');
+const qaReviews = require('./qa-reviews');
+const agentVersions = require('./agent-versions');
+const agentLoader = require('./agent-loader');
 const githubClient = require('./github-client');
 const linearClient = require('./linear-client');
 
@@ -24,61 +41,173 @@ app.use(express.static(path.join(__dirname, 'public')));
 // In-Memory Agent-Registry
 const agents = new Map();
 
+// Profile wie in den JSON-Dateien: agentId -> { file, config, hash } (Seed fuer agent_profile_versions)
+const agentProfiles = new Map();
+
+// Ueber die API angelegte Agents: agentId -> { config, hash } (Seed aus stored_agents)
+const storedProfiles = new Map();
+
 // ===================================================
 // Agent-Konfigurationen laden
 // ===================================================
 
-function loadAgents() {
-  const agentDir = '/agents';
-  let loaded = 0;
-  let skipped = 0;
+/**
+ * Profil (JSON-Datei oder gespeicherte Version) auf einen Registry-Eintrag abbilden.
+ */
+function toAgent(config, sourceFile) {
+  return {
+    id: config.id,
+    name: config.name || config.id,
+    description: config.description || '',
+    systemInstructions: config.systemInstructions,
+    modelPreferences: config.modelPreferences || {},
+    lettaConfig: config.lettaConfig || {},
+    frameworks: config.frameworks || [],
+    knowledge: config.knowledge || {},
+    interAgentCommunication: config.interAgentCommunication || {},
+    version: config.version || '1.0.0',
+    agentVersion: config.agentVersion,
+    templateVariables: config.templateVariables || {},
+    outputSchemaRef: config.outputSchemaRef,
+    voicePolicyRef: config.voicePolicyRef,
+    createdAt: config.createdAt,
+    sourceFile,
+  };
+}
+
+/**
+ * Herkunft eines Agents: Profil-Datei oder ueber die API angelegt.
+ */
+function agentStorage(agentId) {
+  return storedProfiles.has(agentId) ? 'database' : 'file';
+}
+
+function registerAgentFile(entry) {
+  agents.set(entry.config.id, toAgent(entry.config, entry.file));
+  agentProfiles.set(entry.config.id, { file: entry.file, config: entry.config, hash: entry.hash });
+}
 
-  if (!fs.existsSync(agentDir)) {
-    console.warn('[Agents] Verzeichnis /agents nicht gefunden!');
+function logProfileWarnings(report) {
+  for (const entry of report.filter((r) => r.warnings)) {
+    for (const warning of entry.warnings) {
+      console.warn(`[Agents] ${entry.file}: ${warning}`);
+    }
+  }
+}
+
+function loadAgents() {
+  const entries = agentLoader.readAgentDir();
+  if (!entries) {
+    console.warn(`[Agents] Verzeichnis ${agentLoader.AGENT_DIR} nicht gefunden!`);
     return;
   }
 
-  const files = fs.readdirSync(agentDir).filter((f) => f.endsWith('.json'));
+  const { report, upserts } = agentLoader.planReload(agentProfiles, entries);
+  upserts.forEach(registerAgentFile);
+  for (const entry of report.filter((r) => r.status === 'failed')) {
+    console.warn(`[Agents] Uebersprungen: ${entry.file}`);
+    for (const error of entry.errors) console.warn(`    ${error}`);
+  }
+  logProfileWarnings(report);
 
-  for (const file of files) {
-    try {
-      const filePath = path.join(agentDir, file);
-      const raw = fs.readFileSync(filePath, 'utf-8');
-      const config = JSON.parse(raw);
-
-      // Nur Dateien mit id und systemInstructions laden
-      if (!config.id || !config.systemInstructions) {
-        console.warn(`[Agents] Uebersprungen (kein id/systemInstructions): ${file}`);
-        skipped++;
-        continue;
+  console.log(`[Agents] ${upserts.length} Agents geladen, ${report.length - upserts.length} uebersprungen`);
+  console.log('[Agents] Geladene Agents:');
+  for (const [id, agent] of agents) {
+    console.log(`  - ${id}: ${agent.name}`);
+  }
+}
+
+// Reloads nacheinander ausfuehren (Watcher und API koennen gleichzeitig ausloesen)
+let reloadQueue = Promise.resolve();
+
+/**
+ * Agent-Verzeichnis neu einlesen und geaenderte Profile austauschen.
+ * Laufende Requests behalten ihr Agent-Objekt; neue Requests sehen den neuen Stand.
+ * @param {string} trigger - 'watch' | 'api'
+ * @returns {Promise<Object>} { trigger, summary, files, agents }
+ */
+function reloadAgents(trigger) {
+  const run = reloadQueue.then(async () => {
+    const entries = agentLoader.readAgentDir();
+    if (!entries) {
+      throw new Error(`Verzeichnis ${agentLoader.AGENT_DIR} nicht gefunden`);
+    }
+
+    const { report, upserts, removals } = agentLoader.planReload(agentProfiles, entries, new Set(storedProfiles.keys()));
+    upserts.forEach(registerAgentFile);
+    for (const agentId of removals) {
+      agents.delete(agentId);
+      agentProfiles.delete(agentId);
+    }
+
+    if (upserts.length > 0) {
+      // Geaenderte Dateien werden wie beim Start zur aktiven Version
+      const active = await agentVersions.seedFromFiles(new Map(upserts.map((e) => [e.config.id, e.config])));
+      for (const version of active.values()) applyProfileVersion(version);
+      if (report.some((r) => r.status === 'added')) {
+        await initAgentMemory().catch((err) => console.warn('[Agents] Memory-Initialisierung:', err.message));
       }
+    }
 
-      agents.set(config.id, {
-        id: config.id,
-        name: config.name || config.id,
-        description: config.description || '',
-        systemInstructions: config.systemInstructions,
-        modelPreferences: config.modelPreferences || {},
-        lettaConfig: config.lettaConfig || {},
-        frameworks: config.frameworks || [],
-        knowledge: config.knowledge || {},
-        version: config.version || '1.0.0',
-        createdAt: config.createdAt,
-        sourceFile: file,
-      });
+    const summary = agentLoader.summarize(report);
+    if (trigger === 'api' || upserts.length > 0 || removals.length > 0 || summary.failed > 0) {
+      console.log(`[Agents] Reload (${trigger}): ${Object.entries(summary).map(([k, v]) => `${k} ${v}`).join(', ')}`);
+      for (const entry of report.filter((r) => r.status === 'failed')) {
+        console.warn(`[Agents] ${entry.file}: ${entry.errors.join('; ')}${entry.kept ? ' (alter Stand bleibt aktiv)' : ''}`);
+      }
+      logProfileWarnings(report.filter((r) => r.status !== 'unchanged'));
+    }
+    return { trigger, summary, files: report, agents: agents.size };
+  });
+  reloadQueue = run.catch(() => {});
+  return run;
+}
 
-      loaded++;
-    } catch (err) {
-      console.error(`[Agents] Fehler beim Laden von ${file}:`, err.message);
-      skipped++;
+// ===================================================
+// Profilversionen: aktive Version aus der Datenbank verwenden
+// ===================================================
+
+/**
+ * Version in die Registry uebernehmen. Laufende Requests behalten ihr Agent-Objekt.
+ */
+function applyProfileVersion(version) {
+  const current = agents.get(version.agent_id);
+  if (!current) return;
+  agents.set(version.agent_id, {
+    ...toAgent(version.profile, current.sourceFile),
+    profileVersion: { id: version.id, version: version.version_number, source: version.source },
+  });
+}
+
+/**
+ * Ueber die API angelegte Agents aus stored_agents laden.
+ * Eine Profil-Datei mit derselben id hat Vorrang.
+ */
+async function loadStoredAgents() {
+  const rows = await db.listStoredAgents();
+  for (const row of rows) {
+    if (agentProfiles.has(row.agent_id)) {
+      console.warn(`[Agents] Gespeicherter Agent ${row.agent_id} uebersprungen: Profil-Datei mit derselben id`);
+      continue;
     }
+    agents.set(row.agent_id, toAgent(row.profile, null));
+    storedProfiles.set(row.agent_id, { config: row.profile, hash: agentVersions.hashProfile(row.profile) });
   }
+  console.log(`[Agents] ${storedProfiles.size} gespeicherte Agents geladen`);
+}
 
-  console.log(`[Agents] ${loaded} Agents geladen, ${skipped} uebersprungen`);
-  console.log('[Agents] Geladene Agents:');
-  for (const [id, agent] of agents) {
-    console.log(`  - ${id}: ${agent.name}`);
+async function syncAgentVersions() {
+  const sources = new Map([
+    ...Array.from(agentProfiles, ([agentId, p]) => [agentId, p.config]),
+    ...Array.from(storedProfiles, ([agentId, p]) => [agentId, p.config]),
+  ]);
+  const active = await agentVersions.seedFromFiles(sources);
+  let fromApi = 0;
+  for (const version of active.values()) {
+    applyProfileVersion(version);
+    if (version.source !== 'seed') fromApi++;
   }
+  console.log(`[Versions] ${active.size} Agents versioniert, ${fromApi} mit befoerderter API-Version`);
 }
 
 // ===================================================
@@ -98,7 +227,7 @@ async function initAgentMemory() {
           const existing = await db.getAgentMemory(agentId);
           const exists = existing.some((m) => m.label === block.label);
           if (!exists) {
-            await db.upsertAgentMemory(agentId, block.label, block.value);
+            await db.upsertAgentMemory(agentId, block.label, block.value, { actor: 'seed' });
             initialized++;
           }
         } catch {
@@ -113,6 +242,285 @@ async function initAgentMemory() {
   }
 }
 
+// ===================================================
+// Prompt-Kontext: System-Prompt (inkl. Memory) + Verlauf
+// ===================================================
+
+async function buildSystemPrompt(agent, variables = {}) {
+  const memory = await db.getAgentMemory(agent.id);
+  return promptBuilder.buildSystemPrompt(agent, memory, variables);
+}
+
+/**
+ * System-Prompt und so viel Verlauf, wie in das Kontextfenster des Modells passt;
+ * Aelteres steckt in der Zusammenfassung der Conversation (context-window.js).
+ * Mit query kommen passende Abschnitte aus der Wissensbasis des Agents dazu.
+ * @param {Object} options - { query: User-Nachricht fuer das Retrieval, fold }
+ * @returns {Promise<Object>} { messages, stats, sources }
+ */
+async function buildContextMessages(agent, convId, variables, selection, { query, fold } = {}) {
+  const systemPrompt = await buildSystemPrompt(agent, variables);
+  const retrieved = await knowledgeBase.retrieve(agent, query);
+  const { messages, stats } = await contextWindow.buildContext(convId, systemPrompt, selection, toContextMessage, {
+    fold,
+    knowledge: knowledgeBase.formatContext(retrieved),
+  });
+  return { messages, stats, sources: knowledgeBase.formatSources(retrieved) };
+}
+
+/**
+ * Gespeicherte Nachricht zurueck ins Provider-Format (inkl. Tool-Verlauf)
+ */
+function toContextMessage(m) {
+  if (m.role === 'assistant' && m.tool_calls) {
+    return { role: 'assistant', content: m.content, tool_calls: m.tool_calls };
+  }
+  if (m.role === 'tool') {
+    return { role: 'tool', content: m.content, tool_call_id: m.tool_call_id, tool_name: m.tool_name };
+  }
+  return { role: m.role, content: m.content };
+}
+
+/**
+ * Tool-Calls und Tool-Ergebnisse aus dem Tool-Loop in der Conversation speichern,
+ * damit spaetere Turns (und das UI) wissen, was ausgefuehrt wurde.
+ */
+async function saveToolMessages(convId, toolMessages = []) {
+  for (const m of toolMessages) {
+    if (m.role === 'assistant') {
+      await db.addMessage(convId, 'assistant', m.content || '', { toolCalls: m.tool_calls });
+    } else {
+      await db.addMessage(convId, 'tool', m.content, {
+        toolCallId: m.tool_call_id,
+        toolName: m.name,
+        toolArguments: m.arguments,
+        durationMs: m.duration_ms,
+        error: m.error,
+      });
+    }
+  }
+}
+
+/**
+ * Freigabe-Callback fuer den Tool-Loop (permissionMode auto_approve_read_only).
+ * onEvent meldet neue und entschiedene Freigaben, z.B. als SSE an das UI.
+ */
+function createApprovalRequester(agent, convId, onEvent = () => {}) {
+  return async (toolCall, signal) => {
+    const decision = await approvals.requestApproval(
+      { agentId: agent.id, conversationId: convId, toolCall },
+      (approval) => onEvent('approval_required', approvals.formatApproval(approval)),
+      signal
+    );
+    onEvent('approval_resolved', { id: decision.id, toolCallId: toolCall.id, status: decision.status, reason: decision.reason });
+    return decision;
+  };
+}
+
+/**
+ * Chat-Optionen fuer Agents mit outputSchemaRef: JSON-Ausgabe beim Provider anfordern.
+ */
+function withOutputFormat(agent, chatOptions) {
+  const schema = schemas.getSchema(agent.outputSchemaRef);
+  return schema ? { ...chatOptions, format: schema } : chatOptions;
+}
+
+/**
+ * Antwort gegen das outputSchemaRef des Agents pruefen, bei Fehlern mit
+ * Reparatur-Prompt neu anfordern. Ohne Schema bleibt die Antwort unveraendert.
+ * @returns {Promise<Object>} { text, output (null ohne Schema), evalCount }
+ */
+async function applyOutputSchema(agent, selection, contextMessages, reply) {
+  const enforced = agent.outputSchemaRef
+    ? await schemas.enforceOutputSchema({
+      provider: selection.provider,
+      model: selection.model,
+      options: selection.options,
+      messages: contextMessages,
+      reply,
+      schemaRef: agent.outputSchemaRef,
+    })
+    : null;
+  return enforced || { text: reply, output: null, evalCount: 0 };
+}
+
+/**
+ * Einen Chat-Turn ohne Streaming ausfuehren: User-Nachricht speichern, Tool-Loop,
+ * Tool-Verlauf und Antwort speichern. Gemeinsamer Ablauf fuer /chat und Agent-Events.
+ * @param {Object} agent - Agent aus der Registry
+ * @param {string} convId - Bestehende Conversation des Agents
+ * @param {string} message - User-Nachricht
+ * @param {Object} turn - { variables (aufgeloest), options, githubToken, linearApiKey,
+ *   delegation (nur fuer Sub-Agents aus task_delegate), onEvent (Freigabe-Events),
+ *   parentMessageId (Bearbeiten: User-Nachricht als neuer Zweig unter dieser Nachricht, null = Wurzel),
+ *   regenerate (User-Nachricht ist schon gespeichert und das Blatt des aktiven Zweigs),
+ *   generation (schon eingetragene Generierung; sonst traegt sich der Turn selbst ein) }
+ * @returns {Promise<Object>} { response, meta: { model, thinkingLevel, trace, ... } }
+ */
+async function runChatTurn(agent, convId, message, turn = {}) {
+  // Eingetragen, damit Bearbeiten, Neu generieren und Zweigwechsel nicht dazwischenkommen
+  const generation = turn.generation || generations.start(convId, { cancellable: false });
+  try {
+    return await executeChatTurn(agent, convId, message, turn);
+  } finally {
+    if (!turn.generation) generations.finish(generation);
+  }
+}
+
+/**
+ * Ablauf von runChatTurn, ohne das Eintragen in generations.
+ */
+async function executeChatTurn(agent, convId, message, turn) {
+  const { variables = {}, options, githubToken = '', linearApiKey = '', onEvent } = turn;
+  const delegation = turn.delegation || tasks.createDelegation();
+
+  // User-Nachricht speichern
+  if (!turn.regenerate) {
+    await db.addMessage(convId, 'user', message, { parentMessageId: turn.parentMessageId });
+  }
+
+  // Provider + Modell pro Agent (options.model > modelPreferences.defaultModel)
+  const selection = await providers.selectModel(agent, options);
+  const { provider, model, ref: modelRef } = selection;
+
+  // System-Prompt (inkl. Memory-Blocks) und Verlauf im Kontextfenster des Modells
+  const { messages: ollamaMessages, stats: context, sources } = await buildContextMessages(agent, convId, variables, selection, {
+    query: message,
+  });
+  const chatOptions = withOutputFormat(agent, selection.options);
+
+  // Tools verfuegbar? Dann mit Tool-Calling
+  const availableTools = toolExecutor.getAvailableTools(githubToken, linearApiKey, {
+    memory: true,
+    allowedTools: agent.lettaConfig?.allowedTools,
+    eventTriggers: agentEvents.getTriggers(agent),
+    delegateTargets: tasks.getTargets(agent, delegation),
+  });
+  const toolContext = {
+    agent,
+    conversationId: convId,
+    rebuildSystemPrompt: () => buildSystemPrompt(agent, variables),
+    // Ohne Stream wartet der Turn, bis die Freigabe per POST /api/approvals/:id entschieden ist
+    requestApproval: createApprovalRequester(agent, convId, onEvent),
+    delegation,
+    onEvent,
+  };
+  let assistantMessage = '';
+  let trace = [];
+  let stoppedReason;
+  let totalDuration = 0;
+  let evalCount = 0;
+
+  if (availableTools.length > 0) {
+    // Chat mit Tool-Calling-Loop
+    const result = await toolExecutor.chatWithTools(
+      provider,
+      model,
+      ollamaMessages,
+      availableTools,
+      chatOptions,
+      githubToken,
+      linearApiKey,
+      10,
+      toolContext
+    );
+    assistantMessage = result.message;
+    trace = result.trace || [];
+    stoppedReason = result.stoppedReason;
+    await saveToolMessages(convId, result.toolMessages);
+    totalDuration = result.totalDuration || 0;
+    evalCount = result.evalCount || 0;
+  } else {
+    // Ohne Tools - normaler Chat
+    const ollamaResponse = await provider.chat(model, ollamaMessages, chatOptions);
+    assistantMessage = ollamaResponse.message?.content || '';
+    totalDuration = ollamaResponse.total_duration;
+    evalCount = ollamaResponse.eval_count || 0;
+  }
+
+  // Strukturierte Ausgabe pruefen (outputSchemaRef)
+  const structured = await applyOutputSchema(agent, selection, ollamaMessages, assistantMessage);
+  assistantMessage = structured.text;
+  evalCount += structured.evalCount;
+
+  // Antwort speichern
+  await db.addMessage(convId, 'assistant', assistantMessage, { structuredOutput: structured.output, sources });
+
+  return {
+    response: assistantMessage,
+    meta: {
+      model: modelRef,
+      thinkingLevel: selection.thinkingLevel,
+      modelFallback: selection.fallback,
+      profileVersion: agent.profileVersion?.version ?? null,
+      toolsUsed: trace.map((t) => t.tool),
+      trace,
+      stoppedReason,
+      structuredOutput: structured.output,
+      context,
+      sources,
+      totalDuration,
+      evalCount,
+    },
+  };
+}
+
+/**
+ * Chat-Turn ohne Request (Events, Simulation, QA, Delegation): Tokens aus dem Environment,
+ * Template-Variablen mit den Agent-Defaults aufgefuellt.
+ * @param {Object} turn - { variables, options, delegation, onEvent }
+ */
+function runBackgroundTurn(agent, convId, message, turn = {}) {
+  return runChatTurn(agent, convId, message, {
+    ...turn,
+    variables: promptBuilder.resolveTemplateVariables(agent, turn.variables).values,
+    githubToken: process.env.GITHUB_TOKEN || '',
+    linearApiKey: process.env.LINEAR_API_KEY || '',
+  });
+}
+
+// Event-Bus: Zustellungen laufen ueber denselben Chat-Ablauf
+agentEvents.configure({
+  getAgent: (agentId) => agents.get(agentId),
+  runAgent: runBackgroundTurn,
+});
+
+// Call-Simulation: Agent-Turns laufen ueber denselben Chat-Ablauf wie echte Chats
+callSimulator.configure({
+  runAgent: runBackgroundTurn,
+});
+
+// QA-Bewertung: meta-call-qa laeuft ueber denselben Chat-Ablauf, Variablen kommen aus dem Verlauf
+qaReviews.configure({
+  getAgent: (agentId) => agents.get(agentId),
+  runAgent: runBackgroundTurn,
+});
+
+// Task-Delegation: Sub-Agents mit Tiefe und Token-Budget des Aufrufers
+tasks.configure({
+  getAgent: (agentId) => agents.get(agentId),
+  listAgents: () => Array.from(agents.values()),
+  runAgent: runBackgroundTurn,
+});
+
+// ===================================================
+// Template-Variablen fuer systemInstructions
+// ===================================================
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Fehler-Body fuer nicht aufgeloeste Platzhalter
+ */
+function missingVariablesError(agent, missing) {
+  return {
+    error: `Template-Variablen fuer Agent '${agent.id}' fehlen: ${missing.join(', ')}`,
+    missingVariables: missing,
+  };
+}
+
 // ===================================================
 // API Routes
 // ===================================================
@@ -120,12 +528,14 @@ async function initAgentMemory() {
 // --- Health Check ---
 app.get('/api/health', async (req, res) => {
   try {
-    const [ollamaHealth, dbHealth] = await Promise.all([
-      ollama.healthCheck(),
+    const [providerHealth, dbHealth] = await Promise.all([
+      providers.healthCheck(),
       db.healthCheck(),
     ]);
 
-    const healthy = ollamaHealth.connected && dbHealth.connected;
+    const ollamaHealth = providerHealth.ollama;
+    const defaultHealth = providerHealth[providers.DEFAULT_PROVIDER];
+    const healthy = defaultHealth.connected && dbHealth.connected;
 
     res.status(healthy ? 200 : 503).json({
       status: healthy ? 'healthy' : 'degraded',
@@ -135,7 +545,9 @@ app.get('/api/health', async (req, res) => {
         list: Array.from(agents.keys()),
       },
       ollama: ollamaHealth,
+      providers: providerHealth,
       database: dbHealth,
+      semanticSearch: messageSearch.semanticStatus(),
     });
   } catch (err) {
     res.status(500).json({ status: 'error', error: err.message });
@@ -149,8 +561,11 @@ app.get('/api/agents', (req, res) => {
     name: a.name,
     description: a.description,
     version: a.version,
+    profileVersion: a.profileVersion?.version ?? null,
+    storage: agentStorage(a.id),
     frameworks: a.frameworks,
     model: a.modelPreferences?.defaultModel || 'ollama/glm-4.7',
+    thinkingLevel: a.modelPreferences?.thinkingLevel,
     temperature: a.modelPreferences?.temperature,
     tools: a.lettaConfig?.allowedTools || [],
   }));
@@ -161,6 +576,16 @@ app.get('/api/agents', (req, res) => {
   });
 });
 
+// --- Agent-Verzeichnis neu einlesen (wie der Datei-Watcher) ---
+app.post('/api/agents/reload', async (req, res) => {
+  try {
+    res.json(await reloadAgents('api'));
+  } catch (err) {
+    console.error('[Agents] Reload fehlgeschlagen:', err.message);
+    res.status(500).json({ error: 'Reload fehlgeschlagen', details: err.message });
+  }
+});
+
 // --- Einzelnen Agent abrufen ---
 app.get('/api/agents/:id', (req, res) => {
   const agent = agents.get(req.params.id);
@@ -173,37 +598,1277 @@ app.get('/api/agents/:id', (req, res) => {
     name: agent.name,
     description: agent.description,
     version: agent.version,
+    profileVersion: agent.profileVersion || null,
+    storage: agentStorage(agent.id),
+    sourceFile: agent.sourceFile || null,
     frameworks: agent.frameworks,
     knowledge: agent.knowledge,
     modelPreferences: agent.modelPreferences,
+    variables: {
+      placeholders: promptBuilder.extractTemplateVariables(agent.systemInstructions),
+      required: promptBuilder.resolveTemplateVariables(agent).missing,
+      defaults: promptBuilder.getVariableDefaults(agent),
+    },
     lettaConfig: {
       allowedTools: agent.lettaConfig?.allowedTools || [],
+      // Pro deklariertem Tool: implementiert? welche konkreten Tools? welches Token noetig?
+      toolSupport: toolRegistry.describeAllowedTools(agent.lettaConfig?.allowedTools),
       permissionMode: agent.lettaConfig?.permissionMode,
       memoryBlocks: (agent.lettaConfig?.memoryBlocks || []).map((b) => b.label),
     },
+    outputSchema: agent.outputSchemaRef
+      ? { ref: agent.outputSchemaRef, available: Boolean(schemas.getSchema(agent.outputSchemaRef)) }
+      : null,
+    voicePolicy: agent.voicePolicyRef
+      ? { ref: agent.voicePolicyRef, rules: voicePolicies.getVoicePolicy(agent.voicePolicyRef)?.rules || null }
+      : null,
     systemInstructionsLength: agent.systemInstructions.length,
     createdAt: agent.createdAt,
   });
 });
 
-// --- Chat mit Agent ---
-app.post('/api/agents/:id/chat', async (req, res) => {
+// --- Agents anlegen, aendern, loeschen (Profil in stored_agents) ---
+
+/**
+ * Profil aus dem Request-Body: Format der JSON-Dateien, Zeitstempel setzt der Server.
+ */
+function buildStoredProfile(body, agentId, createdAt) {
+  const now = new Date().toISOString();
+  return { ...body, id: agentId, createdAt: createdAt || now, updatedAt: now };
+}
+
+// JSONB sortiert Schluessel um - daher Vergleich unabhaengig von der Reihenfolge
+function sameProfile(a, b) {
+  return util.isDeepStrictEqual({ ...a, updatedAt: null }, { ...b, updatedAt: null });
+}
+
+/**
+ * Schema-Fehler als 400 senden; sonst Warnungen zu Verweisen auf andere Agents.
+ * @returns {string[]|null} Warnungen oder null, wenn die Antwort schon gesendet ist
+ */
+function checkStoredProfile(res, profile) {
+  const errors = agentLoader.validateProfile(profile);
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Ungueltiges Agent-Profil', details: errors });
+    return null;
+  }
+  return agentLoader.checkProfileReferences(profile, new Set([...agents.keys(), profile.id]));
+}
+
+/**
+ * Gespeichertes Profil in Registry und Versionen uebernehmen.
+ * Erwartet das Profil aus der DB-Zeile, damit der Hash beim naechsten Start gleich bleibt.
+ */
+async function registerStoredAgent(profile, changeNote) {
+  const hash = agentVersions.hashProfile(profile);
+  storedProfiles.set(profile.id, { config: profile, hash });
+  agents.set(profile.id, toAgent(profile, null));
+  const version = await db.seedAgentVersion(profile.id, profile, hash, { changeNote });
+  applyProfileVersion(version);
+  return version;
+}
+
+// Body: Agent-Profil wie in den JSON-Dateien (id, name, systemInstructions, modelPreferences, lettaConfig, ...)
+app.post('/api/agents', async (req, res) => {
+  const body = req.body || {};
+  if (!isPlainObject(body)) {
+    return res.status(400).json({ error: 'Body muss ein Agent-Profil (Objekt) sein' });
+  }
+  if (typeof body.id !== 'string' || body.id.length === 0) {
+    return res.status(400).json({ error: 'Feld "id" ist erforderlich' });
+  }
+  if (agents.has(body.id)) {
+    return res.status(409).json({ error: `Agent '${body.id}' existiert bereits (${agentStorage(body.id)})` });
+  }
+
+  const profile = buildStoredProfile(body, body.id);
+  const warnings = checkStoredProfile(res, profile);
+  if (!warnings) return;
+
+  try {
+    const row = await db.createStoredAgent(profile.id, profile);
+    if (!row) {
+      return res.status(409).json({ error: `Agent '${profile.id}' existiert bereits (database)` });
+    }
+    const version = await registerStoredAgent(row.profile, 'Ueber die API angelegt');
+    await initAgentMemory().catch((err) => console.warn('[Agents] Memory-Initialisierung:', err.message));
+
+    console.log(`[Agents] ${profile.id} angelegt (Version ${version.version_number})`);
+    res.status(201).json({
+      success: true,
+      agent: { id: profile.id, name: agents.get(profile.id).name, storage: 'database' },
+      profileVersion: agentVersions.formatVersion(version),
+      warnings,
+    });
+  } catch (err) {
+    console.error('[Agents] Anlegen fehlgeschlagen:', err.message);
+    res.status(500).json({ error: 'Agent konnte nicht angelegt werden', details: err.message });
+  }
+});
+
+// Body: komplettes Agent-Profil (ersetzt das gespeicherte; id aus der URL)
+app.put('/api/agents/:id', async (req, res) => {
+  const agentId = req.params.id;
+  const body = req.body || {};
+  if (!isPlainObject(body)) {
+    return res.status(400).json({ error: 'Body muss ein Agent-Profil (Objekt) sein' });
+  }
+  if (agentProfiles.has(agentId)) {
+    return res.status(409).json({
+      error: `Agent '${agentId}' stammt aus ${agentProfiles.get(agentId).file}`,
+      details: 'Profil-Datei aendern oder ueber /api/agents/:id/versions eine Version vorschlagen',
+    });
+  }
+  const stored = storedProfiles.get(agentId);
+  if (!stored) {
+    return res.status(404).json({ error: `Agent '${agentId}' nicht gefunden` });
+  }
+  if (body.id !== undefined && body.id !== agentId) {
+    return res.status(400).json({ error: 'Feld "id" kann nicht geaendert werden' });
+  }
+
+  const profile = buildStoredProfile(body, agentId, stored.config.createdAt);
+  const warnings = checkStoredProfile(res, profile);
+  if (!warnings) return;
+  if (sameProfile(profile, stored.config)) {
+    return res.json({ success: true, changed: false, profileVersion: agents.get(agentId).profileVersion || null, warnings });
+  }
+
+  try {
+    const row = await db.updateStoredAgent(agentId, profile);
+    if (!row) {
+      return res.status(404).json({ error: `Agent '${agentId}' nicht gefunden` });
+    }
+    const version = await registerStoredAgent(row.profile, 'Ueber die API geaendert');
+    await initAgentMemory().catch((err) => console.warn('[Agents] Memory-Initialisierung:', err.message));
+
+    console.log(`[Agents] ${agentId} geaendert (Version ${version.version_number})`);
+    res.json({ success: true, changed: true, profileVersion: agentVersions.formatVersion(version), warnings });
+  } catch (err) {
+    console.error('[Agents] Aendern fehlgeschlagen:', err.message);
+    res.status(500).json({ error: 'Agent konnte nicht geaendert werden', details: err.message });
+  }
+});
+
+// Conversations, Memory und Profilversionen bleiben erhalten
+app.delete('/api/agents/:id', async (req, res) => {
+  const agentId = req.params.id;
+  if (agentProfiles.has(agentId)) {
+    return res.status(409).json({ error: `Agent '${agentId}' stammt aus ${agentProfiles.get(agentId).file} und kann nur dort entfernt werden` });
+  }
+  if (!storedProfiles.has(agentId)) {
+    return res.status(404).json({ error: `Agent '${agentId}' nicht gefunden` });
+  }
+
+  try {
+    await db.deleteStoredAgent(agentId);
+    storedProfiles.delete(agentId);
+    agents.delete(agentId);
+    console.log(`[Agents] ${agentId} geloescht`);
+    res.json({ success: true, deleted: agentId });
+  } catch (err) {
+    res.status(500).json({ error: 'Agent konnte nicht geloescht werden', details: err.message });
+  }
+});
+
+// --- Profil im Format der JSON-Dateien (aktive Version) ---
+app.get('/api/agents/:id/export', async (req, res) => {
+  const agent = agents.get(req.params.id);
+  if (!agent) {
+    return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
+  }
+
+  let profile = null;
+  try {
+    profile = (await db.getActiveAgentVersion(agent.id))?.profile;
+  } catch (err) {
+    console.warn(`[Agents] Aktive Version von ${agent.id} nicht lesbar, exportiere Quelle:`, err.message);
+  }
+  profile = profile || (agentProfiles.get(agent.id) || storedProfiles.get(agent.id)).config;
+
+  res.set('Content-Disposition', `attachment; filename="${agent.id}.json"`);
+  res.type('application/json').send(`${JSON.stringify(profile, null, 2)}\n`);
+});
+
+// --- System-Prompt fuer ein (ungespeichertes) Profil, fuer den Editor ---
+// Body: { profile, variables? } - Memory-Blocks mit den Startwerten aus dem Profil
+app.post('/api/agents/preview', (req, res) => {
+  const { profile, variables = {} } = req.body || {};
+  if (!isPlainObject(profile)) {
+    return res.status(400).json({ error: 'Feld "profile" muss ein Objekt sein' });
+  }
+  if (!isPlainObject(variables)) {
+    return res.status(400).json({ error: 'Feld "variables" muss ein Objekt sein' });
+  }
+
+  const errors = agentLoader.validateProfile(profile);
+  const warnings = errors.length === 0
+    ? agentLoader.checkProfileReferences(profile, new Set([...agents.keys(), profile.id]))
+    : [];
+
+  const agent = toAgent({
+    ...profile,
+    systemInstructions: typeof profile.systemInstructions === 'string' ? profile.systemInstructions : '',
+  }, null);
+  const { values, required, missing } = promptBuilder.resolveTemplateVariables(agent, {}, variables);
+  const { text } = promptBuilder.renderTemplate(agent.systemInstructions, values);
+  const blocks = Array.isArray(agent.lettaConfig.memoryBlocks)
+    ? agent.lettaConfig.memoryBlocks.filter((b) => typeof b?.label === 'string' && typeof b.value === 'string')
+    : [];
+  const memory = promptBuilder.renderMemoryBlocks(agent, blocks);
+  const systemPrompt = memory ? `${text}\n\n${memory}` : text;
+
+  res.json({
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    systemPrompt,
+    length: systemPrompt.length,
+    variables: { placeholders: required, missing },
+  });
+});
+
+// --- Output-Schemas (outputSchemaRef) ---
+app.get('/api/schemas', (req, res) => {
+  const refs = schemas.listSchemas();
+  res.json({
+    count: refs.length,
+    schemas: refs.map((ref) => ({
+      ref,
+      agents: Array.from(agents.values()).filter((a) => a.outputSchemaRef === ref).map((a) => a.id),
+    })),
+  });
+});
+
+app.get('/api/schemas/:ref', (req, res) => {
+  const schema = schemas.getSchema(req.params.ref);
+  if (!schema) {
+    return res.status(404).json({ error: `Schema '${req.params.ref}' nicht gefunden` });
+  }
+  res.json(schema);
+});
+
+// --- Chat mit Agent ---
+app.post('/api/agents/:id/chat', async (req, res) => {
+  const agent = agents.get(req.params.id);
+  if (!agent) {
+    return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
+  }
+
+  const { message, conversationId, options, variables, githubToken, linearApiKey } = req.body;
+
+  if (!message || typeof message !== 'string' || message.trim().length === 0) {
+    return res.status(400).json({ error: 'Feld "message" ist erforderlich (nicht-leerer String)' });
+  }
+
+  if (variables !== undefined && !isPlainObject(variables)) {
+    return res.status(400).json({ error: 'Feld "variables" muss ein Objekt sein' });
+  }
+
+  // Tokens: aus Request-Body oder Environment
+  const ghToken = githubToken || process.env.GITHUB_TOKEN || '';
+  const lnKey = linearApiKey || process.env.LINEAR_API_KEY || '';
+
+  try {
+    // Conversation erstellen oder laden
+    let convId = conversationId;
+    let conversation;
+
+    if (convId) {
+      conversation = await db.getConversation(convId);
+      if (!conversation) {
+        return res.status(404).json({ error: `Conversation '${convId}' nicht gefunden` });
+      }
+      if (conversation.agent_id !== agent.id) {
+        return res.status(400).json({
+          error: `Conversation '${convId}' gehoert zu Agent '${conversation.agent_id}', nicht zu '${agent.id}'`,
+        });
+      }
+    }
+
+    // Template-Variablen: Request > Conversation > Agent-Defaults
+    const templateVars = promptBuilder.resolveTemplateVariables(agent, conversation?.variables, variables);
+    if (templateVars.missing.length > 0) {
+      return res.status(400).json(missingVariablesError(agent, templateVars.missing));
+    }
+
+    if (!convId) {
+      // Neue Conversation erstellen, Request-Variablen gelten fuer alle Folge-Nachrichten
+      const title = message.substring(0, 100);
+      conversation = await db.createConversation(agent.id, title, variables);
+      convId = conversation.id;
+    } else if (variables) {
+      await db.updateConversationVariables(convId, variables);
+    }
+
+    const result = await runChatTurn(agent, convId, message.trim(), {
+      variables: templateVars.values,
+      options,
+      githubToken: ghToken,
+      linearApiKey: lnKey,
+    });
+
+    res.json({
+      response: result.response,
+      conversationId: convId,
+      agent: agent.id,
+      ...result.meta,
+    });
+  } catch (err) {
+    console.error(`[Chat] Fehler bei Agent ${agent.id}:`, err.message);
+
+    if (err.message.includes('connection')) {
+      return res.status(503).json({
+        error: 'Ollama ist nicht erreichbar. Bitte spaeter erneut versuchen.',
+        details: err.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'Chat-Anfrage fehlgeschlagen',
+      details: err.message,
+    });
+  }
+});
+
+// --- Conversations eines Agents auflisten ---
+app.get('/api/agents/:id/conversations', async (req, res) => {
+  const agent = agents.get(req.params.id);
+  if (!agent) {
+    return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
+  }
+
+  try {
+    const conversations = await db.listConversations(agent.id);
+    res.json({
+      agent: agent.id,
+      count: conversations.length,
+      conversations,
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Fehler beim Laden der Conversations', details: err.message });
+  }
+});
+
+// --- Conversations exportieren (md, json, jsonl) und importieren ---
+
+/**
+ * System-Prompt, mit dem eine Conversation lief: Profilversion der Conversation und
+ * Memory-Stand bei ihrem Start. null ohne Profilversion (z.B. importiert) oder wenn
+ * Pflicht-Variablen fehlen - das Beispiel kommt dann ohne System-Nachricht.
+ */
+async function exportSystemPrompt(conversation) {
+  if (conversation.profile_version == null) return null;
+  const version = await db.getAgentVersion(conversation.agent_id, conversation.profile_version);
+  if (!version) return null;
+
+  const agent = toAgent(version.profile, null);
+  const templateVars = promptBuilder.resolveTemplateVariables(agent, conversation.variables);
+  if (templateVars.missing.length > 0) return null;
+  const memory = await db.getAgentMemoryAt(conversation.agent_id, conversation.created_at);
+  return promptBuilder.buildSystemPrompt(agent, memory, templateVars.values);
+}
+
+/**
+ * Export im gewuenschten Format als Datei senden.
+ */
+async function sendConversationExport(res, conversations, format, filename) {
+  let body;
+  if (format === 'md') {
+    body = conversationExport.toMarkdown(conversations);
+  } else if (format === 'jsonl') {
+    const systemPrompts = new Map();
+    for (const c of conversations) {
+      systemPrompts.set(c.id, await exportSystemPrompt(c));
+    }
+    body = conversationExport.toJsonl(conversations, (c) => systemPrompts.get(c.id));
+  } else {
+    body = conversationExport.toJson(conversations);
+  }
+  res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.type(conversationExport.CONTENT_TYPES[format]).send(body);
+}
+
+function parseExportFormat(req, res) {
+  const format = req.query.format || 'json';
+  if (!conversationExport.FORMATS.includes(format)) {
+    res.status(400).json({ error: `Parameter "format" muss einer von ${conversationExport.FORMATS.join(', ')} sein` });
+    return null;
+  }
+  return format;
+}
+
+app.get('/api/agents/:id/conversations/export', async (req, res) => {
+  const agent = agents.get(req.params.id);
+  if (!agent) {
+    return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
+  }
+  const format = parseExportFormat(req, res);
+  if (!format) return;
+
+  try {
+    const conversations = await db.listConversationsWithMessages(agent.id);
+    await sendConversationExport(res, conversations, format, `${agent.id}-conversations`);
+  } catch (err) {
+    res.status(500).json({ error: 'Fehler beim Exportieren der Conversations', details: err.message });
+  }
+});
+
+app.get('/api/conversations/:conversationId/export', async (req, res) => {
+  const { conversationId } = req.params;
+  if (!isUuid(conversationId)) {
+    return res.status(400).json({ error: 'Conversation-ID muss eine UUID sein' });
+  }
+  const format = parseExportFormat(req, res);
+  if (!format) return;
+
+  try {
+    const conversation = await db.getConversation(conversationId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation nicht gefunden' });
+    }
+    await sendConversationExport(res, [conversation], format, `conversation-${conversationId}`);
+  } catch (err) {
+    res.status(500).json({ error: 'Fehler beim Exportieren der Conversation', details: err.message });
+  }
+});
+
+// Body: Export-Dokument (format=json), optional { agentId } fuer alle Conversations
+app.post('/api/conversations/import', async (req, res) => {
+  const { errors, conversations } = conversationExport.parseImport(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Ungueltiger Import', details: errors });
+  }
+  const unknown = Array.from(new Set(conversations.map((c) => c.agentId))).filter((id) => !agents.has(id));
+  if (unknown.length > 0) {
+    return res.status(404).json({ error: 'Agent nicht gefunden', details: unknown });
+  }
+
+  try {
+    const imported = [];
+    for (const conv of conversations) {
+      const conversation = await db.importConversation(conv);
+      imported.push({
+        sourceId: conv.sourceId,
+        conversationId: conversation.id,
+        agentId: conversation.agent_id,
+        title: conversation.title,
+        messages: conversation.message_count,
+      });
+    }
+    console.log(`[Import] ${imported.length} Conversation(s) importiert`);
+    res.status(201).json({ count: imported.length, conversations: imported });
+  } catch (err) {
+    res.status(500).json({ error: 'Fehler beim Importieren', details: err.message });
+  }
+});
+
+// --- Conversation-Details abrufen ---
+app.get('/api/conversations/:conversationId', async (req, res) => {
+  try {
+    const conversation = await db.getConversation(req.params.conversationId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation nicht gefunden' });
+    }
+    // Sub-Conversations aus task_delegate (UI zeigt sie als aufklappbaren Thread)
+    const children = await db.listChildConversations(conversation.id);
+    res.json({ ...conversation, children });
+  } catch (err) {
+    res.status(500).json({ error: 'Fehler beim Laden der Conversation', details: err.message });
+  }
+});
+
+// --- Conversation loeschen ---
+app.delete('/api/conversations/:conversationId', async (req, res) => {
+  try {
+    const deleted = await db.deleteConversation(req.params.conversationId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Conversation nicht gefunden' });
+    }
+    res.json({ deleted: true, conversationId: req.params.conversationId });
+  } catch (err) {
+    res.status(500).json({ error: 'Fehler beim Loeschen der Conversation', details: err.message });
+  }
+});
+
+// --- Kontextfenster einer Conversation ---
+// Zeigt, was beim naechsten Turn an das Modell ginge (?model= wie options.model); faltet nichts
+app.get('/api/conversations/:conversationId/context', async (req, res) => {
+  const { conversationId } = req.params;
+  if (!isUuid(conversationId)) {
+    return res.status(400).json({ error: 'Conversation-ID muss eine UUID sein' });
+  }
+
+  try {
+    const conversation = await db.getConversation(conversationId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation nicht gefunden' });
+    }
+    const agent = agents.get(conversation.agent_id);
+    if (!agent) {
+      return res.status(409).json({ error: `Agent '${conversation.agent_id}' ist nicht mehr geladen` });
+    }
+
+    const selection = await providers.selectModel(agent, req.query.model ? { model: req.query.model } : {});
+    const variables = promptBuilder.resolveTemplateVariables(agent, conversation.variables).values;
+    const { messages, stats } = await buildContextMessages(agent, conversationId, variables, selection, { fold: false });
+    res.json({
+      conversationId,
+      agent: agent.id,
+      model: selection.ref,
+      ...stats,
+      summary: conversation.summary,
+      summaryUpdatedAt: conversation.summary_updated_at,
+      contextMessages: messages,
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Fehler beim Berechnen des Kontextfensters', details: err.message });
+  }
+});
+
+// --- Nachricht anheften ---
+// Body: { pinned?: boolean } (Standard true). Angeheftete Nachrichten bleiben immer im Kontext.
+app.post('/api/conversations/:conversationId/messages/:messageId/pin', async (req, res) => {
+  const { conversationId, messageId } = req.params;
+  const { pinned = true } = req.body || {};
+  if (!isUuid(conversationId) || !isUuid(messageId)) {
+    return res.status(400).json({ error: 'Conversation- und Message-ID muessen UUIDs sein' });
+  }
+  if (typeof pinned !== 'boolean') {
+    return res.status(400).json({ error: 'Feld "pinned" muss ein Boolean sein' });
+  }
+
+  try {
+    const message = await db.getMessage(conversationId, messageId);
+    if (!message) {
+      return res.status(404).json({ error: 'Nachricht nicht gefunden' });
+    }
+    // Tool-Calls und -Ergebnisse gelten nur zusammen mit ihrem Turn
+    if (pinned && (message.role === 'tool' || message.tool_calls)) {
+      return res.status(400).json({ error: 'Nur User- und Assistant-Antworten koennen angeheftet werden' });
+    }
+    const updated = await db.setMessagePinned(messageId, pinned);
+    res.json({ success: true, conversationId, messageId, pinned: updated.pinned });
+  } catch (err) {
+    res.status(500).json({ error: 'Fehler beim Anheften der Nachricht', details: err.message });
+  }
+});
+
+// --- Verzweigen: Nachricht bearbeiten, Antwort neu generieren, Zweig wechseln ---
+
+/**
+ * Conversation fuer eine Zweig-Operation eintragen. Ein laufender Turn wuerde seine
+ * Antwort an den falschen Zweig haengen, dann 409 und null. Pruefen und Eintragen
+ * passieren ohne await dazwischen.
+ */
+function startBranchGeneration(conversationId, res) {
+  if (generations.isRunning(conversationId)) {
+    res.status(409).json({ error: 'In dieser Conversation laeuft gerade eine Antwort (Streams: POST /cancel zum Abbrechen)' });
+    return null;
+  }
+  return generations.start(conversationId, { cancellable: false });
+}
+
+/**
+ * Conversation, Agent und Nachricht aus der URL fuer Bearbeiten/Neu generieren laden.
+ * Schickt 400/404/409 und liefert null, wenn der Turn nicht laufen kann; sonst ist
+ * target.generation eingetragen und muss mit generations.finish ausgetragen werden.
+ */
+async function loadBranchTarget(req, res) {
+  const { conversationId, messageId } = req.params;
+  const { variables } = req.body || {};
+  if (!isUuid(conversationId) || !isUuid(messageId)) {
+    res.status(400).json({ error: 'Conversation- und Message-ID muessen UUIDs sein' });
+    return null;
+  }
+  if (variables !== undefined && !isPlainObject(variables)) {
+    res.status(400).json({ error: 'Feld "variables" muss ein Objekt sein' });
+    return null;
+  }
+
+  const conversation = await db.getConversation(conversationId);
+  if (!conversation) {
+    res.status(404).json({ error: 'Conversation nicht gefunden' });
+    return null;
+  }
+  const agent = agents.get(conversation.agent_id);
+  if (!agent) {
+    res.status(404).json({ error: `Agent '${conversation.agent_id}' nicht gefunden` });
+    return null;
+  }
+  const message = await db.getMessage(conversationId, messageId);
+  if (!message) {
+    res.status(404).json({ error: 'Nachricht nicht gefunden' });
+    return null;
+  }
+  const templateVars = promptBuilder.resolveTemplateVariables(agent, conversation.variables, variables);
+  if (templateVars.missing.length > 0) {
+    res.status(400).json(missingVariablesError(agent, templateVars.missing));
+    return null;
+  }
+
+  const generation = startBranchGeneration(conversationId, res);
+  if (!generation) return null;
+  try {
+    if (variables) await db.updateConversationVariables(conversationId, variables);
+  } catch (err) {
+    generations.finish(generation);
+    throw err;
+  }
+  return { conversation, agent, message, variables: templateVars.values, generation };
+}
+
+/**
+ * Turn im neuen Zweig ausfuehren und wie POST /chat antworten.
+ */
+async function runBranchTurn(req, res, target, content, branch) {
+  const { options, githubToken, linearApiKey } = req.body || {};
+  const result = await runChatTurn(target.agent, target.conversation.id, content, {
+    variables: target.variables,
+    generation: target.generation,
+    options,
+    githubToken: githubToken || process.env.GITHUB_TOKEN || '',
+    linearApiKey: linearApiKey || process.env.LINEAR_API_KEY || '',
+    ...branch,
+  });
+  res.json({
+    response: result.response,
+    conversationId: target.conversation.id,
+    agent: target.agent.id,
+    ...result.meta,
+  });
+}
+
+// Body: { content, variables?, options?, githubToken?, linearApiKey? }
+// Die bearbeitete Nachricht wird ein neuer Zweig neben der alten; der alte Zweig bleibt erhalten.
+app.post('/api/conversations/:conversationId/messages/:messageId/edit', async (req, res) => {
+  const { content } = req.body || {};
+  if (!content || typeof content !== 'string' || content.trim().length === 0) {
+    return res.status(400).json({ error: 'Feld "content" ist erforderlich (nicht-leerer String)' });
+  }
+
+  try {
+    const target = await loadBranchTarget(req, res);
+    if (!target) return;
+    try {
+      if (target.message.role !== 'user') {
+        return res.status(400).json({ error: 'Nur User-Nachrichten koennen bearbeitet werden' });
+      }
+      console.log(`[Chat] ${target.agent.id} / ${target.conversation.id}: Nachricht ${target.message.id} bearbeitet`);
+      await runBranchTurn(req, res, target, content.trim(), { parentMessageId: target.message.parent_message_id });
+    } finally {
+      generations.finish(target.generation);
+    }
+  } catch (err) {
+    console.error(`[Chat] Bearbeiten in ${req.params.conversationId} fehlgeschlagen:`, err.message);
+    res.status(500).json({ error: 'Bearbeiten fehlgeschlagen', details: err.message });
+  }
+});
+
+// Body: { variables?, options?, githubToken?, linearApiKey? }
+// messageId: eine Antwort (oder ihre User-Nachricht); die neue Antwort wird ein Zweig neben der alten.
+app.post('/api/conversations/:conversationId/messages/:messageId/regenerate', async (req, res) => {
+  try {
+    const target = await loadBranchTarget(req, res);
+    if (!target) return;
+    try {
+      const userMessage = await db.getTurnStart(target.conversation.id, target.message.id);
+      if (!userMessage) {
+        return res.status(400).json({ error: 'Zu dieser Nachricht gibt es keine User-Nachricht' });
+      }
+      await db.setActiveMessage(target.conversation.id, userMessage.id);
+      console.log(`[Chat] ${target.agent.id} / ${target.conversation.id}: Antwort auf ${userMessage.id} wird neu generiert`);
+      await runBranchTurn(req, res, target, userMessage.content, { regenerate: true });
+    } finally {
+      generations.finish(target.generation);
+    }
+  } catch (err) {
+    console.error(`[Chat] Neu generieren in ${req.params.conversationId} fehlgeschlagen:`, err.message);
+    res.status(500).json({ error: 'Neu generieren fehlgeschlagen', details: err.message });
+  }
+});
+
+// Body: { messageId } - Zweig dieser Nachricht anzeigen (bis zu seiner neuesten Antwort)
+app.post('/api/conversations/:conversationId/branch', async (req, res) => {
+  const { conversationId } = req.params;
+  const { messageId } = req.body || {};
+  if (!isUuid(conversationId)) {
+    return res.status(400).json({ error: 'Conversation-ID muss eine UUID sein' });
+  }
+  if (!messageId || typeof messageId !== 'string' || !isUuid(messageId)) {
+    return res.status(400).json({ error: 'Feld "messageId" ist erforderlich (UUID)' });
+  }
+  const generation = startBranchGeneration(conversationId, res);
+  if (!generation) return;
+
+  try {
+    const activeMessageId = await db.activateBranch(conversationId, messageId);
+    if (!activeMessageId) {
+      return res.status(404).json({ error: 'Nachricht nicht gefunden' });
+    }
+    res.json({ conversationId, activeMessageId });
+  } catch (err) {
+    res.status(500).json({ error: 'Fehler beim Wechseln des Zweigs', details: err.message });
+  } finally {
+    generations.finish(generation);
+  }
+});
+
+// --- Nachrichten suchen ---
+// Query: q, mode (fulltext|semantic), agentId, role, from, to, limit, offset
+app.get('/api/search', async (req, res) => {
+  const { errors, filters } = messageSearch.parseSearchQuery(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Ungueltige Suchanfrage', details: errors });
+  }
+
+  try {
+    const result = await messageSearch.search(filters);
+    res.json({
+      query: filters.query,
+      ...result,
+      limit: filters.limit,
+      offset: filters.offset,
+    });
+  } catch (err) {
+    if (err.code === 'SEMANTIC_UNAVAILABLE') {
+      return res.status(409).json({ error: 'Semantische Suche nicht verfuegbar', details: err.message });
+    }
+    res.status(500).json({ error: 'Suche fehlgeschlagen', details: err.message });
+  }
+});
+
+// --- Agent Memory abrufen ---
+app.get('/api/agents/:id/memory', async (req, res) => {
+  const agent = agents.get(req.params.id);
+  if (!agent) {
+    return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
+  }
+
+  try {
+    const memory = await db.getAgentMemory(agent.id);
+    res.json({
+      agent: agent.id,
+      blocks: memory.map((m) => ({
+        label: m.label,
+        value: m.value,
+        updatedAt: m.updated_at,
+      })),
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Fehler beim Laden der Memory', details: err.message });
+  }
+});
+
+// --- Agent Memory aktualisieren ---
+app.post('/api/agents/:id/memory', async (req, res) => {
+  const agent = agents.get(req.params.id);
+  if (!agent) {
+    return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
+  }
+
+  const { label, value } = req.body;
+
+  if (!label || typeof label !== 'string') {
+    return res.status(400).json({ error: 'Feld "label" ist erforderlich (String)' });
+  }
+  if (!value || typeof value !== 'string') {
+    return res.status(400).json({ error: 'Feld "value" ist erforderlich (String)' });
+  }
+
+  try {
+    const result = await db.upsertAgentMemory(agent.id, label, value, { actor: 'user' });
+    res.json({
+      agent: agent.id,
+      label: result.label,
+      value: result.value,
+      updatedAt: result.updated_at,
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Fehler beim Aktualisieren der Memory', details: err.message });
+  }
+});
+
+function formatMemoryHistoryEntry(h) {
+  return {
+    id: h.id,
+    label: h.label,
+    operation: h.operation,
+    actor: h.actor,
+    conversationId: h.conversation_id,
+    oldValue: h.old_value,
+    newValue: h.new_value,
+    createdAt: h.created_at,
+  };
+}
+
+// --- Memory-Block Versionshistorie ---
+app.get('/api/agents/:id/memory/:label/history', async (req, res) => {
+  const agent = agents.get(req.params.id);
+  if (!agent) {
+    return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 500);
+
+  try {
+    const history = await db.getAgentMemoryHistory(agent.id, req.params.label, limit);
+    res.json({
+      agent: agent.id,
+      label: req.params.label,
+      count: history.length,
+      history: history.map(formatMemoryHistoryEntry),
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Fehler beim Laden der Memory-History', details: err.message });
+  }
+});
+
+// --- Memory-Block auf einen frueheren Stand zuruecksetzen ---
+// Body: { historyId, to: 'after' | 'before' } - Stand nach (Default) oder vor dieser Aenderung
+app.post('/api/agents/:id/memory/:label/rollback', async (req, res) => {
+  const agent = agents.get(req.params.id);
+  if (!agent) {
+    return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
+  }
+
+  const { historyId, to = 'after' } = req.body;
+
+  if (!historyId || typeof historyId !== 'string' || !isUuid(historyId)) {
+    return res.status(400).json({ error: 'Feld "historyId" ist erforderlich (UUID)' });
+  }
+  if (to !== 'after' && to !== 'before') {
+    return res.status(400).json({ error: 'Feld "to" muss "after" oder "before" sein' });
+  }
+
+  try {
+    const entry = await db.getAgentMemoryHistoryEntry(historyId);
+    if (!entry || entry.agent_id !== agent.id || entry.label !== req.params.label) {
+      return res.status(404).json({ error: `History-Eintrag '${historyId}' nicht gefunden` });
+    }
+
+    const value = to === 'before' ? entry.old_value : entry.new_value;
+    if (value === null) {
+      return res.status(400).json({ error: 'Vor diesem Eintrag existierte der Block noch nicht' });
+    }
+
+    const result = await db.upsertAgentMemory(agent.id, entry.label, value, {
+      actor: 'user',
+      operation: 'rollback',
+    });
+    res.json({
+      agent: agent.id,
+      label: result.label,
+      value: result.value,
+      updatedAt: result.updated_at,
+      restoredFrom: historyId,
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Fehler beim Zuruecksetzen der Memory', details: err.message });
+  }
+});
+
+// --- Wissensbasis (RAG) ---
+app.get('/api/agents/:id/knowledge', async (req, res) => {
+  const agent = agents.get(req.params.id);
+  if (!agent) {
+    return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
+  }
+
+  try {
+    const documents = await knowledgeBase.listDocuments(agent);
+    res.json({ agent: agent.id, semantic: messageSearch.semanticStatus(), documents });
+  } catch (err) {
+    res.status(500).json({ error: 'Fehler beim Laden der Wissensbasis', details: err.message });
+  }
+});
+
+app.post('/api/agents/:id/knowledge', async (req, res) => {
+  const agent = agents.get(req.params.id);
+  if (!agent) {
+    return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
+  }
+
+  const { title, content, format = 'text', sourceRef, github, githubToken } = req.body;
+
+  try {
+    let result;
+    if (github) {
+      if (!github.repo || typeof github.repo !== 'string' || !github.path || typeof github.path !== 'string') {
+        return res.status(400).json({ error: 'Feld "github" braucht "repo" (owner/repo) und "path"' });
+      }
+      const token = githubToken || process.env.GITHUB_TOKEN;
+      if (!token) {
+        return res.status(400).json({ error: 'GitHub-Token fehlt (Feld "githubToken" oder GITHUB_TOKEN)' });
+      }
+      result = await knowledgeBase.importGithubFile(agent, { ...github, token });
+    } else {
+      if (!title || typeof title !== 'string') {
+        return res.status(400).json({ error: 'Feld "title" ist erforderlich (String)' });
+      }
+      if (!content || typeof content !== 'string' || !content.trim()) {
+        return res.status(400).json({ error: 'Feld "content" ist erforderlich (String)' });
+      }
+      if (!knowledgeBase.FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Feld "format" muss einer von ${knowledgeBase.FORMATS.join(', ')} sein` });
+      }
+      if (content.length > knowledgeBase.MAX_DOCUMENT_CHARS) {
+        return res.status(413).json({ error: `Dokument zu gross (max. ${knowledgeBase.MAX_DOCUMENT_CHARS} Zeichen)` });
+      }
+      if (sourceRef === 'profile') {
+        return res.status(400).json({ error: 'sourceRef "profile" ist fuer knowledge/frameworks des Profils reserviert' });
+      }
+      result = await knowledgeBase.addDocument(agent, { title: title.trim(), content, format, sourceType: 'upload', sourceRef });
+    }
+
+    res.status(result.unchanged ? 200 : 201).json({
+      agent: agent.id,
+      document: {
+        id: result.document.id,
+        title: result.document.title,
+        sourceType: result.document.source_type,
+        sourceRef: result.document.source_ref,
+        format: result.document.format,
+        size: result.document.size,
+      },
+      chunks: result.chunks,
+      embedded: result.embedded,
+      unchanged: result.unchanged,
+      ...(result.embedError ? { embedError: result.embedError } : {}),
+    });
+  } catch (err) {
+    if (err.message.startsWith('GitHub:')) {
+      return res.status(502).json({ error: 'GitHub-Datei konnte nicht geladen werden', details: err.message });
+    }
+    res.status(500).json({ error: 'Fehler beim Speichern des Dokuments', details: err.message });
+  }
+});
+
+app.delete('/api/agents/:id/knowledge/:documentId', async (req, res) => {
+  const agent = agents.get(req.params.id);
+  if (!agent) {
+    return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
+  }
+  const { documentId } = req.params;
+  if (!isUuid(documentId)) {
+    return res.status(400).json({ error: 'Ungueltige Dokument-ID (UUID erwartet)' });
+  }
+
+  try {
+    const deleted = await knowledgeBase.deleteDocument(agent, documentId);
+    if (!deleted) {
+      return res.status(404).json({ error: `Dokument '${documentId}' nicht gefunden` });
+    }
+    res.json({ agent: agent.id, deleted: documentId });
+  } catch (err) {
+    res.status(500).json({ error: 'Fehler beim Loeschen des Dokuments', details: err.message });
+  }
+});
+
+// Retrieval ohne Chat testen: dieselben Abschnitte, die ein Turn mit dieser Nachricht bekaeme
+app.get('/api/agents/:id/knowledge/search', async (req, res) => {
+  const agent = agents.get(req.params.id);
+  if (!agent) {
+    return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
+  }
+  const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!query) {
+    return res.status(400).json({ error: 'Parameter "q" ist erforderlich' });
+  }
+
+  try {
+    const retrieved = await knowledgeBase.search(agent, query);
+    res.json({
+      agent: agent.id,
+      query,
+      mode: retrieved.mode,
+      results: knowledgeBase.formatSources(retrieved).map((source, i) => ({
+        ...source,
+        content: retrieved.chunks[i].content,
+      })),
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Suche in der Wissensbasis fehlgeschlagen', details: err.message });
+  }
+});
+
+// --- Profilversionen (systemInstructions vorschlagen, freigeben, befoerdern) ---
+
+function parseVersionNumber(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Version aus der URL laden; schickt 400/404 und liefert null, wenn es sie nicht gibt.
+ */
+async function loadRequestedVersion(req, res) {
+  const number = parseVersionNumber(req.params.version);
+  if (!number) {
+    res.status(400).json({ error: 'Versionsnummer muss eine positive Ganzzahl sein' });
+    return null;
+  }
+  const version = await db.getAgentVersion(req.params.id, number);
+  if (!version) {
+    res.status(404).json({ error: `Version ${number} von '${req.params.id}' nicht gefunden` });
+    return null;
+  }
+  return version;
+}
+
+/**
+ * 404 oder 409, wenn ein Statuswechsel nicht moeglich war.
+ */
+async function sendVersionConflict(res, agentId, number, expected) {
+  const existing = await db.getAgentVersion(agentId, number);
+  if (!existing) {
+    return res.status(404).json({ error: `Version ${number} von '${agentId}' nicht gefunden` });
+  }
+  res.status(409).json({
+    error: `Version ${number} hat Status '${existing.status}', erwartet: ${expected}`,
+    version: agentVersions.formatVersion(existing),
+  });
+}
+
+app.get('/api/agents/:id/versions', async (req, res) => {
+  const agent = agents.get(req.params.id);
+  if (!agent) {
+    return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
+  }
+
+  try {
+    const rows = await db.listAgentVersions(agent.id);
+    res.json({
+      agent: agent.id,
+      active: agent.profileVersion?.version ?? null,
+      count: rows.length,
+      versions: rows.map((row) => agentVersions.formatVersion(row)),
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Fehler beim Laden der Versionen', details: err.message });
+  }
+});
+
+// Body: { systemInstructions, baseVersion?, changeNote?, proposedBy? }
+app.post('/api/agents/:id/versions', async (req, res) => {
+  const agent = agents.get(req.params.id);
+  if (!agent) {
+    return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
+  }
+  const { systemInstructions, baseVersion, changeNote, proposedBy } = req.body || {};
+  if (typeof systemInstructions !== 'string' || systemInstructions.trim().length === 0) {
+    return res.status(400).json({ error: 'Feld "systemInstructions" ist erforderlich' });
+  }
+  if (baseVersion !== undefined && !parseVersionNumber(baseVersion)) {
+    return res.status(400).json({ error: 'Feld "baseVersion" muss eine positive Ganzzahl sein' });
+  }
+
+  try {
+    const base = baseVersion !== undefined
+      ? await db.getAgentVersion(agent.id, parseVersionNumber(baseVersion))
+      : await db.getActiveAgentVersion(agent.id);
+    if (!base) {
+      return res.status(404).json({
+        error: baseVersion !== undefined
+          ? `Version ${baseVersion} von '${agent.id}' nicht gefunden`
+          : `'${agent.id}' hat keine aktive Version`,
+      });
+    }
+    if (base.profile.systemInstructions === systemInstructions) {
+      return res.status(400).json({ error: `systemInstructions sind identisch mit Version ${base.version_number}` });
+    }
+
+    const version = await agentVersions.propose(base, { systemInstructions, changeNote, proposedBy });
+    console.log(`[Versions] ${agent.id}: Version ${version.version_number} vorgeschlagen (Basis ${base.version_number})`);
+    res.status(201).json({
+      version: agentVersions.formatVersion(version),
+      diff: agentVersions.diffVersions(base, version),
+      // Neue Platzhalter ohne Default muessen spaeter pro Conversation gesetzt werden
+      variables: {
+        placeholders: promptBuilder.extractTemplateVariables(systemInstructions),
+        required: promptBuilder.resolveTemplateVariables(toAgent(version.profile, agent.sourceFile)).missing,
+      },
+    });
+  } catch (err) {
+    console.error('[Versions] Fehler:', err.message);
+    res.status(500).json({ error: 'Version konnte nicht angelegt werden', details: err.message });
+  }
+});
+
+app.get('/api/agents/:id/versions/:version', async (req, res) => {
+  try {
+    const version = await loadRequestedVersion(req, res);
+    if (!version) return;
+    res.json(agentVersions.formatVersion(version, { includeProfile: true }));
+  } catch (err) {
+    res.status(500).json({ error: 'Fehler beim Laden der Version', details: err.message });
+  }
+});
+
+// Query: ?against=<version> - Standard: Basisversion des Vorschlags, sonst die aktive Version
+app.get('/api/agents/:id/versions/:version/diff', async (req, res) => {
+  try {
+    const version = await loadRequestedVersion(req, res);
+    if (!version) return;
+
+    let other;
+    if (req.query.against !== undefined) {
+      const number = parseVersionNumber(req.query.against);
+      if (!number) {
+        return res.status(400).json({ error: 'against muss eine positive Ganzzahl sein' });
+      }
+      other = await db.getAgentVersion(req.params.id, number);
+    } else if (version.base_version) {
+      other = await db.getAgentVersion(req.params.id, version.base_version);
+    } else {
+      other = await db.getActiveAgentVersion(req.params.id);
+    }
+    if (!other) {
+      return res.status(404).json({ error: 'Vergleichsversion nicht gefunden' });
+    }
+
+    const [from, to] = other.version_number <= version.version_number ? [other, version] : [version, other];
+    res.json(agentVersions.diffVersions(from, to));
+  } catch (err) {
+    res.status(500).json({ error: 'Diff fehlgeschlagen', details: err.message });
+  }
+});
+
+/**
+ * Vorschlag freigeben oder ablehnen. Body: { reviewedBy?, note? }
+ */
+function reviewVersion(status) {
+  return async (req, res) => {
+    const number = parseVersionNumber(req.params.version);
+    if (!number) {
+      return res.status(400).json({ error: 'Versionsnummer muss eine positive Ganzzahl sein' });
+    }
+    const { reviewedBy, note } = req.body || {};
+
+    try {
+      const version = await db.reviewAgentVersion(req.params.id, number, status, { reviewedBy, note });
+      if (!version) {
+        return sendVersionConflict(res, req.params.id, number, 'proposed');
+      }
+      console.log(`[Versions] ${req.params.id}: Version ${number} ${status}`);
+      res.json({ success: true, version: agentVersions.formatVersion(version) });
+    } catch (err) {
+      res.status(500).json({ error: 'Freigabe fehlgeschlagen', details: err.message });
+    }
+  };
+}
+
+app.post('/api/agents/:id/versions/:version/approve', reviewVersion('approved'));
+app.post('/api/agents/:id/versions/:version/reject', reviewVersion('rejected'));
+
+/**
+ * Version aktiv schalten und in die Registry uebernehmen.
+ */
+async function activateProfileVersion(res, agent, number, fromStatus) {
+  const result = await db.promoteAgentVersion(agent.id, number, fromStatus);
+  if (!result) {
+    return sendVersionConflict(res, agent.id, number, fromStatus.join(' oder '));
+  }
+  applyProfileVersion(result.version);
+  console.log(`[Versions] ${agent.id}: Version ${number} aktiv (vorher ${result.previous?.version_number ?? '-'})`);
+  res.json({
+    success: true,
+    active: agentVersions.formatVersion(result.version),
+    previous: result.previous ? result.previous.version_number : null,
+  });
+}
+
+app.post('/api/agents/:id/versions/:version/promote', async (req, res) => {
+  const agent = agents.get(req.params.id);
+  if (!agent) {
+    return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
+  }
+  const number = parseVersionNumber(req.params.version);
+  if (!number) {
+    return res.status(400).json({ error: 'Versionsnummer muss eine positive Ganzzahl sein' });
+  }
+
+  try {
+    await activateProfileVersion(res, agent, number, ['approved']);
+  } catch (err) {
+    res.status(500).json({ error: 'Befoerderung fehlgeschlagen', details: err.message });
+  }
+});
+
+// Body: { version? } - Standard: die zuletzt abgeloeste Version
+app.post('/api/agents/:id/rollback', async (req, res) => {
+  const agent = agents.get(req.params.id);
+  if (!agent) {
+    return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
+  }
+  const { version } = req.body || {};
+  if (version !== undefined && !parseVersionNumber(version)) {
+    return res.status(400).json({ error: 'Feld "version" muss eine positive Ganzzahl sein' });
+  }
+
+  try {
+    const number = version !== undefined
+      ? parseVersionNumber(version)
+      : (await db.getPreviousAgentVersion(agent.id))?.version_number;
+    if (!number) {
+      return res.status(404).json({ error: `'${agent.id}' hat keine fruehere Version` });
+    }
+    await activateProfileVersion(res, agent, number, ['superseded']);
+  } catch (err) {
+    res.status(500).json({ error: 'Rollback fehlgeschlagen', details: err.message });
+  }
+});
+
+// --- Modelle aller Provider auflisten (Hilfs-Endpoint) ---
+app.get('/api/models', async (req, res) => {
+  try {
+    const models = await providers.listModels();
+    res.json({ defaultProvider: providers.DEFAULT_PROVIDER, models });
+  } catch (err) {
+    res.status(503).json({ error: 'Provider nicht erreichbar', details: err.message });
+  }
+});
+
+// ===================================================
+// NEW ENDPOINTS
+// ===================================================
+
+// --- SSE Streaming Chat Endpoint ---
+// Events: token, tool_call_started, tool_result, final, error
+function sendSseEvent(res, event, data) {
+  // Client hat die Verbindung getrennt - der Abbruch laeuft ueber generations
+  if (res.destroyed || res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+app.post('/api/agents/:id/chat/stream', async (req, res) => {
   const agent = agents.get(req.params.id);
   if (!agent) {
     return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
   }
 
-  const { message, conversationId, options, githubToken, linearApiKey } = req.body;
+  const { message, conversationId, options, variables, githubToken, linearApiKey } = req.body;
 
   if (!message || typeof message !== 'string' || message.trim().length === 0) {
     return res.status(400).json({ error: 'Feld "message" ist erforderlich (nicht-leerer String)' });
   }
 
+  if (variables !== undefined && !isPlainObject(variables)) {
+    return res.status(400).json({ error: 'Feld "variables" muss ein Objekt sein' });
+  }
+
   // Tokens: aus Request-Body oder Environment
   const ghToken = githubToken || process.env.GITHUB_TOKEN || '';
   const lnKey = linearApiKey || process.env.LINEAR_API_KEY || '';
+  let generation = null;
 
   try {
+    // Set SSE headers
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
     // Conversation erstellen oder laden
     let convId = conversationId;
     let conversation;
@@ -211,323 +1876,451 @@ app.post('/api/agents/:id/chat', async (req, res) => {
     if (convId) {
       conversation = await db.getConversation(convId);
       if (!conversation) {
-        return res.status(404).json({ error: `Conversation '${convId}' nicht gefunden` });
+        sendSseEvent(res, 'error', { error: `Conversation '${convId}' nicht gefunden` });
+        return res.end();
       }
       if (conversation.agent_id !== agent.id) {
-        return res.status(400).json({
-          error: `Conversation '${convId}' gehoert zu Agent '${conversation.agent_id}', nicht zu '${agent.id}'`,
-        });
+        sendSseEvent(res, 'error', { error: `Conversation '${convId}' gehoert zu Agent '${conversation.agent_id}', nicht zu '${agent.id}'` });
+        return res.end();
       }
-    } else {
-      // Neue Conversation erstellen
+    }
+
+    // Template-Variablen: Request > Conversation > Agent-Defaults
+    const templateVars = promptBuilder.resolveTemplateVariables(agent, conversation?.variables, variables);
+    if (templateVars.missing.length > 0) {
+      sendSseEvent(res, 'error', missingVariablesError(agent, templateVars.missing));
+      return res.end();
+    }
+
+    if (!convId) {
+      // Neue Conversation erstellen, Request-Variablen gelten fuer alle Folge-Nachrichten
       const title = message.substring(0, 100);
-      conversation = await db.createConversation(agent.id, title);
+      conversation = await db.createConversation(agent.id, title, variables);
       convId = conversation.id;
+    } else if (variables) {
+      await db.updateConversationVariables(convId, variables);
     }
 
+    // Abbrechbar per POST /api/conversations/:id/cancel oder durch Trennen der Verbindung
+    generation = generations.start(convId);
+    res.on('close', () => {
+      if (!res.writableFinished) generation.cancel('disconnect');
+    });
+
     // User-Nachricht speichern
     await db.addMessage(convId, 'user', message.trim());
 
-    // Bisherigen Verlauf laden fuer Kontext
-    const history = await db.getMessages(convId, 50);
-
-    // Messages-Array fuer Ollama zusammenbauen
-    const ollamaMessages = [
-      { role: 'system', content: agent.systemInstructions },
-      ...history.map((m) => ({ role: m.role, content: m.content })),
-    ];
-
-    const model = ollama.DEFAULT_MODEL;
-    const temperature = agent.modelPreferences?.temperature ?? 0.7;
-
-    // Tools verfuegbar? Dann mit Tool-Calling
-    const availableTools = toolExecutor.getAvailableTools(ghToken, lnKey);
-    let assistantMessage = '';
-    let toolsUsed = [];
-    let totalDuration = 0;
-    let evalCount = 0;
-
-    if (availableTools.length > 0) {
-      // Chat mit Tool-Calling-Loop
-      const result = await toolExecutor.chatWithTools(
-        ollama.client,
-        model,
-        ollamaMessages,
-        availableTools,
-        { temperature, ...(options || {}) },
-        ghToken,
-        lnKey,
-        10
-      );
-      assistantMessage = result.message;
-      toolsUsed = result.toolResults || [];
-      totalDuration = result.totalDuration || 0;
-      evalCount = result.evalCount || 0;
-    } else {
-      // Ohne Tools - normaler Chat
-      const ollamaResponse = await ollama.chat(model, ollamaMessages, {
-        temperature,
-        ...(options || {}),
+    sendSseEvent(res, 'start', { conversationId: convId, agent: agent.id });
+
+    const selection = await providers.selectModel(agent, options);
+    const { provider, model, ref: modelRef } = selection;
+
+    // System-Prompt (inkl. Memory-Blocks) und Verlauf im Kontextfenster des Modells
+    const { messages: ollamaMessages, stats: context, sources } = await buildContextMessages(
+      agent, convId, templateVars.values, selection, { query: message.trim() }
+    );
+
+    // Gleicher Tool-Loop wie /chat, Tokens und Tool-Aktivitaet werden live gesendet
+    const delegation = tasks.createDelegation();
+    const availableTools = toolExecutor.getAvailableTools(ghToken, lnKey, {
+      memory: true,
+      allowedTools: agent.lettaConfig?.allowedTools,
+      eventTriggers: agentEvents.getTriggers(agent),
+      delegateTargets: tasks.getTargets(agent, delegation),
+    });
+    const sendEvent = (event, data) => sendSseEvent(res, event, data);
+    const result = await toolExecutor.chatWithToolsStream(
+      provider,
+      model,
+      ollamaMessages,
+      availableTools,
+      withOutputFormat(agent, selection.options),
+      ghToken,
+      lnKey,
+      10,
+      (event, data) => {
+        if (event === 'token') {
+          sendSseEvent(res, 'token', { chunk: data.chunk, done: false });
+        } else {
+          sendSseEvent(res, event, data);
+        }
+      },
+      {
+        agent,
+        conversationId: convId,
+        rebuildSystemPrompt: () => buildSystemPrompt(agent, templateVars.values),
+        requestApproval: createApprovalRequester(agent, convId, sendEvent),
+        // Freigaben von Sub-Agents (task_delegate) landen im selben Stream
+        delegation,
+        onEvent: sendEvent,
+        signal: generation.signal,
+      }
+    );
+
+    if (result.cancelled) {
+      // Teilausgabe ohne Schema-Pruefung speichern, damit der Verlauf zeigt, was der Client gesehen hat
+      await saveToolMessages(convId, result.toolMessages);
+      if (result.message) {
+        await db.addMessage(convId, 'assistant', result.message, { cancelled: true, sources });
+      }
+      console.log(`[Chat Stream] ${agent.id} / ${convId}: abgebrochen (${generation.reason})`);
+      sendSseEvent(res, 'cancelled', {
+        done: true,
+        response: result.message,
+        conversationId: convId,
+        agent: agent.id,
+        model: modelRef,
+        reason: generation.reason,
+        sources,
+        toolsUsed: result.trace.map((t) => t.tool),
+        trace: result.trace,
+        iterations: result.iterations,
       });
-      assistantMessage = ollamaResponse.message?.content || '';
-      totalDuration = ollamaResponse.total_duration;
-      evalCount = ollamaResponse.eval_count;
+      return res.end();
     }
 
-    // Antwort speichern
-    await db.addMessage(convId, 'assistant', assistantMessage);
+    // Strukturierte Ausgabe pruefen; eine reparierte Antwort ersetzt die gestreamte im final-Event
+    const structured = await applyOutputSchema(agent, selection, ollamaMessages, result.message);
 
-    res.json({
-      response: assistantMessage,
+    // Tool-Verlauf und Antwort speichern
+    await saveToolMessages(convId, result.toolMessages);
+    await db.addMessage(convId, 'assistant', structured.text, { structuredOutput: structured.output, sources });
+
+    sendSseEvent(res, 'final', {
+      chunk: '',
+      done: true,
+      response: structured.text,
       conversationId: convId,
       agent: agent.id,
-      model,
-      toolsUsed: toolsUsed.map((t) => ({
-        name: t.tool_call_id || 'tool',
-        content: typeof t.content === 'string' ? t.content.substring(0, 500) : '',
-      })),
-      totalDuration,
-      evalCount,
+      model: modelRef,
+      thinkingLevel: selection.thinkingLevel,
+      modelFallback: selection.fallback,
+      profileVersion: agent.profileVersion?.version ?? null,
+      toolsUsed: result.trace.map((t) => t.tool),
+      trace: result.trace,
+      stoppedReason: result.stoppedReason,
+      structuredOutput: structured.output,
+      context,
+      sources,
+      iterations: result.iterations,
+      totalDuration: result.totalDuration,
+      evalCount: result.evalCount + structured.evalCount,
     });
-  } catch (err) {
-    console.error(`[Chat] Fehler bei Agent ${agent.id}:`, err.message);
 
-    if (err.message.includes('connection')) {
-      return res.status(503).json({
-        error: 'Ollama ist nicht erreichbar. Bitte spaeter erneut versuchen.',
-        details: err.message,
-      });
-    }
+    res.end();
+  } catch (err) {
+    console.error(`[Chat Stream] Fehler bei Agent ${agent.id}:`, err.message);
 
-    res.status(500).json({
-      error: 'Chat-Anfrage fehlgeschlagen',
+    sendSseEvent(res, 'error', {
+      error: 'Streaming-Anfrage fehlgeschlagen',
       details: err.message,
     });
+    res.end();
+  } finally {
+    if (generation) generations.finish(generation);
   }
 });
 
-// --- Conversations eines Agents auflisten ---
-app.get('/api/agents/:id/conversations', async (req, res) => {
-  const agent = agents.get(req.params.id);
-  if (!agent) {
-    return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
+// --- Laufende Streaming-Generierung abbrechen ---
+// Die bisherige Ausgabe wird mit cancelled: true gespeichert, der Stream endet mit Event 'cancelled'
+app.post('/api/conversations/:conversationId/cancel', (req, res) => {
+  const { conversationId } = req.params;
+  if (!isUuid(conversationId)) {
+    return res.status(400).json({ error: 'Conversation-ID muss eine UUID sein' });
   }
 
-  try {
-    const conversations = await db.listConversations(agent.id);
-    res.json({
-      agent: agent.id,
-      count: conversations.length,
-      conversations,
-    });
-  } catch (err) {
-    res.status(500).json({ error: 'Fehler beim Laden der Conversations', details: err.message });
+  const cancelled = generations.cancel(conversationId, 'api');
+  if (cancelled === 0) {
+    return res.status(409).json({ error: `Keine laufende Generierung fuer Conversation '${conversationId}'` });
   }
+  console.log(`[Chat Stream] ${conversationId}: Abbruch angefordert`);
+  res.json({ success: true, conversationId, cancelled });
 });
 
-// --- Conversation-Details abrufen ---
-app.get('/api/conversations/:conversationId', async (req, res) => {
+// --- Inter-Agent-Events (interAgentCommunication) ---
+// Body: { trigger, payload? } - z.B. call_completed nach einem Anruf
+app.post('/api/conversations/:conversationId/events', async (req, res) => {
+  const { trigger, payload, target } = req.body;
+  if (!isUuid(req.params.conversationId)) {
+    return res.status(400).json({ error: 'Conversation-ID muss eine UUID sein' });
+  }
+  if (!trigger || typeof trigger !== 'string') {
+    return res.status(400).json({ error: 'Feld "trigger" ist erforderlich' });
+  }
+
   try {
     const conversation = await db.getConversation(req.params.conversationId);
     if (!conversation) {
       return res.status(404).json({ error: 'Conversation nicht gefunden' });
     }
-    res.json(conversation);
+    const agent = agents.get(conversation.agent_id);
+    if (!agent) {
+      return res.status(404).json({ error: `Agent '${conversation.agent_id}' nicht gefunden` });
+    }
+    if (!agentEvents.getTriggers(agent).includes(trigger)) {
+      return res.status(400).json({
+        error: `Agent '${agent.id}' deklariert keinen feedbackLoop fuer '${trigger}'`,
+        triggers: agentEvents.getTriggers(agent),
+      });
+    }
+
+    // Optional nur an einen der Ziel-Agents (z.B. prompt_upgrade fuer genau einen Call-Agent)
+    const loops = (agent.interAgentCommunication?.feedbackLoops || []).filter((l) => l.trigger === trigger);
+    if (target !== undefined && !loops.some((l) => l.target === target)) {
+      return res.status(400).json({
+        error: `Agent '${agent.id}' deklariert keinen feedbackLoop fuer '${trigger}' an '${target}'`,
+        targets: loops.map((l) => l.target),
+      });
+    }
+
+    const events = await agentEvents.emit(agent, trigger, { payload, conversationId: conversation.id, target });
+    res.status(202).json({ count: events.length, events: events.map(agentEvents.formatEvent) });
   } catch (err) {
-    res.status(500).json({ error: 'Fehler beim Laden der Conversation', details: err.message });
+    console.error('[Events] Fehler:', err.message);
+    res.status(500).json({ error: 'Event konnte nicht emittiert werden', details: err.message });
   }
 });
 
-// --- Conversation loeschen ---
-app.delete('/api/conversations/:conversationId', async (req, res) => {
+// Query: ?agentId=...&conversationId=...
+app.get('/api/events', async (req, res) => {
+  const { agentId, conversationId } = req.query;
+  if (conversationId && !isUuid(conversationId)) {
+    return res.status(400).json({ error: 'conversationId muss eine UUID sein' });
+  }
+
   try {
-    const deleted = await db.deleteConversation(req.params.conversationId);
-    if (!deleted) {
-      return res.status(404).json({ error: 'Conversation nicht gefunden' });
-    }
-    res.json({ deleted: true, conversationId: req.params.conversationId });
+    const rows = await db.listAgentEvents({ agentId, conversationId });
+    res.json({ count: rows.length, events: rows.map(agentEvents.formatEvent) });
   } catch (err) {
-    res.status(500).json({ error: 'Fehler beim Loeschen der Conversation', details: err.message });
+    console.error('[Events] Fehler:', err.message);
+    res.status(500).json({ error: 'Events konnten nicht geladen werden', details: err.message });
   }
 });
 
-// --- Agent Memory abrufen ---
-app.get('/api/agents/:id/memory', async (req, res) => {
-  const agent = agents.get(req.params.id);
-  if (!agent) {
-    return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
+// Event inkl. der ganzen Kette (Ursprung und alle ausgeloesten Folge-Events)
+app.get('/api/events/:id', async (req, res) => {
+  if (!isUuid(req.params.id)) {
+    return res.status(400).json({ error: 'Event-ID muss eine UUID sein' });
   }
 
   try {
-    const memory = await db.getAgentMemory(agent.id);
-    res.json({
-      agent: agent.id,
-      blocks: memory.map((m) => ({
-        label: m.label,
-        value: m.value,
-        updatedAt: m.updated_at,
-      })),
-    });
+    const event = await db.getAgentEvent(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: `Event '${req.params.id}' nicht gefunden` });
+    }
+    const chain = await db.getAgentEventChain(event.id);
+    res.json({ event: agentEvents.formatEvent(event), chain: chain.map(agentEvents.formatEvent) });
   } catch (err) {
-    res.status(500).json({ error: 'Fehler beim Laden der Memory', details: err.message });
+    console.error('[Events] Fehler:', err.message);
+    res.status(500).json({ error: 'Event konnte nicht geladen werden', details: err.message });
   }
 });
 
-// --- Agent Memory aktualisieren ---
-app.post('/api/agents/:id/memory', async (req, res) => {
+// --- Call-Simulation (Caller-Persona gegen Call-Agent) ---
+// Body: { persona, behavior, opening, maxTurns, rules, variables }
+app.post('/api/agents/:id/simulations', async (req, res) => {
   const agent = agents.get(req.params.id);
   if (!agent) {
     return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
   }
 
-  const { label, value } = req.body;
-
-  if (!label || typeof label !== 'string') {
-    return res.status(400).json({ error: 'Feld "label" ist erforderlich (String)' });
+  const { config, error } = callSimulator.normalizeConfig(req.body, agent);
+  if (error) {
+    return res.status(400).json({ error });
   }
-  if (!value || typeof value !== 'string') {
-    return res.status(400).json({ error: 'Feld "value" ist erforderlich (String)' });
+  if (!isPlainObject(config.variables)) {
+    return res.status(400).json({ error: 'Feld "variables" muss ein Objekt sein' });
+  }
+  const { missing } = promptBuilder.resolveTemplateVariables(agent, {}, config.variables);
+  if (missing.length > 0) {
+    return res.status(400).json(missingVariablesError(agent, missing));
   }
 
   try {
-    const result = await db.upsertAgentMemory(agent.id, label, value);
-    res.json({
-      agent: agent.id,
-      label: result.label,
-      value: result.value,
-      updatedAt: result.updated_at,
-    });
+    const simulation = await callSimulator.start(agent, config);
+    res.status(202).json(callSimulator.formatSimulation(simulation));
   } catch (err) {
-    res.status(500).json({ error: 'Fehler beim Aktualisieren der Memory', details: err.message });
+    console.error('[Simulation] Fehler:', err.message);
+    res.status(500).json({ error: 'Simulation konnte nicht gestartet werden', details: err.message });
   }
 });
 
-// --- Ollama Modelle auflisten (Hilfs-Endpoint) ---
-app.get('/api/models', async (req, res) => {
+// Query: ?agentId=...
+app.get('/api/simulations', async (req, res) => {
   try {
-    const models = await ollama.listModels();
-    res.json({ models });
+    const rows = await db.listCallSimulations({ agentId: req.query.agentId });
+    res.json({ count: rows.length, simulations: rows.map(callSimulator.formatSimulation) });
   } catch (err) {
-    res.status(503).json({ error: 'Ollama nicht erreichbar', details: err.message });
+    console.error('[Simulation] Fehler:', err.message);
+    res.status(500).json({ error: 'Simulationen konnten nicht geladen werden', details: err.message });
   }
 });
 
-// ===================================================
-// NEW ENDPOINTS
-// ===================================================
+app.get('/api/simulations/:id', async (req, res) => {
+  if (!isUuid(req.params.id)) {
+    return res.status(400).json({ error: 'Simulations-ID muss eine UUID sein' });
+  }
 
-// --- SSE Streaming Chat Endpoint ---
-app.post('/api/agents/:id/chat/stream', async (req, res) => {
-  const agent = agents.get(req.params.id);
-  if (!agent) {
-    return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
+  try {
+    const simulation = await db.getCallSimulation(req.params.id);
+    if (!simulation) {
+      return res.status(404).json({ error: `Simulation '${req.params.id}' nicht gefunden` });
+    }
+    res.json(callSimulator.formatSimulation(simulation));
+  } catch (err) {
+    console.error('[Simulation] Fehler:', err.message);
+    res.status(500).json({ error: 'Simulation konnte nicht geladen werden', details: err.message });
   }
+});
 
-  const { message, conversationId, options } = req.body;
+// --- QA-Bewertung (meta-call-qa) ---
+// Body: { variables? } - ueberschreibt die aus dem Verlauf gebauten Platzhalter
+app.post('/api/conversations/:conversationId/review', async (req, res) => {
+  const { variables = {} } = req.body || {};
+  if (!isUuid(req.params.conversationId)) {
+    return res.status(400).json({ error: 'Conversation-ID muss eine UUID sein' });
+  }
+  if (!isPlainObject(variables)) {
+    return res.status(400).json({ error: 'Feld "variables" muss ein Objekt sein' });
+  }
 
-  if (!message || typeof message !== 'string' || message.trim().length === 0) {
-    return res.status(400).json({ error: 'Feld "message" ist erforderlich (nicht-leerer String)' });
+  try {
+    const conversation = await db.getConversation(req.params.conversationId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation nicht gefunden' });
+    }
+    if (conversation.agent_id === qaReviews.QA_AGENT_ID) {
+      return res.status(400).json({ error: 'Conversations des QA-Agents werden nicht bewertet' });
+    }
+    if (!conversation.messages.some((m) => m.role === 'user')) {
+      return res.status(400).json({ error: 'Conversation enthaelt keine Nachrichten' });
+    }
+    if (!agents.has(qaReviews.QA_AGENT_ID)) {
+      return res.status(503).json({ error: `QA-Agent '${qaReviews.QA_AGENT_ID}' ist nicht geladen` });
+    }
+
+    const review = await qaReviews.start(conversation, { trigger: 'manual', variables });
+    res.status(202).json(qaReviews.formatReview(review));
+  } catch (err) {
+    console.error('[QA] Fehler:', err.message);
+    res.status(500).json({ error: 'Bewertung konnte nicht gestartet werden', details: err.message });
+  }
+});
+
+// Neueste Bewertung plus Historie
+app.get('/api/conversations/:conversationId/review', async (req, res) => {
+  if (!isUuid(req.params.conversationId)) {
+    return res.status(400).json({ error: 'Conversation-ID muss eine UUID sein' });
   }
 
   try {
-    // Set SSE headers
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
+    const rows = await db.listConversationReviews({ conversationId: req.params.conversationId });
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Keine Bewertung fuer diese Conversation' });
+    }
+    const [latest, ...history] = rows.map(qaReviews.formatReview);
+    res.json({ ...latest, history });
+  } catch (err) {
+    console.error('[QA] Fehler:', err.message);
+    res.status(500).json({ error: 'Bewertung konnte nicht geladen werden', details: err.message });
+  }
+});
 
-    // Conversation erstellen oder laden
-    let convId = conversationId;
-    let conversation;
+// Conversation schliessen (Call beendet). Body: { review? } - Standard: bewerten,
+// wenn ein feedbackLoop des Agents an das QA-Agent geht
+app.post('/api/conversations/:conversationId/close', async (req, res) => {
+  if (!isUuid(req.params.conversationId)) {
+    return res.status(400).json({ error: 'Conversation-ID muss eine UUID sein' });
+  }
 
-    if (convId) {
-      conversation = await db.getConversation(convId);
-      if (!conversation) {
-        res.write(`data: ${JSON.stringify({ error: `Conversation '${convId}' nicht gefunden` })}\n\n`);
-        return res.end();
-      }
-      if (conversation.agent_id !== agent.id) {
-        res.write(`data: ${JSON.stringify({ error: `Conversation '${convId}' gehoert zu Agent '${conversation.agent_id}', nicht zu '${agent.id}'` })}\n\n`);
-        return res.end();
-      }
-    } else {
-      // Neue Conversation erstellen
-      const title = message.substring(0, 100);
-      conversation = await db.createConversation(agent.id, title);
-      convId = conversation.id;
+  try {
+    const conversation = await db.getConversation(req.params.conversationId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation nicht gefunden' });
+    }
+    const alreadyClosed = Boolean(conversation.closed_at);
+    const closed = await db.closeConversation(conversation.id);
+
+    const agent = agents.get(conversation.agent_id);
+    const wantsReview = req.body?.review ?? (agent ? qaReviews.reviewsOnClose(agent) : false);
+    let review = null;
+    if (wantsReview && !alreadyClosed && conversation.agent_id !== qaReviews.QA_AGENT_ID
+        && agents.has(qaReviews.QA_AGENT_ID) && conversation.messages.some((m) => m.role === 'user')) {
+      review = await qaReviews.start(conversation, { trigger: 'close' });
     }
 
-    // User-Nachricht speichern
-    await db.addMessage(convId, 'user', message.trim());
+    res.json({
+      conversationId: closed.id,
+      closedAt: closed.closed_at,
+      alreadyClosed,
+      review: review ? qaReviews.formatReview(review) : null,
+    });
+  } catch (err) {
+    console.error('[QA] Fehler:', err.message);
+    res.status(500).json({ error: 'Conversation konnte nicht geschlossen werden', details: err.message });
+  }
+});
 
-    // Bisherigen Verlauf laden fuer Kontext
-    const history = await db.getMessages(convId, 50);
-
-    // Messages-Array fuer Ollama zusammenbauen
-    const ollamaMessages = [
-      { role: 'system', content: agent.systemInstructions },
-      ...history.map((m) => ({ role: m.role, content: m.content })),
-    ];
-
-    // An Ollama senden
-    const model = ollama.DEFAULT_MODEL;
-    const temperature = agent.modelPreferences?.temperature ?? 0.7;
-
-    // Check if chatStream is available
-    if (typeof ollama.chatStream === 'function') {
-      // Use streaming
-      let fullMessage = '';
-
-      for await (const chunk of ollama.chatStream(model, ollamaMessages, {
-        temperature,
-        ...(options || {}),
-      })) {
-        const textChunk = chunk.message?.content || '';
-        fullMessage += textChunk;
-
-        // Send chunk as SSE
-        res.write(`data: ${JSON.stringify({ chunk: textChunk, done: false })}\n\n`);
-      }
+// QA-Dashboard pro Agent. Query: ?limit=... (Anzahl Bewertungen, Standard 200)
+app.get('/api/agents/:id/qa', async (req, res) => {
+  if (!agents.has(req.params.id)) {
+    return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
 
-      // Save complete message to DB
-      await db.addMessage(convId, 'assistant', fullMessage);
+  try {
+    const rows = await db.listConversationReviews({ agentId: req.params.id, limit });
+    res.json({ agentId: req.params.id, reviewer: qaReviews.QA_AGENT_ID, ...qaReviews.buildDashboard(rows) });
+  } catch (err) {
+    console.error('[QA] Fehler:', err.message);
+    res.status(500).json({ error: 'QA-Dashboard konnte nicht geladen werden', details: err.message });
+  }
+});
 
-      // Send completion event
-      res.write(`data: ${JSON.stringify({
-        chunk: '',
-        done: true,
-        conversationId: convId,
-        model: model
-      })}\n\n`);
-    } else {
-      // Fallback: use non-streaming and send as single SSE event
-      const ollamaResponse = await ollama.chat(model, ollamaMessages, {
-        temperature,
-        ...(options || {}),
-      });
+// --- Tool-Freigaben (permissionMode) ---
+// Query: ?status=pending&conversationId=...
+app.get('/api/approvals', async (req, res) => {
+  const { status, conversationId } = req.query;
+  if (conversationId && !isUuid(conversationId)) {
+    return res.status(400).json({ error: 'conversationId muss eine UUID sein' });
+  }
 
-      const assistantMessage = ollamaResponse.message?.content || '';
+  try {
+    const rows = await db.listToolApprovals({ status, conversationId });
+    res.json({ count: rows.length, approvals: rows.map(approvals.formatApproval) });
+  } catch (err) {
+    console.error('[Approvals] Fehler:', err.message);
+    res.status(500).json({ error: 'Freigaben konnten nicht geladen werden', details: err.message });
+  }
+});
 
-      // Antwort speichern
-      await db.addMessage(convId, 'assistant', assistantMessage);
+// Body: { decision: 'approve' | 'deny', reason? }
+app.post('/api/approvals/:id', async (req, res) => {
+  const { decision, reason } = req.body;
+  if (!isUuid(req.params.id)) {
+    return res.status(400).json({ error: 'Approval-ID muss eine UUID sein' });
+  }
+  if (decision !== 'approve' && decision !== 'deny') {
+    return res.status(400).json({ error: 'Feld "decision" muss "approve" oder "deny" sein' });
+  }
 
-      // Send as single chunk
-      res.write(`data: ${JSON.stringify({
-        chunk: assistantMessage,
-        done: true,
-        conversationId: convId,
-        model: ollamaResponse.model || model
-      })}\n\n`);
+  try {
+    const row = await approvals.decide(req.params.id, decision === 'approve', reason);
+    if (!row) {
+      const existing = await db.getToolApproval(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: `Freigabe '${req.params.id}' nicht gefunden` });
+      }
+      return res.status(409).json({
+        error: `Freigabe '${req.params.id}' ist nicht mehr offen (${existing.status})`,
+        approval: approvals.formatApproval(existing),
+      });
     }
 
-    res.end();
+    res.json({ success: true, approval: approvals.formatApproval(row) });
   } catch (err) {
-    console.error(`[Chat Stream] Fehler bei Agent ${agent.id}:`, err.message);
-
-    res.write(`data: ${JSON.stringify({
-      error: 'Streaming-Anfrage fehlgeschlagen',
-      details: err.message
-    })}\n\n`);
-    res.end();
+    console.error('[Approvals] Fehler:', err.message);
+    res.status(500).json({ error: 'Freigabe fehlgeschlagen', details: err.message });
   }
 });
 
@@ -538,16 +2331,21 @@ app.post('/api/agents/:id/chat/upload', async (req, res) => {
     return res.status(404).json({ error: `Agent '${req.params.id}' nicht gefunden` });
   }
 
-  const { message, file, conversationId, options } = req.body;
+  const { message, file, conversationId, options, variables } = req.body;
 
   if (!message || typeof message !== 'string' || message.trim().length === 0) {
     return res.status(400).json({ error: 'Feld "message" ist erforderlich (nicht-leerer String)' });
   }
 
+  if (variables !== undefined && !isPlainObject(variables)) {
+    return res.status(400).json({ error: 'Feld "variables" muss ein Objekt sein' });
+  }
+
   if (!file || !file.name || !file.content) {
     return res.status(400).json({ error: 'Feld "file" muss {name, content} enthalten' });
   }
 
+  let generation = null;
   try {
     // Decode base64 if needed
     let fileContent = file.content;
@@ -576,50 +2374,65 @@ app.post('/api/agents/:id/chat/upload', async (req, res) => {
           error: `Conversation '${convId}' gehoert zu Agent '${conversation.agent_id}', nicht zu '${agent.id}'`,
         });
       }
-    } else {
-      // Neue Conversation erstellen
+    }
+
+    // Template-Variablen: Request > Conversation > Agent-Defaults
+    const templateVars = promptBuilder.resolveTemplateVariables(agent, conversation?.variables, variables);
+    if (templateVars.missing.length > 0) {
+      return res.status(400).json(missingVariablesError(agent, templateVars.missing));
+    }
+
+    if (!convId) {
+      // Neue Conversation erstellen, Request-Variablen gelten fuer alle Folge-Nachrichten
       const title = `${file.name}: ${message.substring(0, 80)}`;
-      conversation = await db.createConversation(agent.id, title);
+      conversation = await db.createConversation(agent.id, title, variables);
       convId = conversation.id;
+    } else if (variables) {
+      await db.updateConversationVariables(convId, variables);
     }
 
+    // Eingetragen, damit Bearbeiten, Neu generieren und Zweigwechsel nicht dazwischenkommen
+    generation = generations.start(convId, { cancellable: false });
+
     // User-Nachricht speichern (mit Datei-Kontext)
     await db.addMessage(convId, 'user', enrichedMessage);
 
-    // Bisherigen Verlauf laden fuer Kontext
-    const history = await db.getMessages(convId, 50);
+    // An den Provider des Agents senden
+    const selection = await providers.selectModel(agent, options);
+    const { provider, model, ref: modelRef } = selection;
 
-    // Messages-Array fuer Ollama zusammenbauen
-    const ollamaMessages = [
-      { role: 'system', content: agent.systemInstructions },
-      ...history.map((m) => ({ role: m.role, content: m.content })),
-    ];
+    // System-Prompt (inkl. Memory-Blocks) und Verlauf im Kontextfenster des Modells
+    // Retrieval nur mit der Frage, nicht mit dem Dateiinhalt
+    const { messages: ollamaMessages, stats: context, sources } = await buildContextMessages(
+      agent, convId, templateVars.values, selection, { query: message.trim() }
+    );
 
-    // An Ollama senden
-    const model = ollama.DEFAULT_MODEL;
-    const temperature = agent.modelPreferences?.temperature ?? 0.7;
+    const ollamaResponse = await provider.chat(model, ollamaMessages, withOutputFormat(agent, selection.options));
 
-    const ollamaResponse = await ollama.chat(model, ollamaMessages, {
-      temperature,
-      ...(options || {}),
-    });
-
-    const assistantMessage = ollamaResponse.message?.content || '';
+    // Strukturierte Ausgabe pruefen (outputSchemaRef)
+    const structured = await applyOutputSchema(agent, selection, ollamaMessages, ollamaResponse.message?.content || '');
+    const assistantMessage = structured.text;
 
     // Antwort speichern
-    await db.addMessage(convId, 'assistant', assistantMessage);
+    await db.addMessage(convId, 'assistant', assistantMessage, { structuredOutput: structured.output, sources });
 
     res.json({
       response: assistantMessage,
       conversationId: convId,
       agent: agent.id,
-      model: ollamaResponse.model || model,
+      model: modelRef,
+      thinkingLevel: selection.thinkingLevel,
+      modelFallback: selection.fallback,
+      profileVersion: agent.profileVersion?.version ?? null,
       file: {
         name: file.name,
         processed: true,
       },
+      structuredOutput: structured.output,
+      context,
+      sources,
       totalDuration: ollamaResponse.total_duration,
-      evalCount: ollamaResponse.eval_count,
+      evalCount: (ollamaResponse.eval_count || 0) + structured.evalCount,
     });
   } catch (err) {
     console.error(`[Chat Upload] Fehler bei Agent ${agent.id}:`, err.message);
@@ -635,6 +2448,8 @@ app.post('/api/agents/:id/chat/upload', async (req, res) => {
       error: 'Chat-Anfrage mit Datei fehlgeschlagen',
       details: err.message,
     });
+  } finally {
+    if (generation) generations.finish(generation);
   }
 });
 
@@ -751,16 +2566,60 @@ app.use((req, res) => {
     availableEndpoints: [
       'GET  /api/health',
       'GET  /api/agents',
+      'POST /api/agents',
       'GET  /api/agents/:id',
+      'PUT  /api/agents/:id',
+      'DELETE /api/agents/:id',
+      'GET  /api/agents/:id/export',
+      'POST /api/agents/preview',
+      'POST /api/agents/reload',
       'POST /api/agents/:id/chat',
       'POST /api/agents/:id/chat/stream',
       'POST /api/agents/:id/chat/upload',
       'GET  /api/agents/:id/conversations',
+      'GET  /api/agents/:id/conversations/export',
       'GET  /api/agents/:id/memory',
       'POST /api/agents/:id/memory',
+      'GET  /api/agents/:id/memory/:label/history',
+      'POST /api/agents/:id/memory/:label/rollback',
+      'GET  /api/agents/:id/knowledge',
+      'POST /api/agents/:id/knowledge',
+      'DELETE /api/agents/:id/knowledge/:documentId',
+      'GET  /api/agents/:id/knowledge/search',
+      'GET  /api/agents/:id/versions',
+      'POST /api/agents/:id/versions',
+      'GET  /api/agents/:id/versions/:version',
+      'GET  /api/agents/:id/versions/:version/diff',
+      'POST /api/agents/:id/versions/:version/approve',
+      'POST /api/agents/:id/versions/:version/reject',
+      'POST /api/agents/:id/versions/:version/promote',
+      'POST /api/agents/:id/rollback',
       'GET  /api/conversations/:id',
       'DELETE /api/conversations/:id',
+      'GET  /api/conversations/:id/export',
+      'POST /api/conversations/import',
+      'POST /api/conversations/:id/cancel',
+      'GET  /api/conversations/:id/context',
+      'POST /api/conversations/:id/messages/:messageId/pin',
+      'POST /api/conversations/:id/messages/:messageId/edit',
+      'POST /api/conversations/:id/messages/:messageId/regenerate',
+      'POST /api/conversations/:id/branch',
+      'GET  /api/search',
       'GET  /api/models',
+      'POST /api/conversations/:id/events',
+      'GET  /api/events',
+      'GET  /api/events/:id',
+      'POST /api/agents/:id/simulations',
+      'GET  /api/simulations',
+      'GET  /api/simulations/:id',
+      'POST /api/conversations/:id/review',
+      'GET  /api/conversations/:id/review',
+      'POST /api/conversations/:id/close',
+      'GET  /api/agents/:id/qa',
+      'GET  /api/schemas',
+      'GET  /api/schemas/:ref',
+      'GET  /api/approvals',
+      'POST /api/approvals/:id',
       'GET  /api/github/repos',
       'POST /api/github/file',
     ],
@@ -793,13 +2652,35 @@ async function start() {
   console.log('[Startup] Initialisiere Datenbank ...');
   try {
     await db.initDatabase();
+    const expired = await db.expirePendingToolApprovals();
+    if (expired > 0) {
+      console.log(`[Startup] ${expired} offene Tool-Freigabe(n) abgelaufen`);
+    }
   } catch (err) {
     console.error('[Startup] Datenbank-Initialisierung fehlgeschlagen:', err.message);
     console.error('[Startup] Server startet trotzdem (Datenbank wird spaeter erneut versucht)');
   }
   console.log('');
 
-  // 3. Initiale Memory-Blocks setzen
+  // 3. Ueber die API angelegte Agents laden
+  console.log('[Startup] Lade gespeicherte Agents ...');
+  try {
+    await loadStoredAgents();
+  } catch (err) {
+    console.warn('[Startup] Gespeicherte Agents nicht verfuegbar:', err.message);
+  }
+  console.log('');
+
+  // 4. Profilversionen abgleichen (JSON-Dateien und gespeicherte Agents als Seed)
+  console.log('[Startup] Gleiche Profilversionen ab ...');
+  try {
+    await syncAgentVersions();
+  } catch (err) {
+    console.warn('[Startup] Profilversionen nicht verfuegbar, Agents laufen mit den JSON-Dateien:', err.message);
+  }
+  console.log('');
+
+  // 5. Initiale Memory-Blocks setzen
   console.log('[Startup] Initialisiere Agent-Memory ...');
   try {
     await initAgentMemory();
@@ -808,7 +2689,7 @@ async function start() {
   }
   console.log('');
 
-  // 4. Ollama-Verbindung pruefen
+  // 6. Ollama-Verbindung pruefen
   console.log('[Startup] Pruefe Ollama-Verbindung ...');
   const ollamaHealth = await ollama.healthCheck();
   if (ollamaHealth.connected) {
@@ -826,7 +2707,14 @@ async function start() {
   }
   console.log('');
 
-  // 5. HTTP-Server starten
+  // 7. Embeddings fuer die semantische Suche im Hintergrund nachziehen
+  messageSearch.startIndexer();
+  console.log('');
+
+  // 8. Agent-Verzeichnis beobachten
+  agentLoader.watchAgentDir(() => reloadAgents('watch'));
+
+  // 9. HTTP-Server starten
   app.listen(PORT, '0.0.0.0', () => {
     console.log('=============================================');
     console.log(`  Server laeuft auf Port ${PORT}`);
@@ -838,16 +2726,46 @@ async function start() {
     console.log('API Endpoints:');
     console.log(`  GET  http://localhost:${PORT}/api/health`);
     console.log(`  GET  http://localhost:${PORT}/api/agents`);
+    console.log(`  POST http://localhost:${PORT}/api/agents`);
     console.log(`  GET  http://localhost:${PORT}/api/agents/:id`);
+    console.log(`  PUT  http://localhost:${PORT}/api/agents/:id`);
+    console.log(`  DEL  http://localhost:${PORT}/api/agents/:id`);
+    console.log(`  GET  http://localhost:${PORT}/api/agents/:id/export`);
+    console.log(`  POST http://localhost:${PORT}/api/agents/preview`);
+    console.log(`  POST http://localhost:${PORT}/api/agents/reload`);
     console.log(`  POST http://localhost:${PORT}/api/agents/:id/chat`);
     console.log(`  POST http://localhost:${PORT}/api/agents/:id/chat/stream`);
     console.log(`  POST http://localhost:${PORT}/api/agents/:id/chat/upload`);
     console.log(`  GET  http://localhost:${PORT}/api/agents/:id/conversations`);
+    console.log(`  GET  http://localhost:${PORT}/api/agents/:id/conversations/export?format=`);
     console.log(`  GET  http://localhost:${PORT}/api/agents/:id/memory`);
     console.log(`  POST http://localhost:${PORT}/api/agents/:id/memory`);
+    console.log(`  GET  http://localhost:${PORT}/api/agents/:id/knowledge`);
+    console.log(`  POST http://localhost:${PORT}/api/agents/:id/knowledge`);
+    console.log(`  DEL  http://localhost:${PORT}/api/agents/:id/knowledge/:documentId`);
+    console.log(`  GET  http://localhost:${PORT}/api/agents/:id/knowledge/search?q=`);
+    console.log(`  GET  http://localhost:${PORT}/api/agents/:id/versions`);
+    console.log(`  POST http://localhost:${PORT}/api/agents/:id/versions`);
     console.log(`  GET  http://localhost:${PORT}/api/conversations/:id`);
     console.log(`  DEL  http://localhost:${PORT}/api/conversations/:id`);
+    console.log(`  GET  http://localhost:${PORT}/api/conversations/:id/export?format=`);
+    console.log(`  POST http://localhost:${PORT}/api/conversations/import`);
+    console.log(`  POST http://localhost:${PORT}/api/conversations/:id/cancel`);
+    console.log(`  GET  http://localhost:${PORT}/api/conversations/:id/context`);
+    console.log(`  POST http://localhost:${PORT}/api/conversations/:id/messages/:messageId/pin`);
+    console.log(`  POST http://localhost:${PORT}/api/conversations/:id/messages/:messageId/edit`);
+    console.log(`  POST http://localhost:${PORT}/api/conversations/:id/messages/:messageId/regenerate`);
+    console.log(`  POST http://localhost:${PORT}/api/conversations/:id/branch`);
+    console.log(`  GET  http://localhost:${PORT}/api/search?q=`);
     console.log(`  GET  http://localhost:${PORT}/api/models`);
+    console.log(`  POST http://localhost:${PORT}/api/conversations/:id/events`);
+    console.log(`  GET  http://localhost:${PORT}/api/events`);
+    console.log(`  POST http://localhost:${PORT}/api/agents/:id/simulations`);
+    console.log(`  POST http://localhost:${PORT}/api/conversations/:id/review`);
+    console.log(`  GET  http://localhost:${PORT}/api/agents/:id/qa`);
+    console.log(`  GET  http://localhost:${PORT}/api/schemas`);
+    console.log(`  GET  http://localhost:${PORT}/api/approvals`);
+    console.log(`  POST http://localhost:${PORT}/api/approvals/:id`);
     console.log(`  GET  http://localhost:${PORT}/api/github/repos`);
     console.log(`  POST http://localhost:${PORT}/api/github/file`);
     console.log('');
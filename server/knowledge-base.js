@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const db = require('./db');
+const providers = require('./provider-registry');
+const messageSearch = require('./message-search');
+const githubClient = require('./github-client');
+
+/**
+ * Wissensbasis pro Agent (Retrieval-Augmented Generation).
+ *
+ * Dokumente kommen als Upload (Markdown, Text, aus PDFs extrahierter Text), als
+ * GitHub-Datei (github_get_file) oder aus dem Profil selbst: knowledge und
+ * frameworks werden als Dokument "profile" gefuehrt und bei Aenderungen neu
+ * eingelesen. Jedes Dokument wird in Abschnitte zerlegt (Markdown an
+ * Ueberschriften und Absaetzen, sonst an Absaetzen) und - wenn pgvector und
+ * EMBEDDING_MODEL verfuegbar sind - eingebettet.
+ *
+ * Pro Chat-Turn werden die KNOWLEDGE_TOP_K besten Abschnitte zur User-Nachricht
+ * gesucht (semantisch, sonst Volltext) und als eigene System-Nachricht mit
+ * Nummern [1], [2], ... in den Kontext gelegt. Die Antwort liefert dieselben
+ * Nummern unter sources zurueck.
+ */
+
+const FORMATS = ['markdown', 'text', 'pdf'];
+const TOP_K = parseInt(process.env.KNOWLEDGE_TOP_K || '4', 10);
+// Mindest-Aehnlichkeit (Kosinus) fuer semantische Treffer, sonst landet immer irgendetwas im Kontext
+const MIN_SCORE = parseFloat(process.env.KNOWLEDGE_MIN_SCORE || '0.3');
+const CHUNK_CHARS = 1200;
+const CHUNK_OVERLAP = 200;
+const MAX_DOCUMENT_CHARS = 1000000;
+const EMBED_BATCH_SIZE = 32;
+// Pro Retrieval hoechstens so viele Abschnitte nachtraeglich einbetten (z.B. nach Modellwechsel)
+const EMBED_MAX_PER_RETRIEVAL = 256;
+const PROFILE_SOURCE_REF = 'profile';
+
+// agentId -> Hash von knowledge/frameworks, die zuletzt abgeglichen wurden
+const profileHashes = new Map();
+
+function hashContent(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// --- Zerlegen ---
+
+/**
+ * Aus PDFs extrahierter Text: Silbentrennung und Zeilenumbrueche innerhalb von Absaetzen entfernen.
+ */
+function normalizePdfText(text) {
+  return text
+    .replace(/-\n(?=\p{Ll})/gu, '')
+    .replace(/([^\n])\n(?!\n)/g, '$1 ');
+}
+
+/**
+ * Langen Block an Wortgrenzen in ueberlappende Stuecke schneiden.
+ */
+function splitLongBlock(text) {
+  const parts = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + CHUNK_CHARS, text.length);
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      if (space > start + CHUNK_CHARS / 2) end = space;
+    }
+    parts.push(text.substring(start, end).trim());
+    if (end >= text.length) break;
+    start = Math.max(end - CHUNK_OVERLAP, start + 1);
+  }
+  return parts.filter(Boolean);
+}
+
+/**
+ * Text in Abschnitte von hoechstens CHUNK_CHARS Zeichen zerlegen.
+ * @returns {Array} [{ heading, content }] - heading: letzte Markdown-Ueberschrift
+ */
+function chunkText(text, format) {
+  const source = (format === 'pdf' ? normalizePdfText(text) : text).replace(/\r\n/g, '\n');
+  const chunks = [];
+  let heading = null;
+  let current = [];
+  let length = 0;
+
+  const flush = () => {
+    if (current.length > 0) chunks.push({ heading, content: current.join('\n\n') });
+    current = [];
+    length = 0;
+  };
+
+  for (const raw of source.split(/\n{2,}/)) {
+    let block = raw.trim();
+    if (!block) continue;
+
+    if (format === 'markdown') {
+      const [firstLine, ...rest] = block.split('\n');
+      const match = /^#{1,6}\s+(.*)$/.exec(firstLine);
+      if (match) {
+        flush();
+        heading = match[1].trim();
+        block = rest.join('\n').trim();
+        if (!block) continue;
+      }
+    }
+
+    if (block.length > CHUNK_CHARS) {
+      flush();
+      for (const part of splitLongBlock(block)) chunks.push({ heading, content: part });
+      continue;
+    }
+    if (length + block.length > CHUNK_CHARS) flush();
+    current.push(block);
+    length += block.length + 2;
+  }
+  flush();
+  return chunks;
+}
+
+// --- Embeddings ---
+
+/**
+ * Abschnitte eines Agents ohne Embedding des aktuellen Modells einbetten.
+ * @returns {Promise<number>} Anzahl eingebetteter Abschnitte
+ */
+async function embedPending(agentId, max = Infinity) {
+  if (!messageSearch.semanticStatus().available) return 0;
+  const { ref } = providers.getEmbeddingModel();
+  let embedded = 0;
+  while (embedded < max) {
+    const pending = await db.listKnowledgeChunksWithoutEmbedding(agentId, ref, EMBED_BATCH_SIZE);
+    if (pending.length === 0) break;
+    const { model, embeddings } = await providers.embed(
+      pending.map((c) => (c.heading ? `${c.heading}\n${c.content}` : c.content))
+    );
+    await db.saveKnowledgeEmbeddings(
+      pending.map((c, i) => ({ chunkId: c.id, embedding: embeddings[i] })),
+      model
+    );
+    embedded += pending.length;
+    if (pending.length < EMBED_BATCH_SIZE) break;
+  }
+  return embedded;
+}
+
+// --- Dokumente ---
+
+/**
+ * Dokument speichern (gleiche sourceRef ersetzt das alte) und einbetten.
+ * @param {Object} agent
+ * @param {Object} doc - { title, content, format, sourceType, sourceRef }
+ * @returns {Promise<Object>} { document, chunks, unchanged, embedded, embedError }
+ */
+async function addDocument(agent, { title, content, format = 'text', sourceType = 'upload', sourceRef }) {
+  const chunks = chunkText(content, format);
+  const { document, unchanged } = await db.upsertKnowledgeDocument(
+    {
+      agentId: agent.id,
+      title,
+      sourceType,
+      sourceRef: sourceRef || title,
+      format,
+      contentHash: hashContent(content),
+      size: content.length,
+    },
+    chunks
+  );
+
+  let embedded = 0;
+  let embedError = null;
+  try {
+    embedded = await embedPending(agent.id);
+  } catch (err) {
+    // Abschnitte bleiben per Volltext auffindbar, Embeddings werden beim naechsten Retrieval nachgeholt
+    embedError = err.message;
+    console.error(`[Knowledge] Einbetten fuer ${agent.id} fehlgeschlagen:`, err.message);
+  }
+  if (!unchanged) {
+    console.log(`[Knowledge] ${agent.id}: '${document.title}' mit ${chunks.length} Abschnitten gespeichert`);
+  }
+  return { document, chunks: chunks.length, unchanged, embedded, embedError };
+}
+
+/**
+ * Datei aus GitHub (github_get_file) als Dokument uebernehmen.
+ * @param {Object} source - { repo, path, ref, token }
+ */
+async function importGithubFile(agent, { repo, path, ref, token }) {
+  const file = await githubClient.executeFunction('github_get_file', { repo, path, ref }, token);
+  if (file.error) {
+    throw new Error(`GitHub: ${file.error}`);
+  }
+  return addDocument(agent, {
+    title: `${repo}/${file.path || path}`,
+    content: file.content,
+    format: /\.(md|markdown|mdx)$/i.test(path) ? 'markdown' : 'text',
+    sourceType: 'github',
+    sourceRef: `github:${repo}/${path}@${ref || 'main'}`,
+  });
+}
+
+/**
+ * knowledge und frameworks des Profils als Markdown-Dokument.
+ */
+function profileDocument(agent) {
+  const sections = [];
+  if (agent.frameworks?.length) {
+    sections.push(`## Frameworks\n\n${agent.frameworks.map((f) => `- ${f}`).join('\n')}`);
+  }
+  for (const [key, value] of Object.entries(agent.knowledge || {})) {
+    const items = Array.isArray(value) ? value : [value];
+    const lines = items.map((item) => `- ${typeof item === 'string' ? item : JSON.stringify(item)}`);
+    sections.push(`## ${key}\n\n${lines.join('\n')}`);
+  }
+  return sections.length > 0 ? `# ${agent.name}\n\n${sections.join('\n\n')}` : '';
+}
+
+/**
+ * Profil-Dokument abgleichen, wenn sich knowledge/frameworks seit dem letzten Abgleich geaendert haben.
+ */
+async function syncProfileDocument(agent) {
+  const content = profileDocument(agent);
+  const hash = hashContent(content);
+  if (profileHashes.get(agent.id) === hash) return;
+
+  if (content) {
+    await addDocument(agent, {
+      title: `${agent.name}: knowledge und frameworks`,
+      content,
+      format: 'markdown',
+      sourceType: 'profile',
+      sourceRef: PROFILE_SOURCE_REF,
+    });
+  } else {
+    const existing = await db.getKnowledgeDocumentByRef(agent.id, PROFILE_SOURCE_REF);
+    if (existing) await db.deleteKnowledgeDocument(agent.id, existing.id);
+  }
+  profileHashes.set(agent.id, hash);
+}
+
+function formatDocument(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    sourceType: row.source_type,
+    sourceRef: row.source_ref,
+    format: row.format,
+    size: row.size,
+    chunks: Number(row.chunk_count),
+    embedded: Number(row.embedded_count),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+async function listDocuments(agent) {
+  await syncProfileDocument(agent);
+  return (await db.listKnowledgeDocuments(agent.id)).map(formatDocument);
+}
+
+/**
+ * Dokument loeschen. Das Profil-Dokument wird beim naechsten Zugriff neu angelegt.
+ * @returns {Promise<boolean>} false, wenn es das Dokument nicht gibt
+ */
+async function deleteDocument(agent, documentId) {
+  const deleted = await db.deleteKnowledgeDocument(agent.id, documentId);
+  if (deleted) profileHashes.delete(agent.id);
+  return deleted;
+}
+
+// --- Retrieval ---
+
+/**
+ * Suchbegriffe fuer die Volltextsuche: Woerter ab 3 Zeichen, ohne Duplikate.
+ */
+function queryTerms(query) {
+  const words = (query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter((w) => w.length >= 3);
+  return Array.from(new Set(words)).slice(0, 30);
+}
+
+/**
+ * Beste Abschnitte zu einer Anfrage.
+ * @returns {Promise<Object>} { mode: 'semantic'|'fulltext', chunks: [row + score] }
+ */
+async function search(agent, query, limit = TOP_K) {
+  await syncProfileDocument(agent);
+
+  if (messageSearch.semanticStatus().available) {
+    try {
+      await embedPending(agent.id, EMBED_MAX_PER_RETRIEVAL);
+      const { model, embeddings } = await providers.embed([query]);
+      const rows = await db.searchKnowledgeChunksByEmbedding(agent.id, embeddings[0], model, limit);
+      return { mode: 'semantic', chunks: rows.filter((r) => Number(r.score) >= MIN_SCORE) };
+    } catch (err) {
+      console.error(`[Knowledge] Semantische Suche fuer ${agent.id} fehlgeschlagen, nutze Volltext:`, err.message);
+    }
+  }
+
+  const terms = queryTerms(query);
+  if (terms.length === 0) return { mode: 'fulltext', chunks: [] };
+  return { mode: 'fulltext', chunks: await db.searchKnowledgeChunks(agent.id, terms, limit) };
+}
+
+/**
+ * Retrieval fuer einen Chat-Turn; Fehler fuehren nur zu einem Turn ohne Wissensbasis.
+ * @returns {Promise<Object>} { mode, chunks }
+ */
+async function retrieve(agent, query) {
+  if (!query || TOP_K <= 0) return { mode: null, chunks: [] };
+  try {
+    return await search(agent, query);
+  } catch (err) {
+    console.error(`[Knowledge] Retrieval fuer ${agent.id} fehlgeschlagen:`, err.message);
+    return { mode: null, chunks: [] };
+  }
+}
+
+/**
+ * System-Nachricht mit den gefundenen Abschnitten, nummeriert fuer Zitate.
+ * @returns {string|null}
+ */
+function formatContext(retrieved) {
+  if (retrieved.chunks.length === 0) return null;
+  const excerpts = retrieved.chunks.map((c, i) => {
+    const label = c.heading ? `${c.title} > ${c.heading}` : c.title;
+    return `[${i + 1}] ${label}\n${c.content}`;
+  });
+  return [
+    'Knowledge base excerpts for this request. Use them where relevant and cite them as [1], [2], ...',
+    'right after the statement they support. Do not cite excerpts you did not use and never invent sources.',
+    '',
+    excerpts.join('\n\n'),
+  ].join('\n');
+}
+
+/**
+ * Quellen fuer die API-Antwort (gleiche Nummern wie im Kontext).
+ */
+function formatSources(retrieved) {
+  return retrieved.chunks.map((c, i) => ({
+    index: i + 1,
+    documentId: c.document_id,
+    chunkId: c.id,
+    title: c.title,
+    heading: c.heading,
+    sourceType: c.source_type,
+    sourceRef: c.source_ref,
+    score: Number(Number(c.score).toFixed(4)),
+  }));
+}
+
+module.exports = {
+  FORMATS,
+  MAX_DOCUMENT_CHARS,
+  chunkText,
+  addDocument,
+  importGithubFile,
+  listDocuments,
+  deleteDocument,
+  search,
+  retrieve,
+  formatContext,
+  formatSources,
+};
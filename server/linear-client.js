@@ -438,6 +438,11 @@ const tools = [
   }
 ];
 
+/**
+ * Tools that change data in Linear (need approval under auto_approve_read_only)
+ */
+const writeTools = ['linear_create_issue', 'linear_update_issue'];
+
 /**
  * Execute a Linear function by name
  * @param {string} name - Function name
@@ -470,5 +475,6 @@ async function executeFunction(name, args, apiKey) {
 
 module.exports = {
   tools,
+  writeTools,
   executeFunction
 };
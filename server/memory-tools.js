@@ -0,0 +1,169 @@
+const db = require('./db');
+const { getBlockLimit } = require('./prompt-builder');
+
+/**
+ * Built-in tools that let an agent edit its own memory blocks (Letta-style).
+ * Every edit goes through db.editAgentMemory and is recorded in agent_memory_history.
+ */
+
+/**
+ * Check a new block value against the block's character limit
+ * @param {Object} agent - Agent from the registry
+ * @param {string} label - Block label
+ * @param {string} value - New value
+ */
+function assertWithinLimit(agent, label, value) {
+  const limit = getBlockLimit(agent, label);
+  if (value.length > limit) {
+    throw new Error(
+      `Edit would exceed the character limit of block '${label}' (${value.length}/${limit}). ` +
+      'Shorten or summarize the block first.'
+    );
+  }
+}
+
+/**
+ * Replace an exact text passage inside a memory block
+ * @param {Object} context - { agent, conversationId }
+ * @param {string} label - Block label
+ * @param {string} oldStr - Text to replace (must occur exactly once)
+ * @param {string} newStr - Replacement text
+ * @returns {Promise<object>} Updated block or error
+ */
+async function memory_replace(context, label, oldStr, newStr) {
+  if (!oldStr) {
+    return { error: 'old_str must not be empty' };
+  }
+
+  const row = await db.editAgentMemory(
+    context.agent.id,
+    label,
+    (value) => {
+      const occurrences = value.split(oldStr).length - 1;
+      if (occurrences === 0) {
+        throw new Error(`old_str not found in memory block '${label}'`);
+      }
+      if (occurrences > 1) {
+        throw new Error(`old_str occurs ${occurrences} times in memory block '${label}', it must be unique`);
+      }
+      const updated = value.replace(oldStr, () => newStr || '');
+      assertWithinLimit(context.agent, label, updated);
+      return updated;
+    },
+    { operation: 'memory_replace', actor: 'agent', conversationId: context.conversationId }
+  );
+
+  return { label: row.label, value: row.value, chars_current: row.value.length };
+}
+
+/**
+ * Append text to the end of a memory block
+ * @param {Object} context - { agent, conversationId }
+ * @param {string} label - Block label
+ * @param {string} content - Text to append
+ * @returns {Promise<object>} Updated block or error
+ */
+async function memory_append(context, label, content) {
+  if (!content) {
+    return { error: 'content must not be empty' };
+  }
+
+  const row = await db.editAgentMemory(
+    context.agent.id,
+    label,
+    (value) => {
+      const updated = value ? `${value}\n${content}` : content;
+      assertWithinLimit(context.agent, label, updated);
+      return updated;
+    },
+    { operation: 'memory_append', actor: 'agent', conversationId: context.conversationId }
+  );
+
+  return { label: row.label, value: row.value, chars_current: row.value.length };
+}
+
+/**
+ * Ollama-compatible tool definitions for function calling
+ */
+const tools = [
+  {
+    type: 'function',
+    function: {
+      name: 'memory_replace',
+      description: 'Replace an exact passage in one of your memory blocks (e.g. human, persona). Use it to correct or update stored facts.',
+      parameters: {
+        type: 'object',
+        properties: {
+          label: {
+            type: 'string',
+            description: 'Label of the memory block to edit'
+          },
+          old_str: {
+            type: 'string',
+            description: 'Exact text to replace, must occur exactly once in the block'
+          },
+          new_str: {
+            type: 'string',
+            description: 'Replacement text (empty string deletes the passage)'
+          }
+        },
+        required: ['label', 'old_str', 'new_str']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'memory_append',
+      description: 'Append new information to the end of one of your memory blocks.',
+      parameters: {
+        type: 'object',
+        properties: {
+          label: {
+            type: 'string',
+            description: 'Label of the memory block to extend'
+          },
+          content: {
+            type: 'string',
+            description: 'Text to append as a new line'
+          }
+        },
+        required: ['label', 'content']
+      }
+    }
+  }
+];
+
+/**
+ * Execute a memory function by name
+ * @param {string} name - Function name
+ * @param {object} args - Function arguments
+ * @param {object} context - { agent, conversationId }
+ * @returns {Promise<object>} Function result or error
+ */
+async function executeFunction(name, args, context) {
+  if (!context?.agent) {
+    return { error: 'Memory tools require an agent context' };
+  }
+
+  const functionMap = {
+    memory_replace: () => memory_replace(context, args.label, args.old_str, args.new_str),
+    memory_append: () => memory_append(context, args.label, args.content)
+  };
+
+  const func = functionMap[name];
+  if (!func) {
+    return { error: `Unknown function: ${name}` };
+  }
+
+  try {
+    return await func();
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+module.exports = {
+  tools,
+  executeFunction
+};
@@ -0,0 +1,233 @@
+const db = require('./db');
+const providers = require('./provider-registry');
+
+/**
+ * Suche ueber alle gespeicherten Nachrichten (GET /api/search).
+ *
+ * Volltext laeuft immer ueber Postgres (to_tsvector/websearch_to_tsquery).
+ * Die semantische Suche braucht pgvector und ein Embedding-Modell
+ * (EMBEDDING_MODEL): Ein Indexer bettet neue User- und Assistant-Nachrichten
+ * im Hintergrund ein, die Suche vergleicht das Embedding des Suchbegriffs per
+ * Kosinus-Distanz. Nach einem Modellwechsel werden alle Nachrichten neu
+ * eingebettet - Embeddings verschiedener Modelle sind nicht vergleichbar.
+ * Nachrichten, die der Provider ablehnt, werden pro Modell markiert und
+ * uebersprungen, damit sie den Indexer nicht blockieren.
+ */
+
+const MODES = ['fulltext', 'semantic'];
+const ROLES = ['user', 'assistant', 'tool', 'system'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const INDEX_INTERVAL_MS = parseInt(process.env.EMBEDDING_INDEX_INTERVAL_MS || '30000', 10);
+const INDEX_BATCH_SIZE = 32;
+// Lange Nachrichten nur mit dem Anfang einbetten (Kontextlimit der Embedding-Modelle)
+const EMBED_MAX_CHARS = 8000;
+
+let indexTimer = null;
+let indexing = false;
+
+/**
+ * Semantische Suche moeglich? Liefert den Grund, falls nicht.
+ * @returns {Object} { available, model, reason }
+ */
+function semanticStatus() {
+  if (!db.isVectorEnabled()) {
+    return { available: false, model: null, reason: 'pgvector ist in der Datenbank nicht installiert' };
+  }
+  const embedding = providers.getEmbeddingModel();
+  if (!embedding) {
+    return { available: false, model: null, reason: 'Kein nutzbares Embedding-Modell (EMBEDDING_MODEL)' };
+  }
+  return { available: true, model: embedding.ref, reason: null };
+}
+
+/**
+ * Query-Parameter pruefen und normalisieren.
+ * @returns {Object} { errors, filters: { query, mode, agentId, role, from, to, limit, offset } }
+ */
+function parseSearchQuery(query) {
+  const errors = [];
+  const text = typeof query.q === 'string' ? query.q.trim() : '';
+  if (!text) errors.push('Parameter "q" ist erforderlich');
+
+  const mode = query.mode || 'fulltext';
+  if (!MODES.includes(mode)) errors.push(`Parameter "mode" muss ${MODES.join(' oder ')} sein`);
+
+  if (query.role && !ROLES.includes(query.role)) {
+    errors.push(`Parameter "role" muss einer von ${ROLES.join(', ')} sein`);
+  }
+
+  const dates = {};
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+    const date = new Date(query[key]);
+    if (Number.isNaN(date.getTime())) errors.push(`Parameter "${key}" ist kein gueltiges Datum`);
+    else dates[key] = date;
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(`Parameter "limit" muss zwischen 1 und ${MAX_LIMIT} liegen`);
+  }
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(offset) || offset < 0) errors.push('Parameter "offset" muss >= 0 sein');
+
+  return {
+    errors,
+    filters: {
+      query: text,
+      mode,
+      agentId: query.agentId || null,
+      role: query.role || null,
+      from: dates.from || null,
+      to: dates.to || null,
+      limit,
+      offset,
+    },
+  };
+}
+
+function formatHit(row, mode, activeIds) {
+  return {
+    messageId: row.id,
+    conversationId: row.conversation_id,
+    activeBranch: activeIds.has(row.id),
+    parentConversationId: row.parent_conversation_id,
+    conversationTitle: row.conversation_title,
+    agentId: row.agent_id,
+    role: row.role,
+    createdAt: row.created_at,
+    ...(mode === 'semantic'
+      ? { score: Number(row.score), snippet: row.content.length > 300 ? `${row.content.substring(0, 300)} ...` : row.content }
+      : { score: Number(row.rank), snippet: row.snippet }),
+  };
+}
+
+/**
+ * Treffer ins API-Format. activeBranch: false, wenn die Nachricht in einem anderen
+ * Zweig als dem angezeigten liegt (POST .../branch holt ihn nach vorne).
+ */
+async function formatHits(rows, mode) {
+  const activeIds = await db.getActiveBranchMessageIds(rows.map((r) => r.id));
+  return rows.map((row) => formatHit(row, mode, activeIds));
+}
+
+/**
+ * Nachrichten suchen.
+ * @param {Object} filters - Ergebnis von parseSearchQuery()
+ * @returns {Promise<Object>} { mode, model, total, results }
+ * @throws {Error} mit code 'SEMANTIC_UNAVAILABLE', wenn mode semantic nicht moeglich ist
+ */
+async function search(filters) {
+  if (filters.mode === 'semantic') {
+    const status = semanticStatus();
+    if (!status.available) {
+      const err = new Error(status.reason);
+      err.code = 'SEMANTIC_UNAVAILABLE';
+      throw err;
+    }
+    const { model, embeddings } = await providers.embed([filters.query]);
+    const rows = await db.searchMessagesByEmbedding(embeddings[0], model, filters);
+    return { mode: 'semantic', model, total: Number(rows[0]?.total || 0), results: await formatHits(rows, 'semantic') };
+  }
+
+  const rows = await db.searchMessages(filters);
+  return { mode: 'fulltext', model: null, total: Number(rows[0]?.total || 0), results: await formatHits(rows, 'fulltext') };
+}
+
+// --- Embedding-Indexer ---
+
+/**
+ * Nachrichten in einem Aufruf einbetten und speichern.
+ */
+async function embedMessages(messages) {
+  const { model, embeddings } = await providers.embed(messages.map((m) => m.content.substring(0, EMBED_MAX_CHARS)));
+  await db.saveMessageEmbeddings(
+    messages.map((m, i) => ({ messageId: m.id, embedding: embeddings[i] })),
+    model
+  );
+}
+
+/**
+ * Nach einem fehlgeschlagenen Batch jede Nachricht einzeln versuchen. Nur wenn
+ * mindestens eine durchgeht, liegt es an den uebrigen Nachrichten - die werden
+ * fuer dieses Modell markiert und kuenftig uebersprungen. Scheitern alle, ist eher
+ * der Provider gestoert; dann bleibt alles offen fuer den naechsten Lauf.
+ * @returns {Promise<number>} Anzahl eingebetteter Nachrichten
+ */
+async function embedOneByOne(messages, ref) {
+  const failed = [];
+  for (const message of messages) {
+    try {
+      await embedMessages([message]);
+    } catch (err) {
+      failed.push({ message, error: err.message });
+    }
+  }
+  const indexed = messages.length - failed.length;
+  if (indexed === 0) return 0;
+
+  for (const { message, error } of failed) {
+    await db.saveMessageEmbeddingError(message.id, ref, error);
+    console.warn(`[Search] Nachricht ${message.id} wird uebersprungen: ${error}`);
+  }
+  return indexed;
+}
+
+/**
+ * Nachrichten ohne Embedding in Batches einbetten, bis nichts mehr offen ist.
+ * @returns {Promise<number>} Anzahl eingebetteter Nachrichten
+ */
+async function indexPending() {
+  if (indexing || !semanticStatus().available) return 0;
+  indexing = true;
+  let indexed = 0;
+  try {
+    const { ref } = providers.getEmbeddingModel();
+    while (true) {
+      const pending = await db.listMessagesWithoutEmbedding(ref, INDEX_BATCH_SIZE);
+      if (pending.length === 0) break;
+      try {
+        await embedMessages(pending);
+        indexed += pending.length;
+      } catch (err) {
+        const single = await embedOneByOne(pending, ref);
+        if (single === 0) throw err;
+        indexed += single;
+      }
+      if (pending.length < INDEX_BATCH_SIZE) break;
+    }
+    if (indexed > 0) console.log(`[Search] ${indexed} Nachrichten eingebettet (${ref})`);
+  } catch (err) {
+    console.error('[Search] Einbetten fehlgeschlagen:', err.message);
+  } finally {
+    indexing = false;
+  }
+  return indexed;
+}
+
+/**
+ * Indexer starten (sofort und danach alle INDEX_INTERVAL_MS).
+ * @returns {boolean} false, wenn die semantische Suche nicht verfuegbar ist
+ */
+function startIndexer() {
+  const status = semanticStatus();
+  if (!status.available) {
+    console.log(`[Search] Semantische Suche deaktiviert: ${status.reason}`);
+    return false;
+  }
+  indexPending();
+  indexTimer = setInterval(indexPending, INDEX_INTERVAL_MS);
+  indexTimer.unref();
+  console.log(`[Search] Semantische Suche aktiv (${status.model})`);
+  return true;
+}
+
+module.exports = {
+  parseSearchQuery,
+  search,
+  semanticStatus,
+  indexPending,
+  startIndexer,
+};
@@ -0,0 +1,123 @@
+/**
+ * Lokaler Mock-Provider ohne Netzwerk (Praefix "mock/").
+ * Antwortet deterministisch mit einem Echo der letzten User-Nachricht.
+ * Gedacht fuer lokale Entwicklung und UI-Tests ohne LLM-Zugang.
+ *
+ * Tool-Calls lassen sich skripten: Eine User-Nachricht der Form
+ * "/tool <name> <json-args>" erzeugt genau diesen Tool-Call, sofern das
+ * Tool im Request angeboten wird.
+ */
+
+const PROVIDER_NAME = 'mock';
+const DEFAULT_MODEL = 'echo';
+
+// Pause zwischen Stream-Chunks, um langsame Modelle (z.B. Abbruch im UI) nachzustellen
+const STREAM_DELAY_MS = parseInt(process.env.MOCK_STREAM_DELAY_MS || '0', 10);
+
+const TOOL_COMMAND = /^\/tool\s+(\S+)\s*([\s\S]*)$/;
+
+function buildReply(messages) {
+  const last = messages[messages.length - 1];
+  if (last?.role === 'tool') {
+    return `[mock] tool result: ${last.content}`;
+  }
+  const lastUser = [...messages].reverse().find((m) => m.role === 'user');
+  return `[mock] ${lastUser?.content || ''}`.trim();
+}
+
+function buildToolCalls(messages, tools = []) {
+  const last = messages[messages.length - 1];
+  const match = last?.role === 'user' && TOOL_COMMAND.exec(last.content.trim());
+  if (!match || !tools.some((t) => t.function?.name === match[1])) return undefined;
+
+  let args = {};
+  try {
+    args = match[2] ? JSON.parse(match[2]) : {};
+  } catch {
+    args = match[2];
+  }
+  return [{ function: { name: match[1], arguments: args } }];
+}
+
+async function chat(model, messages, options = {}) {
+  const toolCalls = buildToolCalls(messages, options.tools);
+  const content = toolCalls ? '' : buildReply(messages);
+  return {
+    model: model || DEFAULT_MODEL,
+    message: { role: 'assistant', content, ...(toolCalls ? { tool_calls: toolCalls } : {}) },
+    done: true,
+    total_duration: 0,
+    eval_count: content.split(/\s+/).length,
+  };
+}
+
+/**
+ * Liefert die Antwort Wort fuer Wort als Stream-Chunks.
+ * @returns {Promise<{stream: AsyncIterable<Object>, abort: Function}>}
+ */
+async function chatStream(model, messages, options = {}) {
+  const toolCalls = buildToolCalls(messages, options.tools);
+  const words = toolCalls ? [] : buildReply(messages).split(/(?=\s)/);
+  let aborted = false;
+
+  async function* stream() {
+    for (const word of words) {
+      if (STREAM_DELAY_MS > 0) await new Promise((resolve) => setTimeout(resolve, STREAM_DELAY_MS));
+      if (aborted) return;
+      yield { message: { role: 'assistant', content: word }, done: false };
+    }
+    yield {
+      model: model || DEFAULT_MODEL,
+      message: { role: 'assistant', content: '', ...(toolCalls ? { tool_calls: toolCalls } : {}) },
+      done: true,
+      total_duration: 0,
+      eval_count: words.length,
+    };
+  }
+
+  return {
+    stream: stream(),
+    abort: () => {
+      aborted = true;
+    },
+  };
+}
+
+// Wort-Hashing statt Modell: gleiche Woerter -> aehnliche Vektoren, reicht fuer lokale Tests
+const EMBEDDING_DIMENSIONS = 64;
+
+async function embed(model, inputs) {
+  return inputs.map((text) => {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    for (const word of String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+      let hash = 0;
+      for (const char of word) hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+      vector[hash % EMBEDDING_DIMENSIONS] += 1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return vector.map((v) => v / norm);
+  });
+}
+
+async function listModels() {
+  return [{ name: DEFAULT_MODEL }];
+}
+
+async function healthCheck() {
+  return { connected: true, configured: true, models: 1 };
+}
+
+function isConfigured() {
+  return true;
+}
+
+module.exports = {
+  name: PROVIDER_NAME,
+  chat,
+  chatStream,
+  embed,
+  listModels,
+  healthCheck,
+  isConfigured,
+  DEFAULT_MODEL,
+};
@@ -17,15 +17,27 @@ const client = axios.create({
   headers,
 });
 
+const PROVIDER_NAME = 'ollama';
+
+function isThinkUnsupported(errorText) {
+  return typeof errorText === 'string' && errorText.includes('does not support thinking');
+}
+
 /**
  * Chat-Completion ueber Ollama Cloud API.
  * Sendet Nachrichten-Array und gibt die Antwort zurueck.
+ * Das Antwort-Format (message, total_duration, eval_count) ist das
+ * gemeinsame Format aller Provider, siehe provider-registry.js.
  */
 async function chat(model, messages, options = {}) {
   const payload = {
     model: model || DEFAULT_MODEL,
     messages,
     stream: false,
+    tools: options.tools?.length ? options.tools : undefined,
+    think: options.think,
+    // 'json' oder ein JSON Schema (strukturierte Ausgabe)
+    format: options.format,
     options: {
       temperature: options.temperature ?? 0.7,
       num_predict: options.maxTokens ?? 4096,
@@ -38,6 +50,10 @@ async function chat(model, messages, options = {}) {
     const response = await client.post('/api/chat', payload);
     return response.data;
   } catch (err) {
+    if (payload.think !== undefined && isThinkUnsupported(err.response?.data?.error)) {
+      // Modell ohne Reasoning-Support: ohne think erneut senden
+      return chat(model, messages, { ...options, think: undefined });
+    }
     if (err.response) {
       const msg = err.response.data?.error || err.response.statusText;
       throw new Error(`Ollama chat error (${err.response.status}): ${msg}`);
@@ -46,6 +62,22 @@ async function chat(model, messages, options = {}) {
   }
 }
 
+/**
+ * Embeddings ueber /api/embed.
+ * @param {string} model - Embedding-Modell (z.B. nomic-embed-text)
+ * @param {string[]} inputs - Texte
+ * @returns {Promise<number[][]>} Ein Vektor pro Text
+ */
+async function embed(model, inputs) {
+  try {
+    const response = await client.post('/api/embed', { model, input: inputs });
+    return response.data.embeddings || [];
+  } catch (err) {
+    const detail = err.response?.data?.error || err.message;
+    throw new Error(`Ollama embed error: ${detail}`);
+  }
+}
+
 /**
  * Verfuegbare Modelle auflisten.
  */
@@ -118,16 +150,58 @@ async function waitForOllama(maxRetries = 15, initialDelay = 3000) {
   return false;
 }
 
+/**
+ * NDJSON-Body zeilenweise lesen und als JSON-Objekte liefern.
+ * Zeilen koennen ueber Chunk-Grenzen hinweg geteilt sein.
+ */
+async function* readNdjson(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const parse = (line) => {
+    if (!line.trim()) return null;
+    try {
+      return JSON.parse(line);
+    } catch {
+      // Ignoriere ungueltige JSON-Zeilen
+      return null;
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const json = parse(line);
+      if (json) yield json;
+    }
+  }
+
+  const rest = parse(buffer + decoder.decode());
+  if (rest) yield rest;
+}
+
 /**
  * Chat-Completion mit Streaming ueber Ollama Cloud API.
- * Gibt einen Stream zurueck, der einzelne Text-Chunks liefert.
- * @returns {Promise<{stream: ReadableStream, abort: Function}>}
+ * Der Stream ist ein async Iterable von Chunks im Ollama-Format
+ * ({ message: { content, tool_calls }, done, total_duration, eval_count }).
+ * @returns {Promise<{stream: AsyncIterable<Object>, abort: Function}>}
  */
 async function chatStream(model, messages, options = {}) {
   const payload = {
     model: model || DEFAULT_MODEL,
     messages,
     stream: true,
+    tools: options.tools?.length ? options.tools : undefined,
+    think: options.think,
+    // 'json' oder ein JSON Schema (strukturierte Ausgabe)
+    format: options.format,
     options: {
       temperature: options.temperature ?? 0.7,
       num_predict: options.maxTokens ?? 4096,
@@ -142,66 +216,58 @@ async function chatStream(model, messages, options = {}) {
     fetchHeaders['Authorization'] = `Bearer ${OLLAMA_API_KEY}`;
   }
 
+  let response;
   try {
-    const response = await fetch(`${OLLAMA_HOST}/api/chat`, {
+    response = await fetch(`${OLLAMA_HOST}/api/chat`, {
       method: 'POST',
       headers: fetchHeaders,
       body: JSON.stringify(payload),
       signal: controller.signal,
     });
+  } catch (err) {
+    throw new Error(`Ollama stream connection error: ${err.message}`);
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Ollama stream error (${response.status}): ${errorText}`);
+  if (!response.ok) {
+    const errorText = await response.text();
+    if (payload.think !== undefined && isThinkUnsupported(errorText)) {
+      return chatStream(model, messages, { ...options, think: undefined });
     }
+    throw new Error(`Ollama stream error (${response.status}): ${errorText}`);
+  }
 
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-
-    const stream = new ReadableStream({
-      async start(streamController) {
-        try {
-          while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            const chunk = decoder.decode(value, { stream: true });
-            const lines = chunk.split('\n').filter(line => line.trim());
-
-            for (const line of lines) {
-              try {
-                const json = JSON.parse(line);
-                if (json.message?.content) {
-                  streamController.enqueue(json.message.content);
-                }
-              } catch (e) {
-                // Ignoriere ungueltige JSON-Zeilen
-              }
-            }
-          }
-          streamController.close();
-        } catch (error) {
-          streamController.error(error);
-        }
-      },
-    });
-
-    return {
-      stream,
-      abort: () => controller.abort(),
-    };
-  } catch (err) {
-    throw new Error(`Ollama stream connection error: ${err.message}`);
+  async function* stream() {
+    for await (const json of readNdjson(response.body)) {
+      if (json.error) {
+        throw new Error(`Ollama stream error: ${json.error}`);
+      }
+      yield json;
+    }
   }
+
+  return {
+    stream: stream(),
+    abort: () => controller.abort(),
+  };
+}
+
+/**
+ * Ist der Provider konfiguriert? Ollama ist immer aktiv (Default-Provider).
+ */
+function isConfigured() {
+  return true;
 }
 
 module.exports = {
+  name: PROVIDER_NAME,
   chat,
   chatStream,
+  embed,
   listModels,
   isModelAvailable,
   healthCheck,
   waitForOllama,
+  isConfigured,
   DEFAULT_MODEL,
   client,
 };
@@ -0,0 +1,286 @@
+const axios = require('axios');
+
+/**
+ * Provider fuer OpenAI und OpenAI-kompatible Endpoints (/v1/chat/completions).
+ * Antworten werden in das gemeinsame Ollama-Format uebersetzt
+ * ({ model, message: { role, content, tool_calls }, total_duration, eval_count }),
+ * damit Routes und Tool-Loop providerunabhaengig bleiben.
+ */
+
+// Nur Reasoning-Modelle akzeptieren reasoning_effort
+const REASONING_MODEL = /^(o\d|gpt-5)/;
+
+/**
+ * Nachrichten aus dem Ollama-Format in das OpenAI-Format uebersetzen.
+ * Tool-Call-Argumente werden zu JSON-Strings, Tool-Ergebnisse ohne
+ * tool_call_id bekommen die ID des passenden vorherigen Calls.
+ * @param {Array} messages - Nachrichten im Ollama-Format
+ * @returns {Array} Nachrichten im OpenAI-Format
+ */
+function toOpenAIMessages(messages) {
+  const pendingIds = [];
+  let generated = 0;
+
+  return messages.map((m) => {
+    if (m.role === 'assistant' && m.tool_calls?.length) {
+      const toolCalls = m.tool_calls.map((tc) => {
+        const id = tc.id || `call_${++generated}`;
+        pendingIds.push(id);
+        const args = tc.function?.arguments;
+        return {
+          id,
+          type: 'function',
+          function: {
+            name: tc.function?.name,
+            arguments: typeof args === 'string' ? args : JSON.stringify(args || {}),
+          },
+        };
+      });
+      return { role: 'assistant', content: m.content || null, tool_calls: toolCalls };
+    }
+
+    if (m.role === 'tool') {
+      const toolCallId = m.tool_call_id || pendingIds.shift();
+      if (m.tool_call_id) {
+        const idx = pendingIds.indexOf(m.tool_call_id);
+        if (idx !== -1) pendingIds.splice(idx, 1);
+      }
+      return { role: 'tool', tool_call_id: toolCallId, content: m.content };
+    }
+
+    return { role: m.role, content: m.content };
+  });
+}
+
+/**
+ * OpenAI-Tool-Calls in das Ollama-Format uebersetzen (Argumente als Objekt).
+ */
+function fromOpenAIToolCalls(toolCalls) {
+  if (!toolCalls?.length) return undefined;
+  return toolCalls.map((tc) => {
+    let args = tc.function?.arguments || '{}';
+    try {
+      args = JSON.parse(args);
+    } catch {
+      // Ungueltiges JSON unveraendert weitergeben, executeTool meldet den Fehler
+    }
+    return {
+      id: tc.id,
+      function: { name: tc.function?.name, arguments: args },
+    };
+  });
+}
+
+/**
+ * Provider-Instanz fuer einen OpenAI-kompatiblen Endpoint erstellen.
+ * @param {Object} config
+ * @param {string} config.name - Provider-Praefix (z.B. "openai")
+ * @param {string} config.baseURL - Basis-URL inkl. /v1
+ * @param {string} config.apiKey - API Key (optional fuer lokale Endpoints)
+ * @param {string} config.defaultModel - Modell wenn keins angegeben ist
+ * @param {boolean} config.requiresApiKey - Provider nur mit API Key aktiv
+ * @returns {Object} Provider mit chat, chatStream, listModels, healthCheck
+ */
+function createOpenAIProvider({ name, baseURL, apiKey, defaultModel, requiresApiKey = true }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const client = axios.create({
+    baseURL,
+    timeout: 300000, // 5 Minuten Timeout fuer lange Antworten
+    headers,
+  });
+
+  function isConfigured() {
+    return Boolean(baseURL) && (!requiresApiKey || Boolean(apiKey));
+  }
+
+  function buildPayload(model, messages, options, stream) {
+    return {
+      model: model || defaultModel,
+      messages: toOpenAIMessages(messages),
+      stream,
+      temperature: options.temperature ?? 0.7,
+      max_tokens: options.maxTokens ?? 4096,
+      top_p: options.topP ?? 0.9,
+      tools: options.tools?.length ? options.tools : undefined,
+      // Schema-Treue prueft schema-registry.js, der Provider liefert nur gueltiges JSON
+      response_format: options.format ? { type: 'json_object' } : undefined,
+      reasoning_effort: REASONING_MODEL.test(model || defaultModel) ? options.reasoningEffort : undefined,
+      ...(options.openaiOptions || {}),
+    };
+  }
+
+  async function chat(model, messages, options = {}) {
+    const payload = buildPayload(model, messages, options, false);
+    const started = process.hrtime.bigint();
+
+    try {
+      const response = await client.post('/chat/completions', payload);
+      const choice = response.data.choices?.[0] || {};
+      return {
+        model: response.data.model || payload.model,
+        message: {
+          role: 'assistant',
+          content: choice.message?.content || '',
+          tool_calls: fromOpenAIToolCalls(choice.message?.tool_calls),
+        },
+        done: true,
+        done_reason: choice.finish_reason,
+        total_duration: Number(process.hrtime.bigint() - started),
+        eval_count: response.data.usage?.completion_tokens,
+        prompt_eval_count: response.data.usage?.prompt_tokens,
+      };
+    } catch (err) {
+      if (err.response) {
+        const msg = err.response.data?.error?.message || err.response.statusText;
+        throw new Error(`${name} chat error (${err.response.status}): ${msg}`);
+      }
+      throw new Error(`${name} connection error: ${err.message}`);
+    }
+  }
+
+  async function chatStream(model, messages, options = {}) {
+    const payload = buildPayload(model, messages, options, true);
+    const controller = new AbortController();
+    const started = process.hrtime.bigint();
+
+    let response;
+    try {
+      response = await fetch(`${baseURL}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload),
+        signal: controller.signal,
+      });
+    } catch (err) {
+      throw new Error(`${name} stream connection error: ${err.message}`);
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`${name} stream error (${response.status}): ${errorText}`);
+    }
+
+    async function* stream() {
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      const toolCalls = [];
+      let buffer = '';
+      let finishReason;
+
+      // Tool-Call-Deltas kommen stueckweise (pro index) und werden gesammelt
+      const collectToolCalls = (deltas) => {
+        for (const delta of deltas) {
+          const slot = toolCalls[delta.index ?? toolCalls.length] ||= {
+            id: delta.id,
+            function: { name: '', arguments: '' },
+          };
+          if (delta.id) slot.id = delta.id;
+          if (delta.function?.name) slot.function.name += delta.function.name;
+          if (delta.function?.arguments) slot.function.arguments += delta.function.arguments;
+        }
+      };
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const data = line.trim().replace(/^data:\s*/, '');
+          if (!data || data === '[DONE]' || !line.trim().startsWith('data:')) continue;
+
+          let json;
+          try {
+            json = JSON.parse(data);
+          } catch {
+            continue;
+          }
+          if (json.error) {
+            throw new Error(`${name} stream error: ${json.error.message || json.error}`);
+          }
+
+          const choice = json.choices?.[0];
+          if (!choice) continue;
+          if (choice.finish_reason) finishReason = choice.finish_reason;
+          if (choice.delta?.tool_calls) collectToolCalls(choice.delta.tool_calls);
+          if (choice.delta?.content) {
+            yield { message: { role: 'assistant', content: choice.delta.content }, done: false };
+          }
+        }
+      }
+
+      yield {
+        model: payload.model,
+        message: {
+          role: 'assistant',
+          content: '',
+          tool_calls: fromOpenAIToolCalls(toolCalls.filter(Boolean)),
+        },
+        done: true,
+        done_reason: finishReason,
+        total_duration: Number(process.hrtime.bigint() - started),
+      };
+    }
+
+    return {
+      stream: stream(),
+      abort: () => controller.abort(),
+    };
+  }
+
+  async function embed(model, inputs) {
+    try {
+      const response = await client.post('/embeddings', { model, input: inputs });
+      return (response.data.data || [])
+        .sort((a, b) => a.index - b.index)
+        .map((d) => d.embedding);
+    } catch (err) {
+      const detail = err.response?.data?.error?.message || err.message;
+      throw new Error(`${name} embed error: ${detail}`);
+    }
+  }
+
+  async function listModels() {
+    try {
+      const response = await client.get('/models');
+      return (response.data.data || []).map((m) => ({ name: m.id, owned_by: m.owned_by }));
+    } catch (err) {
+      throw new Error(`${name} listModels error: ${err.message}`);
+    }
+  }
+
+  async function healthCheck() {
+    if (!isConfigured()) {
+      return { connected: false, configured: false, host: baseURL };
+    }
+    try {
+      const models = await listModels();
+      return { connected: true, configured: true, host: baseURL, models: models.length };
+    } catch (err) {
+      return { connected: false, configured: true, host: baseURL, error: err.message };
+    }
+  }
+
+  return {
+    name,
+    chat,
+    chatStream,
+    embed,
+    listModels,
+    healthCheck,
+    isConfigured,
+    DEFAULT_MODEL: defaultModel,
+  };
+}
+
+module.exports = {
+  createOpenAIProvider,
+  toOpenAIMessages,
+};
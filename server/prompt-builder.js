@@ -0,0 +1,145 @@
+/**
+ * System-Prompt eines Agents zusammenbauen:
+ * systemInstructions (mit aufgeloesten {{variablen}}) + persistente Memory-Blocks (Letta-Stil).
+ */
+
+// Default-Limit pro Memory-Block, ueberschreibbar per memoryBlocks[].limit
+const DEFAULT_MEMORY_BLOCK_LIMIT = 5000;
+
+// Platzhalter in systemInstructions, z.B. {{targetLanguage}}
+const TEMPLATE_VARIABLE = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Alle Platzhalter-Namen eines Textes (ohne Duplikate, in Reihenfolge).
+ * @param {string} text
+ * @returns {string[]}
+ */
+function extractTemplateVariables(text) {
+  const names = new Set();
+  for (const match of (text || '').matchAll(TEMPLATE_VARIABLE)) {
+    names.add(match[1]);
+  }
+  return Array.from(names);
+}
+
+/**
+ * Agent-Level Defaults: templateVariables aus dem Profil plus agentVersion.
+ * @param {Object} agent - Agent aus der Registry
+ * @returns {Object}
+ */
+function getVariableDefaults(agent) {
+  return {
+    ...(agent.agentVersion ? { agentVersion: agent.agentVersion } : {}),
+    ...(agent.templateVariables || {}),
+  };
+}
+
+/**
+ * Werte fuer die Platzhalter eines Agents zusammenfuehren und pruefen.
+ * Prioritaet: Request-Variablen > gespeicherte Conversation-Variablen > Agent-Defaults.
+ * @param {Object} agent - Agent aus der Registry
+ * @param {Object} stored - conversations.variables
+ * @param {Object} requested - variables aus dem Request-Body
+ * @returns {{values: Object, required: string[], missing: string[]}}
+ */
+function resolveTemplateVariables(agent, stored = {}, requested = {}) {
+  const values = { ...getVariableDefaults(agent), ...(stored || {}), ...(requested || {}) };
+  const required = extractTemplateVariables(agent.systemInstructions);
+  const missing = required.filter((name) => values[name] === undefined || values[name] === null);
+  return { values, required, missing };
+}
+
+/**
+ * Platzhalter ersetzen. Nicht-String-Werte werden als JSON eingesetzt.
+ * @param {string} text
+ * @param {Object} values
+ * @returns {{text: string, missing: string[]}}
+ */
+function renderTemplate(text, values = {}) {
+  const missing = new Set();
+  const rendered = text.replace(TEMPLATE_VARIABLE, (placeholder, name) => {
+    const value = values[name];
+    if (value === undefined || value === null) {
+      missing.add(name);
+      return placeholder;
+    }
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  });
+  return { text: rendered, missing: Array.from(missing) };
+}
+
+/**
+ * Zeichen-Limit eines Memory-Blocks aus der Agent-Config.
+ * @param {Object} agent - Agent aus der Registry
+ * @param {string} label - Block-Label
+ * @returns {number}
+ */
+function getBlockLimit(agent, label) {
+  const block = (agent.lettaConfig?.memoryBlocks || []).find((b) => b.label === label);
+  return Number.isInteger(block?.limit) && block.limit > 0 ? block.limit : DEFAULT_MEMORY_BLOCK_LIMIT;
+}
+
+/**
+ * Memory-Blocks als strukturierten Prompt-Abschnitt rendern.
+ * Werte ueber dem Limit werden abgeschnitten.
+ * @param {Object} agent - Agent aus der Registry
+ * @param {Array} blocks - Zeilen aus agent_memory ({ label, value })
+ * @returns {string} Abschnitt oder '' wenn keine Blocks existieren
+ */
+function renderMemoryBlocks(agent, blocks) {
+  if (!blocks || blocks.length === 0) return '';
+
+  const sections = blocks.map((b) => {
+    const limit = getBlockLimit(agent, b.label);
+    const value = b.value.length > limit ? `${b.value.substring(0, limit)}...` : b.value;
+    return [
+      `<${b.label}>`,
+      '<metadata>',
+      `- chars_current=${b.value.length}`,
+      `- chars_limit=${limit}`,
+      '</metadata>',
+      '<value>',
+      value,
+      '</value>',
+      `</${b.label}>`,
+    ].join('\n');
+  });
+
+  return [
+    '<memory_blocks>',
+    'The following memory blocks are your persistent core memory. They survive across conversations. ' +
+      'Keep them up to date with the memory_replace and memory_append tools.',
+    ...sections,
+    '</memory_blocks>',
+  ].join('\n\n');
+}
+
+/**
+ * Vollstaendigen System-Prompt fuer einen Agent bauen.
+ * Wirft, wenn Platzhalter nicht aufgeloest werden koennen - die Routes
+ * pruefen das vorher mit resolveTemplateVariables.
+ * @param {Object} agent - Agent aus der Registry
+ * @param {Array} memoryBlocks - Zeilen aus agent_memory
+ * @param {Object} variables - Aufgeloeste Template-Variablen
+ * @returns {string}
+ */
+function buildSystemPrompt(agent, memoryBlocks = [], variables = {}) {
+  const { text: instructions, missing } = renderTemplate(agent.systemInstructions, variables);
+  if (missing.length > 0) {
+    throw new Error(`Template-Variablen fehlen: ${missing.join(', ')}`);
+  }
+
+  const memory = renderMemoryBlocks(agent, memoryBlocks);
+  return memory ? `${instructions}\n\n${memory}` : instructions;
+}
+
+module.exports = {
+  DEFAULT_MEMORY_BLOCK_LIMIT,
+  extractTemplateVariables,
+  getVariableDefaults,
+  resolveTemplateVariables,
+  renderTemplate,
+  getBlockLimit,
+  renderMemoryBlocks,
+  buildSystemPrompt,
+};
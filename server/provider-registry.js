@@ -0,0 +1,297 @@
+const ollama = require('./ollama-client');
+const mock = require('./mock-client');
+const { createOpenAIProvider } = require('./openai-client');
+
+/**
+ * Provider-Registry fuer LLM-Backends.
+ *
+ * Modelle werden als "<provider>/<modell>" referenziert, genau wie
+ * modelPreferences.defaultModel in den Agent-Profilen (z.B. "ollama/glm-4.7").
+ * Ohne bekanntes Praefix geht das Modell an den Default-Provider (LLM_PROVIDER).
+ *
+ * Jeder Provider implementiert dasselbe Interface:
+ *   chat(model, messages, options)       -> Antwort im Ollama-Format
+ *   chatStream(model, messages, options) -> { stream: AsyncIterable, abort }
+ *   embed(model, inputs)                 -> [[number]] (ein Vektor pro Text)
+ *   listModels()                         -> [{ name, ... }]
+ *   healthCheck(), isConfigured(), DEFAULT_MODEL
+ */
+
+const providers = new Map();
+
+function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+registerProvider(ollama);
+registerProvider(
+  createOpenAIProvider({
+    name: 'openai',
+    baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY || '',
+    defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  })
+);
+registerProvider(
+  createOpenAIProvider({
+    name: 'openai-compatible',
+    baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL || '',
+    apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || '',
+    defaultModel: process.env.OPENAI_COMPATIBLE_MODEL || '',
+    requiresApiKey: false,
+  })
+);
+registerProvider(mock);
+
+const DEFAULT_PROVIDER = providers.has(process.env.LLM_PROVIDER) ? process.env.LLM_PROVIDER : 'ollama';
+
+// Modell fuer Embeddings (z.B. "ollama/nomic-embed-text"); leer = keine Embeddings
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || '';
+
+/**
+ * modelPreferences.thinkingLevel -> konkrete Generierungs-Parameter.
+ * think wird von Ollama als Reasoning-Schalter genutzt, reasoningEffort
+ * von OpenAI-Reasoning-Modellen; andere Provider ignorieren beides.
+ */
+const THINKING_LEVELS = {
+  low: { maxTokens: 1024, think: false, reasoningEffort: 'low' },
+  medium: { maxTokens: 4096, reasoningEffort: 'medium' },
+  high: { maxTokens: 8192, think: true, reasoningEffort: 'high' },
+};
+
+// Modell-Listen pro Provider kurz cachen, damit nicht jeder Chat /api/tags abfragt
+const MODEL_CACHE_TTL = 60000;
+const modelCache = new Map();
+
+/**
+ * Modell-Referenz in Provider-Name und Modell zerlegen.
+ * @param {string} ref - z.B. "ollama/glm-4.7", "openai/gpt-4o" oder "glm4"
+ * @returns {{providerName: string, model: string}}
+ */
+function parseModelRef(ref) {
+  if (!ref || typeof ref !== 'string') {
+    return { providerName: DEFAULT_PROVIDER, model: '' };
+  }
+
+  const slash = ref.indexOf('/');
+  if (slash > 0 && providers.has(ref.substring(0, slash))) {
+    return { providerName: ref.substring(0, slash), model: ref.substring(slash + 1) };
+  }
+
+  return { providerName: DEFAULT_PROVIDER, model: ref };
+}
+
+/**
+ * Provider und konkretes Modell fuer eine Referenz ermitteln.
+ * @param {string} ref - Modell-Referenz
+ * @returns {{provider: Object, model: string, ref: string}}
+ */
+function resolve(ref) {
+  const { providerName, model } = parseModelRef(ref);
+  const provider = providers.get(providerName);
+
+  if (!provider.isConfigured()) {
+    throw new Error(`Provider '${providerName}' ist nicht konfiguriert`);
+  }
+
+  const resolvedModel = model || provider.DEFAULT_MODEL;
+  return {
+    provider,
+    model: resolvedModel,
+    ref: `${provider.name}/${resolvedModel}`,
+  };
+}
+
+/**
+ * Ist ein Modell in listModels() des Providers enthalten?
+ * @returns {Promise<boolean|null>} null wenn die Liste nicht abrufbar ist
+ */
+async function isModelListed(provider, model) {
+  let cached = modelCache.get(provider.name);
+  if (!cached || Date.now() - cached.fetchedAt > MODEL_CACHE_TTL) {
+    try {
+      const models = await provider.listModels();
+      cached = { names: models.map((m) => m.name), fetchedAt: Date.now() };
+      modelCache.set(provider.name, cached);
+    } catch {
+      return null;
+    }
+  }
+  return cached.names.some((name) => name === model || name === `${model}:latest`);
+}
+
+/**
+ * Modell und Generierungs-Optionen fuer einen Agent-Request bestimmen.
+ *
+ * Reihenfolge: options.model > modelPreferences.defaultModel > Default-Provider.
+ * thinkingLevel (options.thinkingLevel oder modelPreferences.thinkingLevel)
+ * setzt maxTokens/think; explizite Request-Optionen haben Vorrang.
+ *
+ * Fallback: Ist der Provider nicht konfiguriert oder das Modell nicht in
+ * listModels(), wird zuerst das Default-Modell desselben Providers, danach
+ * das Default-Modell des Default-Providers genutzt. Ist die Modell-Liste
+ * nicht abrufbar, bleibt es beim angefragten Modell.
+ *
+ * @param {Object} agent - Agent aus der Registry
+ * @param {Object} requestOptions - options aus dem Request-Body
+ * @returns {Promise<Object>} { provider, model, ref, requested, thinkingLevel, options, fallback }
+ */
+async function selectModel(agent, requestOptions = {}) {
+  const { model: requestedModel, thinkingLevel: requestedLevel, ...overrides } = requestOptions || {};
+  const requested = requestedModel || agent.modelPreferences?.defaultModel || '';
+  const thinkingLevel = THINKING_LEVELS[requestedLevel]
+    ? requestedLevel
+    : THINKING_LEVELS[agent.modelPreferences?.thinkingLevel]
+      ? agent.modelPreferences.thinkingLevel
+      : null;
+
+  const { providerName, model } = parseModelRef(requested);
+  const candidates = [
+    { providerName, model: model || providers.get(providerName).DEFAULT_MODEL },
+    { providerName, model: providers.get(providerName).DEFAULT_MODEL },
+    { providerName: DEFAULT_PROVIDER, model: providers.get(DEFAULT_PROVIDER).DEFAULT_MODEL },
+  ];
+
+  let selected = null;
+  let reason = null;
+  for (const candidate of candidates) {
+    const provider = providers.get(candidate.providerName);
+    if (!provider.isConfigured() || !candidate.model) {
+      reason = reason || (provider.isConfigured() ? 'model_missing' : 'provider_not_configured');
+      continue;
+    }
+    const listed = await isModelListed(provider, candidate.model);
+    if (listed === false) {
+      reason = reason || 'model_not_listed';
+      continue;
+    }
+    selected = { provider, model: candidate.model };
+    break;
+  }
+
+  if (!selected) {
+    throw new Error(`Kein verfuegbares Modell fuer '${requested || DEFAULT_PROVIDER}' gefunden`);
+  }
+
+  const ref = `${selected.provider.name}/${selected.model}`;
+  const requestedRef = `${providerName}/${candidates[0].model}`;
+  const fallback = ref !== requestedRef ? { requested: requestedRef, used: ref, reason } : null;
+  if (fallback) {
+    console.warn(`[Providers] Fallback fuer ${agent.id}: ${requestedRef} -> ${ref} (${reason})`);
+  }
+
+  const { maxTokens, think, reasoningEffort } = THINKING_LEVELS[thinkingLevel] || {};
+  return {
+    provider: selected.provider,
+    model: selected.model,
+    ref,
+    requested: requestedRef,
+    thinkingLevel,
+    options: {
+      temperature: agent.modelPreferences?.temperature ?? 0.7,
+      ...(maxTokens !== undefined ? { maxTokens } : {}),
+      ...(think !== undefined ? { think } : {}),
+      ...(reasoningEffort !== undefined ? { reasoningEffort } : {}),
+      ...overrides,
+    },
+    fallback,
+  };
+}
+
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+async function chat(ref, messages, options = {}) {
+  const { provider, model } = resolve(ref);
+  return provider.chat(model, messages, options);
+}
+
+async function chatStream(ref, messages, options = {}) {
+  const { provider, model } = resolve(ref);
+  return provider.chatStream(model, messages, options);
+}
+
+/**
+ * Embedding-Modell aus EMBEDDING_MODEL.
+ * @returns {Object|null} { provider, model, ref } oder null, wenn nicht gesetzt/nutzbar
+ */
+function getEmbeddingModel() {
+  if (!EMBEDDING_MODEL) return null;
+  try {
+    const resolved = resolve(EMBEDDING_MODEL);
+    return typeof resolved.provider.embed === 'function' ? resolved : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Texte mit dem Embedding-Modell einbetten.
+ * @param {string[]} inputs
+ * @returns {Promise<{ model: string, embeddings: number[][] }>} model ist die Referenz "<provider>/<modell>"
+ */
+async function embed(inputs) {
+  const selected = getEmbeddingModel();
+  if (!selected) {
+    throw new Error('Kein Embedding-Modell konfiguriert (EMBEDDING_MODEL)');
+  }
+  const embeddings = await selected.provider.embed(selected.model, inputs);
+  if (embeddings.length !== inputs.length) {
+    throw new Error(`${selected.ref} lieferte ${embeddings.length} statt ${inputs.length} Embeddings`);
+  }
+  return { model: selected.ref, embeddings };
+}
+
+/**
+ * Modelle aller konfigurierten Provider auflisten.
+ * Nicht erreichbare Provider werden uebersprungen.
+ * @returns {Promise<Array>} [{ id: "<provider>/<name>", provider, name, ... }]
+ */
+async function listModels() {
+  const configured = Array.from(providers.values()).filter((p) => p.isConfigured());
+  const results = await Promise.allSettled(configured.map((p) => p.listModels()));
+
+  const models = [];
+  results.forEach((result, index) => {
+    const provider = configured[index];
+    if (result.status !== 'fulfilled') {
+      console.warn(`[Providers] ${provider.name} listModels fehlgeschlagen:`, result.reason?.message);
+      return;
+    }
+    for (const m of result.value) {
+      models.push({ ...m, id: `${provider.name}/${m.name}`, provider: provider.name });
+    }
+  });
+
+  return models;
+}
+
+/**
+ * Health-Status aller konfigurierten Provider.
+ */
+async function healthCheck() {
+  const status = {};
+  for (const provider of providers.values()) {
+    status[provider.name] = provider.isConfigured()
+      ? await provider.healthCheck()
+      : { connected: false, configured: false };
+  }
+  return status;
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  THINKING_LEVELS,
+  registerProvider,
+  parseModelRef,
+  resolve,
+  selectModel,
+  getProvider,
+  chat,
+  chatStream,
+  getEmbeddingModel,
+  embed,
+  listModels,
+  healthCheck,
+};
@@ -0,0 +1,281 @@
+const db = require('./db');
+const schemas = require('./schema-registry');
+
+/**
+ * QA-Pipeline: gespeicherte Conversations durch meta-call-qa bewerten.
+ *
+ * Die Input-Platzhalter des QA-Profils ({{transcript}}, {{agent_events_json}},
+ * {{system_disposition}}, ...) werden aus der messages-Tabelle gefuellt. Das
+ * QA-Agent laeuft in einer eigenen Conversation; seine strukturierte Ausgabe
+ * (qa-agent-output-v1) landet in conversation_reviews.
+ *
+ * Ausgeloest wird manuell (POST /api/conversations/:id/review) oder beim
+ * Schliessen einer Conversation, wenn der Agent laut feedbackLoops an das
+ * QA-Agent berichtet.
+ */
+
+const QA_AGENT_ID = process.env.QA_AGENT_ID || 'meta-call-qa';
+
+let getAgent = () => null;
+let runAgent = null;
+
+/**
+ * Zugriff auf die Agent-Registry und den Chat-Ablauf aus index.js setzen.
+ * @param {Object} hooks
+ * @param {Function} hooks.getAgent - (agentId) => agent | undefined
+ * @param {Function} hooks.runAgent - async (agent, conversationId, message, { variables }) => Ergebnis von runChatTurn
+ */
+function configure(hooks) {
+  getAgent = hooks.getAgent;
+  runAgent = hooks.runAgent;
+}
+
+function getReviewer() {
+  return getAgent(QA_AGENT_ID);
+}
+
+/**
+ * Wird der Agent beim Schliessen einer Conversation automatisch bewertet?
+ * Ja, wenn einer seiner feedbackLoops an das QA-Agent geht.
+ */
+function reviewsOnClose(agent) {
+  return (agent.interAgentCommunication?.feedbackLoops || []).some((l) => l.target === QA_AGENT_ID);
+}
+
+// --- Input-Daten aus dem Verlauf ---
+
+/**
+ * Gesprochener Text einer Agent-Nachricht: reply_text der strukturierten
+ * Ausgabe, sonst der Nachrichtentext.
+ */
+function spokenText(message) {
+  const output = message.structured_output;
+  if (output?.data && typeof output.data === 'object' && 'reply_text' in output.data) {
+    return output.data.reply_text;
+  }
+  return message.content;
+}
+
+/**
+ * Platzhalter des QA-Profils aus einer gespeicherten Conversation.
+ * @param {Object} conversation - Conversation inkl. messages
+ * @param {Object} agent - Bewerteter Agent
+ * @returns {Object} Template-Variablen fuer das QA-Agent
+ */
+function buildReviewVariables(conversation, agent) {
+  const transcript = [];
+  const decisions = [];
+  const alerts = [];
+  let disposition = null;
+  let turn = 0;
+
+  for (const m of conversation.messages) {
+    if (m.role === 'user') {
+      turn++;
+      transcript.push(`[${turn}] Caller: ${m.content}`);
+    } else if (m.role === 'assistant' && m.tool_calls) {
+      decisions.push({ turn, toolCalls: m.tool_calls.map((tc) => tc.function?.name) });
+    } else if (m.role === 'tool') {
+      if (m.error) alerts.push(`Turn ${turn}: Tool ${m.tool_name} fehlgeschlagen: ${m.error}`);
+    } else if (m.role === 'assistant') {
+      const text = spokenText(m);
+      if (text) transcript.push(`[${turn}] Agent: ${text}`);
+
+      const output = m.structured_output;
+      if (output?.data) {
+        const { intent, next_state, disposition: turnDisposition, confidence, actions } = output.data;
+        decisions.push({ turn, intent, next_state, disposition: turnDisposition, confidence, actions });
+        disposition = turnDisposition || disposition;
+      }
+      if (output && !output.valid) {
+        alerts.push(`Turn ${turn}: Ausgabe passt nicht zu ${output.schemaRef}: ${output.errors.slice(0, 3).join('; ')}`);
+      }
+    }
+  }
+
+  const vars = conversation.variables || {};
+  return {
+    transcript: transcript.join('\n') || '(leer)',
+    agent_events_json: JSON.stringify(decisions, null, 2),
+    alerts_or_errors: alerts.join('\n') || 'keine',
+    system_disposition: disposition || 'unknown',
+    language: vars.language || vars.targetLanguage || 'de',
+    call_goal: vars.call_goal || agent?.description || 'unbekannt',
+    agentVersion: agent?.agentVersion || `${conversation.agent_id}@${agent?.version || 'unknown'}`,
+  };
+}
+
+// --- Ablauf ---
+
+async function run(review, conversation, overrides) {
+  const reviewer = getReviewer();
+  const agent = getAgent(conversation.agent_id);
+
+  try {
+    const variables = { ...buildReviewVariables(conversation, agent), ...overrides };
+    const reviewConversation = await db.createConversation(
+      reviewer.id,
+      `QA: ${conversation.title || conversation.id}`,
+      variables
+    );
+    await db.updateConversationReview(review.id, { reviewConversationId: reviewConversation.id });
+
+    const { response, meta } = await runAgent(
+      reviewer,
+      reviewConversation.id,
+      `Analysiere den Call aus Conversation ${conversation.id} (${conversation.agent_id}) anhand der Input-Daten.`,
+      { variables }
+    );
+
+    // Ohne gueltiges Schema trotzdem versuchen, das JSON zu lesen
+    const output = meta.structuredOutput;
+    const data = output?.data ?? schemas.parseJsonReply(response);
+    if (!data || typeof data !== 'object') {
+      throw new Error('QA-Agent hat kein JSON geliefert');
+    }
+    // Ohne Gesamtscore ist die Bewertung fuer das Dashboard wertlos
+    if (typeof data.overall_score !== 'number') {
+      const details = output?.errors?.length ? `: ${output.errors.slice(0, 3).join('; ')}` : '';
+      throw new Error(`QA-Antwort ohne overall_score${details}`);
+    }
+
+    const updated = await db.updateConversationReview(review.id, {
+      status: 'completed',
+      overallScore: data.overall_score,
+      scores: data.scores || null,
+      recommendedDisposition: data.recommended_disposition,
+      review: data,
+      valid: output ? output.valid : false,
+    });
+    console.log(`[QA] ${conversation.agent_id} / ${conversation.id}: Score ${data.overall_score}`);
+    return updated;
+  } catch (err) {
+    console.error(`[QA] Bewertung von ${conversation.id} fehlgeschlagen:`, err.message);
+    return db.updateConversationReview(review.id, { status: 'failed', error: err.message });
+  }
+}
+
+/**
+ * Bewertung anlegen und im Hintergrund ausfuehren.
+ * @param {Object} conversation - Conversation inkl. messages
+ * @param {Object} options - { trigger: 'manual'|'close', variables: Ueberschreibungen der Platzhalter }
+ * @returns {Promise<Object>} Zeile aus conversation_reviews (status 'pending')
+ */
+async function start(conversation, { trigger = 'manual', variables = {} } = {}) {
+  const reviewer = getReviewer();
+  if (!reviewer) {
+    throw new Error(`QA-Agent '${QA_AGENT_ID}' ist nicht geladen`);
+  }
+
+  const review = await db.createConversationReview({
+    conversationId: conversation.id,
+    agentId: conversation.agent_id,
+    reviewerAgentId: reviewer.id,
+    trigger,
+  });
+  setImmediate(() => run(review, conversation, variables));
+  return review;
+}
+
+// --- Dashboard ---
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+function average(values) {
+  const numbers = values.filter((v) => typeof v === 'number' && Number.isFinite(v));
+  if (numbers.length === 0) return null;
+  return Math.round((numbers.reduce((sum, v) => sum + v, 0) / numbers.length) * 10) / 10;
+}
+
+function countBy(items) {
+  const counts = {};
+  for (const item of items) {
+    if (item) counts[item] = (counts[item] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Kennzahlen ueber die Bewertungen eines Agents.
+ * @param {Array} rows - Zeilen aus conversation_reviews (neueste zuerst)
+ * @returns {Object} Durchschnitte, Verteilungen, haeufigste Probleme, Verlauf pro Tag
+ */
+function buildDashboard(rows) {
+  const completed = rows.filter((r) => r.status === 'completed');
+  const scoreKeys = Array.from(new Set(completed.flatMap((r) => Object.keys(r.scores || {}))));
+
+  const issues = new Map();
+  for (const r of completed) {
+    for (const issue of r.review?.top_issues || []) {
+      if (!issue?.issue) continue;
+      const key = issue.issue.trim().toLowerCase();
+      const entry = issues.get(key) || { issue: issue.issue, count: 0, severities: [] };
+      entry.count++;
+      entry.severities.push(issue.severity);
+      issues.set(key, entry);
+    }
+  }
+
+  const byDay = new Map();
+  for (const r of completed) {
+    const day = new Date(r.created_at).toISOString().slice(0, 10);
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(toNumber(r.overall_score));
+  }
+
+  return {
+    reviews: rows.length,
+    completed: completed.length,
+    failed: rows.filter((r) => r.status === 'failed').length,
+    pending: rows.filter((r) => r.status === 'pending').length,
+    averageScore: average(completed.map((r) => toNumber(r.overall_score))),
+    scoreAverages: Object.fromEntries(
+      scoreKeys.map((key) => [key, average(completed.map((r) => r.scores?.[key]))])
+    ),
+    recommendedDispositions: countBy(completed.map((r) => r.recommended_disposition)),
+    issueSeverity: countBy(completed.flatMap((r) => (r.review?.top_issues || []).map((i) => i?.severity))),
+    topIssues: Array.from(issues.values())
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 10)
+      .map(({ issue, count, severities }) => ({ issue, count, severity: countBy(severities) })),
+    trend: Array.from(byDay.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, scores]) => ({ date, reviews: scores.length, averageScore: average(scores) })),
+    latest: rows.slice(0, 10).map(formatReview),
+  };
+}
+
+/**
+ * Bewertung fuer API-Antworten aufbereiten.
+ */
+function formatReview(row) {
+  return {
+    id: row.id,
+    conversationId: row.conversation_id,
+    agentId: row.agent_id,
+    reviewerAgentId: row.reviewer_agent_id,
+    reviewConversationId: row.review_conversation_id,
+    trigger: row.trigger,
+    status: row.status,
+    overallScore: toNumber(row.overall_score),
+    scores: row.scores,
+    recommendedDisposition: row.recommended_disposition,
+    valid: row.valid,
+    review: row.review,
+    error: row.error,
+    createdAt: row.created_at,
+    completedAt: row.completed_at,
+  };
+}
+
+module.exports = {
+  QA_AGENT_ID,
+  configure,
+  reviewsOnClose,
+  buildReviewVariables,
+  start,
+  buildDashboard,
+  formatReview,
+};
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Schema-Registry fuer strukturierte Agent-Ausgaben.
+ *
+ * Profile verweisen ueber outputSchemaRef (z.B. "call-agent-output-v1") auf
+ * eine JSON-Schema-Datei in data/schemas/<ref>.json. Jede Antwort eines
+ * solchen Agents wird als JSON geparst und gegen das Schema geprueft; bei
+ * Fehlern bekommt das Modell einen Reparatur-Prompt (OUTPUT_REPAIR_RETRIES).
+ *
+ * Der Validator deckt die Schluesselwoerter ab, die die Schemas nutzen:
+ * type (auch als Liste, inkl. null/integer), enum, const, required,
+ * properties, additionalProperties, items, minimum/maximum,
+ * minLength/maxLength, pattern, minItems/maxItems, uniqueItems.
+ */
+
+const SCHEMA_DIR = process.env.SCHEMA_DIR || path.join(__dirname, 'data', 'schemas');
+const OUTPUT_REPAIR_RETRIES = parseInt(process.env.OUTPUT_REPAIR_RETRIES || '2', 10);
+
+// ref -> Schema (null wenn die Datei fehlt)
+const cache = new Map();
+
+/**
+ * Schema zu einer Referenz laden (gecacht).
+ * @param {string} ref - z.B. "call-agent-output-v1"
+ * @returns {Object|null} JSON Schema oder null wenn unbekannt
+ */
+function getSchema(ref) {
+  if (!ref || !/^[\w.-]+$/.test(ref)) return null;
+  if (!cache.has(ref)) {
+    const file = path.join(SCHEMA_DIR, `${ref}.json`);
+    try {
+      cache.set(ref, JSON.parse(fs.readFileSync(file, 'utf-8')));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`[Schemas] ${ref} konnte nicht geladen werden:`, err.message);
+      }
+      cache.set(ref, null);
+    }
+  }
+  return cache.get(ref);
+}
+
+/**
+ * Verfuegbare Schema-Referenzen (Dateinamen ohne .json).
+ * @returns {string[]}
+ */
+function listSchemas() {
+  if (!fs.existsSync(SCHEMA_DIR)) return [];
+  return fs.readdirSync(SCHEMA_DIR)
+    .filter((f) => f.endsWith('.json'))
+    .map((f) => f.slice(0, -'.json'.length))
+    .sort();
+}
+
+// --- Validierung ---
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Wert gegen ein JSON Schema pruefen.
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Zu pruefender Wert
+ * @param {string} at - Pfad fuer Fehlermeldungen
+ * @returns {string[]} Fehlermeldungen, leer wenn gueltig
+ */
+function validate(schema, value, at = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      return [`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+  if (schema.enum && !schema.enum.some((option) => option === value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map((o) => JSON.stringify(o)).join(', ')}`);
+  }
+  if (schema.const !== undefined && schema.const !== value) {
+    errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: shorter than ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) errors.push(`${at}: does not match ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: allows at most ${schema.maxItems} items`);
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      value.forEach((item, i) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) errors.push(`${at}[${i}]: duplicate of an earlier item (${key})`);
+        seen.add(key);
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, `${at}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}.${key}: is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validate(properties[key], child, `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key}: is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, child, `${at}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * JSON aus einer Modell-Antwort lesen (auch in ```json-Bloecken oder mit Text drumherum).
+ * @param {string} text
+ * @returns {*} Geparster Wert oder undefined
+ */
+function parseJsonReply(text) {
+  const candidates = [
+    text.trim(),
+    /```(?:json)?\s*([\s\S]*?)```/i.exec(text)?.[1],
+    text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1),
+  ];
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // naechster Kandidat
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Antwort parsen und pruefen.
+ * @returns {Object} { data, errors }
+ */
+function checkReply(schema, text) {
+  const data = parseJsonReply(text || '');
+  if (data === undefined) {
+    return { data: null, errors: ['$: reply is not valid JSON'] };
+  }
+  return { data, errors: validate(schema, data) };
+}
+
+function buildRepairPrompt(schemaRef, schema, errors) {
+  return [
+    `Your last reply does not match the required output schema "${schemaRef}":`,
+    ...errors.slice(0, 20).map((e) => `- ${e}`),
+    '',
+    'Reply again with exactly one corrected JSON object and nothing else. Schema:',
+    JSON.stringify(schema),
+  ].join('\n');
+}
+
+/**
+ * Antwort eines Agents mit outputSchemaRef erzwingen: pruefen und bei Fehlern
+ * mit Reparatur-Prompt erneut anfragen (ohne Tools, JSON-Modus).
+ * @param {Object} params
+ * @param {Object} params.provider - Provider aus provider-registry
+ * @param {string} params.model - Modellname
+ * @param {Object} params.options - Chat-Optionen der Modellauswahl
+ * @param {Array} params.messages - Kontext vor der Antwort (System-Prompt + Verlauf)
+ * @param {string} params.reply - Antwort des Modells
+ * @param {string} params.schemaRef - outputSchemaRef des Agents
+ * @returns {Promise<Object|null>} { text, output: { schemaRef, valid, data, errors, attempts }, evalCount }
+ *   oder null, wenn das Schema unbekannt ist
+ */
+async function enforceOutputSchema({ provider, model, options, messages, reply, schemaRef }) {
+  const schema = getSchema(schemaRef);
+  if (!schema) {
+    console.warn(`[Schemas] Unbekannte outputSchemaRef '${schemaRef}', Antwort wird nicht geprueft`);
+    return null;
+  }
+
+  let text = reply;
+  let result = checkReply(schema, text);
+  let attempts = 1;
+  let evalCount = 0;
+  const repairMessages = [...messages];
+
+  while (result.errors.length > 0 && attempts <= OUTPUT_REPAIR_RETRIES) {
+    console.log(`[Schemas] ${schemaRef}: ${result.errors.length} Fehler, Reparaturversuch ${attempts}`);
+    repairMessages.push(
+      { role: 'assistant', content: text },
+      { role: 'user', content: buildRepairPrompt(schemaRef, schema, result.errors) }
+    );
+    const response = await provider.chat(model, repairMessages, { ...options, format: schema });
+    text = response.message?.content || '';
+    evalCount += response.eval_count || 0;
+    result = checkReply(schema, text);
+    attempts++;
+  }
+
+  if (result.errors.length > 0) {
+    console.warn(`[Schemas] ${schemaRef}: Antwort nach ${attempts} Versuch(en) weiterhin ungueltig`);
+  }
+
+  return {
+    text,
+    output: {
+      schemaRef,
+      valid: result.errors.length === 0,
+      data: result.data,
+      errors: result.errors,
+      attempts,
+    },
+    evalCount,
+  };
+}
+
+module.exports = {
+  OUTPUT_REPAIR_RETRIES,
+  getSchema,
+  listSchemas,
+  validate,
+  parseJsonReply,
+  enforceOutputSchema,
+};
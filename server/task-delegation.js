@@ -0,0 +1,247 @@
+const db = require('./db');
+const promptBuilder = require('./prompt-builder');
+const schemas = require('./schema-registry');
+
+/**
+ * Task-Delegation: Tool task_delegate (Capability "Task" in allowedTools).
+ *
+ * Ein Agent uebergibt einen Teilauftrag an einen anderen geladenen Agent. Der
+ * Sub-Agent arbeitet in einer eigenen Conversation, die ueber
+ * parent_conversation_id an der Conversation des Aufrufers haengt. Der
+ * Aufrufer bekommt nur eine gekuerzte Zusammenfassung zurueck; der komplette
+ * Verlauf bleibt in der Sub-Conversation.
+ *
+ * Grenzen gelten pro Chat-Turn des obersten Agents: Verschachtelungstiefe
+ * (MAX_TASK_DEPTH) und ein gemeinsames Budget an generierten Tokens
+ * (TASK_TOKEN_BUDGET), das sich alle Sub-Agents des Turns teilen.
+ */
+
+const MAX_TASK_DEPTH = parseInt(process.env.MAX_TASK_DEPTH || '2', 10);
+const TASK_TOKEN_BUDGET = parseInt(process.env.TASK_TOKEN_BUDGET || '20000', 10);
+const SUMMARY_MAX_CHARS = 2000;
+
+let getAgent = () => null;
+let listAgents = () => [];
+let runAgent = null;
+
+/**
+ * Zugriff auf die Agent-Registry und den Chat-Ablauf aus index.js setzen.
+ * @param {Object} hooks
+ * @param {Function} hooks.getAgent - (agentId) => agent | undefined
+ * @param {Function} hooks.listAgents - () => agent[]
+ * @param {Function} hooks.runAgent - async (agent, conversationId, message, { variables, options, delegation, onEvent }) => Ergebnis von runChatTurn
+ */
+function configure(hooks) {
+  getAgent = hooks.getAgent;
+  listAgents = hooks.listAgents;
+  runAgent = hooks.runAgent;
+}
+
+/**
+ * Delegations-Kontext fuer einen neuen Chat-Turn (oberster Agent).
+ * @returns {Object} { depth, budget: { limit, used } }
+ */
+function createDelegation() {
+  return { depth: 0, budget: { limit: TASK_TOKEN_BUDGET, used: 0 } };
+}
+
+/**
+ * Agents, an die delegiert werden darf. Auf maximaler Tiefe keine mehr.
+ * @param {Object} agent - Aufrufender Agent
+ * @param {Object} delegation - { depth }
+ * @returns {Array} Agents aus der Registry
+ */
+function getTargets(agent, delegation) {
+  if ((delegation?.depth || 0) >= MAX_TASK_DEPTH) return [];
+  return listAgents().filter((a) => a.id !== agent.id);
+}
+
+// --- Tool-Definition ---
+
+const tools = [
+  {
+    type: 'function',
+    function: {
+      name: 'task_delegate',
+      description: 'Delegate a self-contained sub-task to another agent. The agent works in its own ' +
+        'conversation and returns a summary of its answer.',
+      parameters: {
+        type: 'object',
+        properties: {
+          agent: {
+            type: 'string',
+            description: 'ID of the agent that should handle the task'
+          },
+          prompt: {
+            type: 'string',
+            description: 'Complete task description; the agent does not see your conversation'
+          },
+          resultSchema: {
+            type: 'object',
+            description: 'Optional JSON Schema the agent must answer with (returned parsed as "result")'
+          },
+          variables: {
+            type: 'object',
+            description: 'Optional template variables for the agent\'s system prompt'
+          }
+        },
+        required: ['agent', 'prompt']
+      }
+    }
+  }
+];
+
+/**
+ * task_delegate mit den aktuell erreichbaren Agents als enum.
+ * @param {Array} targets - Ergebnis von getTargets()
+ * @returns {Object} Tool-Definition im Ollama-Format
+ */
+function buildDelegateTool(targets) {
+  const [tool] = tools;
+  const agentList = targets.map((a) => `${a.id} (${a.name})`).join(', ');
+  return {
+    ...tool,
+    function: {
+      ...tool.function,
+      description: `${tool.function.description} Available agents: ${agentList}.`,
+      parameters: {
+        ...tool.function.parameters,
+        properties: {
+          ...tool.function.parameters.properties,
+          agent: { ...tool.function.parameters.properties.agent, enum: targets.map((a) => a.id) },
+        },
+      },
+    },
+  };
+}
+
+// --- Ergebnis fuer den Aufrufer ---
+
+/**
+ * Antwort gegen resultSchema pruefen.
+ * @returns {Object} { result, errors }
+ */
+function parseResult(text, schema) {
+  const result = schemas.parseJsonReply(text);
+  if (result === undefined) {
+    return { result: null, errors: ['Response does not contain valid JSON'] };
+  }
+  return { result, errors: schemas.validate(schema, result) };
+}
+
+function summarize(text) {
+  if (text.length <= SUMMARY_MAX_CHARS) return { summary: text, truncated: false };
+  return { summary: `${text.substring(0, SUMMARY_MAX_CHARS)} ...`, truncated: true };
+}
+
+function buildTaskMessage(prompt, sourceAgent, resultSchema) {
+  const lines = [`[Task] from ${sourceAgent.id}`, '', prompt];
+  if (resultSchema) {
+    lines.push('', 'Respond only with JSON that matches this schema:', JSON.stringify(resultSchema, null, 2));
+  }
+  return lines.join('\n');
+}
+
+// --- Ausfuehrung ---
+
+/**
+ * Teilauftrag an einen anderen Agent uebergeben und auf dessen Antwort warten.
+ * @param {Object} args - { agent, prompt, resultSchema, variables }
+ * @param {Object} context - { agent, conversationId, toolCallId, delegation, onEvent }
+ * @returns {Promise<Object>} Zusammenfassung fuer den Tool-Result des Aufrufers
+ */
+async function delegate(args, context) {
+  const { agent: targetId, prompt, resultSchema, variables = {} } = args || {};
+  if (typeof prompt !== 'string' || prompt.trim().length === 0) {
+    return { error: 'Field "prompt" is required' };
+  }
+
+  const target = getAgent(targetId);
+  if (!target) {
+    return { error: `Agent '${targetId}' is not loaded` };
+  }
+  if (target.id === context.agent.id) {
+    return { error: 'An agent cannot delegate to itself' };
+  }
+
+  const { missing } = promptBuilder.resolveTemplateVariables(target, {}, variables);
+  if (missing.length > 0) {
+    return { error: `Agent '${target.id}' needs the template variables: ${missing.join(', ')}` };
+  }
+
+  const parent = context.delegation || createDelegation();
+  const depth = parent.depth + 1;
+  if (depth > MAX_TASK_DEPTH) {
+    return { error: `Maximum delegation depth (${MAX_TASK_DEPTH}) reached` };
+  }
+
+  const { budget } = parent;
+  const remaining = budget.limit - budget.used;
+  if (remaining <= 0) {
+    return { error: `Token budget for delegated tasks (${budget.limit}) is exhausted` };
+  }
+
+  const conversation = await db.createChildConversation({
+    agentId: target.id,
+    title: `Task von ${context.agent.id}: ${prompt.substring(0, 80)}`,
+    variables,
+    parentConversationId: context.conversationId,
+    parentToolCallId: context.toolCallId,
+    depth,
+  });
+  console.log(`[Tasks] ${context.agent.id} -> ${target.id} (Tiefe ${depth}, Budget ${remaining}/${budget.limit})`);
+
+  try {
+    const { response, meta } = await runAgent(target, conversation.id, buildTaskMessage(prompt, context.agent, resultSchema), {
+      variables,
+      // Der Sub-Agent darf hoechstens das Restbudget generieren
+      options: { maxTokens: remaining },
+      delegation: { depth, budget },
+      onEvent: context.onEvent,
+    });
+    budget.used += meta.evalCount || 0;
+
+    const structured = resultSchema ? parseResult(response, resultSchema) : null;
+    return {
+      agent: target.id,
+      conversationId: conversation.id,
+      depth,
+      ...summarize(response),
+      ...(structured ? { result: structured.result, schemaErrors: structured.errors } : {}),
+      toolsUsed: meta.toolsUsed,
+      stoppedReason: meta.stoppedReason,
+      tokensUsed: meta.evalCount || 0,
+      tokenBudget: { limit: budget.limit, used: budget.used, remaining: Math.max(budget.limit - budget.used, 0) },
+    };
+  } catch (error) {
+    console.error(`[Tasks] ${target.id} fehlgeschlagen:`, error.message);
+    return { error: `Agent '${target.id}' failed: ${error.message}`, agent: target.id, conversationId: conversation.id };
+  }
+}
+
+/**
+ * Task-Tool ausfuehren.
+ * @param {string} name - Tool-Name
+ * @param {Object} args - Tool-Argumente
+ * @param {Object} context - { agent, conversationId, toolCallId, delegation, onEvent }
+ */
+async function executeFunction(name, args, context) {
+  if (name !== 'task_delegate') {
+    return { error: `Unknown function: ${name}` };
+  }
+  if (!context?.agent || !context.conversationId) {
+    return { error: 'Task tools require an agent and conversation context' };
+  }
+  return delegate(args, context);
+}
+
+module.exports = {
+  MAX_TASK_DEPTH,
+  TASK_TOKEN_BUDGET,
+  tools,
+  configure,
+  createDelegation,
+  getTargets,
+  buildDelegateTool,
+  executeFunction,
+};
@@ -1,23 +1,100 @@
+const { v4: uuidv4 } = require('uuid');
 const github = require('./github-client');
 const linear = require('./linear-client');
+const memory = require('./memory-tools');
+const web = require('./web-tools');
+const registry = require('./tool-registry');
+const agentEvents = require('./agent-events');
+const tasks = require('./task-delegation');
 
 /**
- * Get all available tools based on configured credentials
+ * Permission modes for lettaConfig.permissionMode:
+ * - auto_approve_all: every tool runs without asking
+ * - auto_approve_read_only: read tools run, write tools wait for human approval (default)
+ * - read_only: write tools are rejected without asking
+ */
+const PERMISSION_MODES = ['auto_approve_all', 'auto_approve_read_only', 'read_only'];
+const DEFAULT_PERMISSION_MODE = 'auto_approve_read_only';
+
+// Tools that change external data. Memory tools only touch the agent's own
+// versioned memory blocks and count as read here.
+const WRITE_TOOLS = new Set([...github.writeTools, ...linear.writeTools]);
+
+/**
+ * Classify a tool as read or write
+ * @param {string} name - Tool name
+ * @returns {'read'|'write'}
+ */
+function getToolAccess(name) {
+  return WRITE_TOOLS.has(name) ? 'write' : 'read';
+}
+
+/**
+ * Check a tool call against the agent's permission mode, asking for approval if needed
+ * @param {Object} toolCall - Tool call (with id)
+ * @param {Object} context - Execution context ({ agent, requestApproval, offeredTools, signal })
+ * @returns {Promise<Object>} { allowed, error?, denied?, approval? }
+ */
+async function authorizeToolCall(toolCall, context = {}) {
+  const name = toolCall.function?.name;
+  if (context.offeredTools && !context.offeredTools.has(name)) {
+    return { allowed: false, error: `Tool '${name}' is not available to this agent` };
+  }
+  if (getToolAccess(name) === 'read') {
+    return { allowed: true };
+  }
+
+  let mode = context.agent?.lettaConfig?.permissionMode || DEFAULT_PERMISSION_MODE;
+  if (!PERMISSION_MODES.includes(mode)) {
+    console.warn(`[Tools] Unknown permission mode '${mode}', using ${DEFAULT_PERMISSION_MODE}`);
+    mode = DEFAULT_PERMISSION_MODE;
+  }
+
+  if (mode === 'auto_approve_all') {
+    return { allowed: true };
+  }
+  if (mode === 'read_only') {
+    return { allowed: false, error: `Tool '${name}' modifies data and permission mode 'read_only' does not allow it` };
+  }
+  if (!context.requestApproval) {
+    return { allowed: false, error: `Tool '${name}' requires human approval, but no approval channel is available` };
+  }
+
+  // Cancelling the generation also ends the wait for approval
+  const approval = await context.requestApproval(toolCall, context.signal);
+  if (approval.status === 'approved') {
+    return { allowed: true, approval };
+  }
+  return {
+    allowed: false,
+    denied: true,
+    approval,
+    error: approval.status === 'expired'
+      ? `Approval for tool '${name}' timed out`
+      : `Tool call '${name}' was denied by the user${approval.reason ? `: ${approval.reason}` : ''}`,
+  };
+}
+
+/**
+ * Get the tools an agent may use, based on configured credentials and its allowedTools
  * @param {string} githubToken - GitHub personal access token
  * @param {string} linearApiKey - Linear API key
+ * @param {Object} features - { memory: include memory tools (need an agent context),
+ *   allowedTools: lettaConfig.allowedTools, all tools if omitted,
+ *   eventTriggers: triggers from interAgentCommunication.feedbackLoops,
+ *   delegateTargets: agents reachable via task_delegate, the tool is dropped if empty }
  * @returns {Array} Array of tool definitions
  */
-function getAvailableTools(githubToken, linearApiKey) {
-  const tools = [];
-
-  // Add GitHub tools if token is configured
-  if (githubToken) {
-    tools.push(...github.tools);
-  }
+function getAvailableTools(githubToken, linearApiKey, features = {}) {
+  const tools = registry
+    .getTools({ github: githubToken, linear: linearApiKey }, features.allowedTools)
+    .filter((tool) => features.memory || !tool.function.name.startsWith('memory_'))
+    .filter((tool) => tool.function.name !== 'task_delegate' || features.delegateTargets?.length)
+    .map((tool) => (tool.function.name === 'task_delegate' ? tasks.buildDelegateTool(features.delegateTargets) : tool));
 
-  // Add Linear tools if API key is configured
-  if (linearApiKey) {
-    tools.push(...linear.tools);
+  // Declared feedback loops are the permission for the event tool, not allowedTools
+  if (features.eventTriggers?.length) {
+    tools.push(agentEvents.buildEmitTool(features.eventTriggers));
   }
 
   return tools;
@@ -28,9 +105,10 @@ function getAvailableTools(githubToken, linearApiKey) {
  * @param {Object} toolCall - Tool call object with function name and arguments
  * @param {string} githubToken - GitHub token
  * @param {string} linearApiKey - Linear API key
+ * @param {Object} context - Execution context ({ agent, conversationId, toolCallId, delegation })
  * @returns {Promise<string>} Tool execution result as JSON string
  */
-async function executeTool(toolCall, githubToken, linearApiKey) {
+async function executeTool(toolCall, githubToken, linearApiKey, context = {}) {
   const functionName = toolCall.function.name;
   let args = toolCall.function.arguments;
 
@@ -62,6 +140,14 @@ async function executeTool(toolCall, githubToken, linearApiKey) {
         throw new Error('Linear API key not configured');
       }
       result = await linear.executeFunction(functionName, args, linearApiKey);
+    } else if (functionName.startsWith('memory_')) {
+      result = await memory.executeFunction(functionName, args, context);
+    } else if (functionName.startsWith('fetch_')) {
+      result = await web.executeFunction(functionName, args);
+    } else if (functionName.startsWith('agent_')) {
+      result = await agentEvents.executeFunction(functionName, args, context);
+    } else if (functionName.startsWith('task_')) {
+      result = await tasks.executeFunction(functionName, args, context);
     } else {
       throw new Error(`Unknown tool: ${functionName}`);
     }
@@ -83,23 +169,112 @@ async function executeTool(toolCall, githubToken, linearApiKey) {
   }
 }
 
+/**
+ * Extract the error message from a tool result string, if any
+ * @param {string} content - Tool result as returned by executeTool
+ * @returns {string|null} Error message or null
+ */
+function extractToolError(content) {
+  try {
+    const parsed = JSON.parse(content);
+    return parsed && typeof parsed.error === 'string' ? parsed.error : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Give every tool call a stable id. Ollama usually omits ids, OpenAI sends them.
+ * @param {Object} assistantMsg - Assistant message with tool_calls
+ * @returns {Object} Copy of the message whose tool_calls all carry an id
+ */
+function assignToolCallIds(assistantMsg) {
+  return {
+    ...assistantMsg,
+    tool_calls: assistantMsg.tool_calls.map((toolCall) => ({
+      ...toolCall,
+      id: toolCall.id || `call_${uuidv4()}`,
+    })),
+  };
+}
+
+/**
+ * Tool result message for the next model turn, correlated to its call
+ * @param {Object} result - Result from processToolCalls
+ * @returns {Object} Message with role 'tool'
+ */
+function toToolMessage(result) {
+  return {
+    role: 'tool',
+    tool_call_id: result.tool_call_id,
+    tool_name: result.name,
+    content: result.content,
+  };
+}
+
+/**
+ * Trace entry for one executed tool call
+ * @param {number} iteration - Loop iteration the call belongs to
+ * @param {Object} result - Result from processToolCalls
+ * @returns {Object} { id, iteration, tool, args, result, latencyMs, error, approval? }
+ */
+function toTraceEntry(iteration, result) {
+  return {
+    id: result.tool_call_id,
+    iteration,
+    tool: result.name,
+    args: result.arguments,
+    result: result.content,
+    latencyMs: result.duration_ms,
+    error: result.error,
+    ...(result.approval ? { approval: result.approval } : {}),
+  };
+}
+
+/**
+ * Final loop result when a human denied a write call: the loop stops instead of
+ * letting the model retry or work around the decision
+ * @param {Object} denied - Denied result from processToolCalls
+ * @returns {string} Final assistant message
+ */
+function deniedMessage(denied) {
+  return `Stopped: ${JSON.parse(denied.content).error}. No changes were made by this tool call.`;
+}
+
 /**
  * Process multiple tool calls in parallel
  * @param {Array} toolCalls - Array of tool call objects
  * @param {string} githubToken - GitHub token
  * @param {string} linearApiKey - Linear API key
- * @returns {Promise<Array>} Array of tool result objects formatted for Ollama
+ * @param {Object} context - Execution context ({ agent, conversationId, signal })
+ * @returns {Promise<Array>} Array of tool result objects formatted for Ollama,
+ *   with name, arguments, duration_ms and error attached for persistence
  */
-async function processToolCalls(toolCalls, githubToken, linearApiKey) {
+async function processToolCalls(toolCalls, githubToken, linearApiKey, context = {}) {
   console.log(`[Tools] Processing ${toolCalls.length} tool call(s)...`);
 
   const results = await Promise.all(
     toolCalls.map(async (toolCall) => {
-      const content = await executeTool(toolCall, githubToken, linearApiKey);
+      let permission = context.signal?.aborted ? {} : await authorizeToolCall(toolCall, context);
+      // Cancelled before or while waiting for approval: the tool only runs if the approval
+      // was stored before the cancel (a later one is rejected with 409)
+      if (context.signal?.aborted && permission.approval?.status !== 'approved') {
+        permission = { ...permission, allowed: false, error: 'Generation was cancelled before the tool ran' };
+      }
+      const started = Date.now();
+      const content = permission.allowed
+        ? await executeTool(toolCall, githubToken, linearApiKey, { ...context, toolCallId: toolCall.id })
+        : JSON.stringify({ error: permission.error, tool: toolCall.function?.name });
       return {
         tool_call_id: toolCall.id,
         role: 'tool',
+        name: toolCall.function?.name,
+        arguments: toolCall.function?.arguments,
         content,
+        duration_ms: Date.now() - started,
+        error: extractToolError(content),
+        ...(permission.approval ? { approval: { id: permission.approval.id, status: permission.approval.status } } : {}),
+        ...(permission.denied ? { denied: true } : {}),
       };
     })
   );
@@ -108,29 +283,51 @@ async function processToolCalls(toolCalls, githubToken, linearApiKey) {
 }
 
 /**
- * Main tool-calling loop with Ollama
- * @param {Object} ollamaClient - Axios instance for Ollama API
- * @param {string} model - Model name
+ * Re-render the system prompt after memory edits so the next iteration sees the new blocks
+ * @param {Array} messages - Current loop messages (system prompt first)
+ * @param {Array} toolCalls - Tool calls of the last iteration
+ * @param {Object} context - Execution context with optional rebuildSystemPrompt()
+ */
+async function refreshSystemPrompt(messages, toolCalls, context) {
+  const editedMemory = toolCalls.some((tc) => tc.function?.name?.startsWith('memory_'));
+  if (!editedMemory || !context.rebuildSystemPrompt || messages[0]?.role !== 'system') {
+    return;
+  }
+  messages[0] = { role: 'system', content: await context.rebuildSystemPrompt() };
+}
+
+/**
+ * Main tool-calling loop
+ * @param {Object} provider - LLM provider from provider-registry (chat/chatStream)
+ * @param {string} model - Model name (without provider prefix)
  * @param {Array} messages - Initial conversation messages
  * @param {Array} tools - Available tool definitions
  * @param {Object} options - Chat options (temperature, maxTokens)
  * @param {string} githubToken - GitHub token
  * @param {string} linearApiKey - Linear API key
  * @param {number} maxIterations - Maximum tool calling iterations (default: 10)
- * @returns {Promise<Object>} Final response with message, tool results, and metadata
+ * @param {Object} context - Execution context ({ agent, conversationId, rebuildSystemPrompt, requestApproval })
+ * @returns {Promise<Object>} Final response with message, tool results, the intermediate
+ *   tool-call/tool-result messages (toolMessages) for persistence, a per-call trace
+ *   ({ id, iteration, tool, args, result, latencyMs, error }), and metadata
  */
 async function chatWithTools(
-  ollamaClient,
+  provider,
   model,
   messages,
   tools,
   options,
   githubToken,
   linearApiKey,
-  maxIterations = 10
+  maxIterations = 10,
+  context = {}
 ) {
   let currentMessages = [...messages];
   const allToolResults = [];
+  const toolMessages = [];
+  const trace = [];
+  // Only tools offered to the model may run, whatever name it comes up with
+  const toolContext = { ...context, offeredTools: new Set(tools.map((t) => t.function.name)) };
   let iterations = 0;
 
   console.log(`[Tools] Starting chat with tools loop (max ${maxIterations} iterations)...`);
@@ -139,47 +336,55 @@ async function chatWithTools(
     iterations++;
     console.log(`[Tools] Iteration ${iterations}/${maxIterations}`);
 
-    const payload = {
-      model,
-      messages: currentMessages,
-      stream: false,
-      tools: tools.length > 0 ? tools : undefined,
-      options: {
-        temperature: options.temperature ?? 0.7,
-        num_predict: options.maxTokens ?? 4096,
-      },
-    };
-
     try {
-      const response = await ollamaClient.post('/api/chat', payload);
-      const assistantMsg = response.data.message;
+      const response = await provider.chat(model, currentMessages, { ...options, tools });
+      let assistantMsg = response.message;
 
       if (assistantMsg.tool_calls && assistantMsg.tool_calls.length > 0) {
         console.log(`[Tools] Assistant requested ${assistantMsg.tool_calls.length} tool call(s)`);
 
         // Add assistant message with tool calls
+        assistantMsg = assignToolCallIds(assistantMsg);
         currentMessages.push(assistantMsg);
 
         // Execute tools in parallel
-        const results = await processToolCalls(assistantMsg.tool_calls, githubToken, linearApiKey);
+        const results = await processToolCalls(assistantMsg.tool_calls, githubToken, linearApiKey, toolContext);
         allToolResults.push(...results);
+        toolMessages.push(assistantMsg, ...results);
 
         // Add tool results to messages
         for (const result of results) {
-          currentMessages.push({
-            role: 'tool',
-            content: result.content,
-          });
+          currentMessages.push(toToolMessage(result));
+          trace.push(toTraceEntry(iterations, result));
+        }
+
+        const denied = results.find((r) => r.denied);
+        if (denied) {
+          console.log(`[Tools] Loop stopped, ${denied.name} was not approved`);
+          return {
+            message: deniedMessage(denied),
+            toolResults: allToolResults,
+            toolMessages,
+            trace,
+            iterations,
+            totalDuration: response.total_duration,
+            evalCount: response.eval_count,
+            stoppedReason: 'approval_denied',
+          };
         }
+
+        await refreshSystemPrompt(currentMessages, assistantMsg.tool_calls, context);
       } else {
         // No tool calls - we have the final answer
         console.log(`[Tools] Chat completed after ${iterations} iteration(s)`);
         return {
           message: assistantMsg.content || '',
           toolResults: allToolResults,
+          toolMessages,
+          trace,
           iterations,
-          totalDuration: response.data.total_duration,
-          evalCount: response.data.eval_count,
+          totalDuration: response.total_duration,
+          evalCount: response.eval_count,
         };
       }
     } catch (error) {
@@ -194,14 +399,233 @@ async function chatWithTools(
   return {
     message: lastMessage?.content || 'Max tool iterations reached',
     toolResults: allToolResults,
+    toolMessages,
+    trace,
+    iterations,
+    maxIterationsReached: true,
+  };
+}
+
+/**
+ * Consume a provider chat stream and assemble the assistant message
+ * @param {Object} provider - LLM provider from provider-registry
+ * @param {string} model - Model name
+ * @param {Array} messages - Conversation messages
+ * @param {Object} options - Chat options incl. tools
+ * @param {Function} onToken - Called with every content chunk as it arrives
+ * @param {AbortSignal} signal - Optional; aborting stops the provider stream
+ * @returns {Promise<Object>} Assembled assistant message plus final metadata;
+ *   aborted is true if the signal fired before the stream completed
+ */
+async function streamChatCompletion(provider, model, messages, options, onToken, signal) {
+  const { stream, abort } = await provider.chatStream(model, messages, options);
+  let content = '';
+  const toolCalls = [];
+  let finalChunk = {};
+
+  const onAbort = () => abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  if (signal?.aborted) abort();
+
+  try {
+    for await (const chunk of stream) {
+      if (signal?.aborted) break;
+      if (chunk.message?.content) {
+        content += chunk.message.content;
+        onToken(chunk.message.content);
+      }
+      if (chunk.message?.tool_calls) {
+        toolCalls.push(...chunk.message.tool_calls);
+      }
+      if (chunk.done) {
+        finalChunk = chunk;
+      }
+    }
+  } catch (error) {
+    // Aborting the fetch makes the body reader throw; that is the expected end
+    if (!signal?.aborted) throw error;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+  }
+
+  const aborted = Boolean(signal?.aborted);
+  return {
+    message: {
+      role: 'assistant',
+      content,
+      // Tool calls of an interrupted stream may be incomplete, never run them
+      ...(toolCalls.length > 0 && !aborted ? { tool_calls: toolCalls } : {}),
+    },
+    totalDuration: finalChunk.total_duration,
+    evalCount: finalChunk.eval_count,
+    aborted,
+  };
+}
+
+/**
+ * Streaming variant of the tool-calling loop.
+ * Tokens are forwarded as they arrive; tool activity is reported via events.
+ * @param {Object} provider - LLM provider from provider-registry (chat/chatStream)
+ * @param {string} model - Model name (without provider prefix)
+ * @param {Array} messages - Initial conversation messages
+ * @param {Array} tools - Available tool definitions
+ * @param {Object} options - Chat options (temperature, maxTokens)
+ * @param {string} githubToken - GitHub token
+ * @param {string} linearApiKey - Linear API key
+ * @param {number} maxIterations - Maximum tool calling iterations
+ * @param {Function} onEvent - Called as onEvent(type, data) for 'token', 'tool_call_started' and 'tool_result'
+ * @param {Object} context - Execution context ({ agent, conversationId, rebuildSystemPrompt, requestApproval, signal })
+ * @returns {Promise<Object>} Final response with message, tool results, and metadata.
+ *   If context.signal fires, the loop stops and returns the partial message with cancelled: true
+ */
+async function chatWithToolsStream(
+  provider,
+  model,
+  messages,
+  tools,
+  options,
+  githubToken,
+  linearApiKey,
+  maxIterations = 10,
+  onEvent = () => {},
+  context = {}
+) {
+  let currentMessages = [...messages];
+  const allToolResults = [];
+  const toolMessages = [];
+  const trace = [];
+  // Only tools offered to the model may run, whatever name it comes up with
+  const toolContext = { ...context, offeredTools: new Set(tools.map((t) => t.function.name)) };
+  let iterations = 0;
+  let totalDuration = 0;
+  let evalCount = 0;
+
+  console.log(`[Tools] Starting streaming chat with tools loop (max ${maxIterations} iterations)...`);
+
+  const cancelled = (message) => {
+    console.log(`[Tools] Streaming chat cancelled in iteration ${iterations}`);
+    return {
+      message,
+      toolResults: allToolResults,
+      toolMessages,
+      trace,
+      iterations,
+      totalDuration,
+      evalCount,
+      stoppedReason: 'cancelled',
+      cancelled: true,
+    };
+  };
+
+  while (iterations < maxIterations) {
+    // Cancelled while tools were running: stop before the next model call
+    if (context.signal?.aborted) return cancelled('');
+
+    iterations++;
+    console.log(`[Tools] Iteration ${iterations}/${maxIterations} (stream)`);
+
+    try {
+      const response = await streamChatCompletion(provider, model, currentMessages, { ...options, tools }, (chunk) => {
+        onEvent('token', { chunk, iteration: iterations });
+      }, context.signal);
+      let assistantMsg = response.message;
+      totalDuration += response.totalDuration || 0;
+      evalCount += response.evalCount || 0;
+
+      if (response.aborted) return cancelled(assistantMsg.content);
+
+      if (assistantMsg.tool_calls && assistantMsg.tool_calls.length > 0) {
+        console.log(`[Tools] Assistant requested ${assistantMsg.tool_calls.length} tool call(s)`);
+
+        assistantMsg = assignToolCallIds(assistantMsg);
+        currentMessages.push(assistantMsg);
+
+        for (const toolCall of assistantMsg.tool_calls) {
+          onEvent('tool_call_started', {
+            id: toolCall.id,
+            iteration: iterations,
+            name: toolCall.function?.name,
+            arguments: toolCall.function?.arguments,
+          });
+        }
+
+        // Execute tools in parallel; results keep the order of the calls
+        const results = await processToolCalls(assistantMsg.tool_calls, githubToken, linearApiKey, toolContext);
+        allToolResults.push(...results);
+        toolMessages.push(assistantMsg, ...results);
+
+        for (const result of results) {
+          onEvent('tool_result', {
+            id: result.tool_call_id,
+            iteration: iterations,
+            name: result.name,
+            content: result.content,
+            latencyMs: result.duration_ms,
+            error: result.error,
+          });
+          currentMessages.push(toToolMessage(result));
+          trace.push(toTraceEntry(iterations, result));
+        }
+
+        // Cancelled while tools ran or waited for approval
+        if (context.signal?.aborted) return cancelled('');
+
+        const denied = results.find((r) => r.denied);
+        if (denied) {
+          console.log(`[Tools] Loop stopped, ${denied.name} was not approved`);
+          return {
+            message: deniedMessage(denied),
+            toolResults: allToolResults,
+            toolMessages,
+            trace,
+            iterations,
+            totalDuration,
+            evalCount,
+            stoppedReason: 'approval_denied',
+          };
+        }
+
+        await refreshSystemPrompt(currentMessages, assistantMsg.tool_calls, context);
+      } else {
+        console.log(`[Tools] Streaming chat completed after ${iterations} iteration(s)`);
+        return {
+          message: assistantMsg.content || '',
+          toolResults: allToolResults,
+          toolMessages,
+          trace,
+          iterations,
+          totalDuration,
+          evalCount,
+        };
+      }
+    } catch (error) {
+      console.error(`[Tools] Error in iteration ${iterations}:`, error.message);
+      throw error;
+    }
+  }
+
+  console.warn(`[Tools] Max iterations (${maxIterations}) reached without final answer`);
+  const lastMessage = currentMessages[currentMessages.length - 1];
+  return {
+    message: lastMessage?.content || 'Max tool iterations reached',
+    toolResults: allToolResults,
+    toolMessages,
+    trace,
     iterations,
+    totalDuration,
+    evalCount,
     maxIterationsReached: true,
   };
 }
 
 module.exports = {
+  PERMISSION_MODES,
+  DEFAULT_PERMISSION_MODE,
+  getToolAccess,
+  authorizeToolCall,
   getAvailableTools,
   executeTool,
   processToolCalls,
   chatWithTools,
+  chatWithToolsStream,
 };
@@ -0,0 +1,128 @@
+const github = require('./github-client');
+const linear = require('./linear-client');
+const memory = require('./memory-tools');
+const web = require('./web-tools');
+const tasks = require('./task-delegation');
+
+/**
+ * Tool-Registry: uebersetzt lettaConfig.allowedTools in konkrete Tools.
+ *
+ * allowedTools enthaelt Capability-Namen aus den Profilen (Read, Grep, memory,
+ * fetch_webpage, ...) oder explizite Tool-Namen (github_create_issue) bzw.
+ * Praefixe mit Stern (linear_*). Capabilities ohne Implementierung bleiben
+ * erlaubt, liefern aber keine Tools und werden in GET /api/agents/:id als
+ * nicht unterstuetzt gemeldet.
+ */
+
+// Tool-Quellen; credential = benoetigtes Token ('github' | 'linear')
+const TOOL_SOURCES = [
+  { name: 'memory', tools: memory.tools },
+  { name: 'web', tools: web.tools },
+  { name: 'task', tools: tasks.tools },
+  { name: 'github', credential: 'github', tools: github.tools },
+  { name: 'linear', credential: 'linear', tools: linear.tools },
+];
+
+// Capability-Name aus den Profilen -> konkrete Tool-Namen
+const CAPABILITIES = {
+  Read: ['github_get_file', 'github_list_files', 'github_get_repo', 'github_list_branches', 'github_list_repos', 'github_search_repos'],
+  Glob: ['github_list_files'],
+  Grep: ['github_search_code'],
+  Write: ['github_create_or_update_file'],
+  Edit: ['github_create_or_update_file'],
+  fetch_webpage: ['fetch_webpage'],
+  memory: ['memory_replace', 'memory_append'],
+  web_search: [],
+  Bash: [],
+  Task: ['task_delegate'],
+  AskUserQuestion: [],
+};
+
+const TOOLS_BY_NAME = new Map();
+for (const source of TOOL_SOURCES) {
+  for (const tool of source.tools) {
+    TOOLS_BY_NAME.set(tool.function.name, { tool, source });
+  }
+}
+
+/**
+ * Konkrete Tool-Namen fuer einen Eintrag aus allowedTools.
+ * @param {string} entry - Capability, Tool-Name oder Praefix mit '*'
+ * @returns {string[]}
+ */
+function expandEntry(entry) {
+  if (Object.prototype.hasOwnProperty.call(CAPABILITIES, entry)) {
+    return CAPABILITIES[entry];
+  }
+  if (entry.endsWith('*')) {
+    const prefix = entry.slice(0, -1);
+    return Array.from(TOOLS_BY_NAME.keys()).filter((name) => name.startsWith(prefix));
+  }
+  return TOOLS_BY_NAME.has(entry) ? [entry] : [];
+}
+
+/**
+ * Ist ein Eintrag aus allowedTools bekannt (Capability, Tool-Name oder
+ * Praefix, der mindestens ein Tool trifft)?
+ * @param {string} entry
+ * @returns {boolean}
+ */
+function isKnownEntry(entry) {
+  return Object.prototype.hasOwnProperty.call(CAPABILITIES, entry) || expandEntry(entry).length > 0;
+}
+
+/**
+ * Erlaubte Tool-Namen fuer ein Agent-Profil.
+ * @param {string[]} allowedTools - lettaConfig.allowedTools
+ * @returns {Set<string>}
+ */
+function resolveAllowedTools(allowedTools = []) {
+  return new Set(allowedTools.flatMap(expandEntry));
+}
+
+/**
+ * Welche deklarierten Tools sind tatsaechlich implementiert?
+ * @param {string[]} allowedTools - lettaConfig.allowedTools
+ * @returns {Array} [{ name, backed, tools, requires }]
+ */
+function describeAllowedTools(allowedTools = []) {
+  return allowedTools.map((entry) => {
+    const tools = expandEntry(entry);
+    const requires = Array.from(new Set(
+      tools.map((name) => TOOLS_BY_NAME.get(name).source.credential).filter(Boolean)
+    ));
+    return { name: entry, backed: tools.length > 0, tools, requires };
+  });
+}
+
+/**
+ * Tool-Definitionen fuer einen Request.
+ * @param {Object} credentials - { github: token, linear: apiKey }
+ * @param {string[]|undefined} allowedTools - lettaConfig.allowedTools; ohne Liste alle Tools
+ * @returns {Array} Tool-Definitionen im Ollama-Format
+ */
+function getTools(credentials = {}, allowedTools) {
+  const allowed = Array.isArray(allowedTools) ? resolveAllowedTools(allowedTools) : null;
+  return TOOL_SOURCES
+    .filter((source) => !source.credential || credentials[source.credential])
+    .flatMap((source) => source.tools)
+    .filter((tool) => !allowed || allowed.has(tool.function.name));
+}
+
+/**
+ * Tool-Definitionen nach Namen (z.B. fuer exportierte Verlaeufe); unbekannte Namen fehlen.
+ * @param {string[]} names
+ * @returns {Array} Tool-Definitionen im Ollama-Format
+ */
+function getToolDefinitions(names) {
+  return names.filter((name) => TOOLS_BY_NAME.has(name)).map((name) => TOOLS_BY_NAME.get(name).tool);
+}
+
+module.exports = {
+  CAPABILITIES,
+  isKnownEntry,
+  resolveAllowedTools,
+  describeAllowedTools,
+  getTools,
+  getToolDefinitions,
+};
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const agentLoader = require('./agent-loader');
+
+/**
+ * Agent-Profile pruefen, ohne den Server zu starten (z.B. als pre-commit-Hook).
+ *
+ *   node validate-agents.js                  # AGENT_DIR (Standard /agents)
+ *   node validate-agents.js ../agents        # alle *.json in einem Verzeichnis
+ *   node validate-agents.js ../agents/meta-code_OPTIMIZED_v2.json   # einzelne Dateien
+ *
+ * Optionen:
+ *   --strict  Warnungen (z.B. unbekannte Ziele) ebenfalls als Fehler werten
+ *   --json    Ergebnis als JSON ausgeben
+ *
+ * Exit-Code 1 bei Fehlern (mit --strict auch bei Warnungen), sonst 0.
+ * Verweise zwischen Profilen werden nur innerhalb der geprueften Dateien
+ * aufgeloest - fuer die Ziel-Pruefung also das ganze Verzeichnis angeben.
+ */
+
+function collectFiles(targets) {
+  const files = [];
+  for (const target of targets) {
+    if (fs.statSync(target).isDirectory()) {
+      files.push(...fs.readdirSync(target)
+        .filter((f) => f.endsWith('.json'))
+        .sort()
+        .map((f) => path.join(target, f)));
+    } else {
+      files.push(target);
+    }
+  }
+  return files;
+}
+
+function main(argv) {
+  const flags = new Set(argv.filter((a) => a.startsWith('--')));
+  const targets = argv.filter((a) => !a.startsWith('--'));
+  if (targets.length === 0) targets.push(agentLoader.AGENT_DIR);
+
+  let files;
+  try {
+    files = collectFiles(targets.map((t) => path.resolve(t)));
+  } catch (err) {
+    console.error(`Pfad nicht lesbar: ${err.message}`);
+    return 2;
+  }
+
+  const entries = agentLoader.readFiles(files);
+  const errors = entries.reduce((sum, e) => sum + e.errors.length, 0);
+  const warnings = entries.reduce((sum, e) => sum + e.warnings.length, 0);
+  const failed = errors > 0 || (flags.has('--strict') && warnings > 0);
+
+  if (flags.has('--json')) {
+    console.log(JSON.stringify({
+      valid: !failed,
+      files: entries.map(({ file, config, errors: e, warnings: w }) => ({
+        file, agentId: config?.id ?? null, errors: e, warnings: w,
+      })),
+    }, null, 2));
+    return failed ? 1 : 0;
+  }
+
+  for (const entry of entries) {
+    if (entry.errors.length === 0 && entry.warnings.length === 0) continue;
+    console.log(`${entry.file}${entry.config?.id ? ` (${entry.config.id})` : ''}`);
+    for (const error of entry.errors) console.log(`  Fehler:  ${error}`);
+    for (const warning of entry.warnings) console.log(`  Warnung: ${warning}`);
+  }
+  console.log(`${entries.length} Profile geprueft: ${errors} Fehler, ${warnings} Warnungen`);
+  return failed ? 1 : 0;
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Voice-Policies fuer Call-Agents.
+ *
+ * Profile verweisen ueber voicePolicyRef (z.B. "global.voice.human_v1") auf
+ * eine Datei in data/voice-policies/<ref>.json. Die Policy beschreibt den
+ * Sprechstil; ihre rules (maxSentences, maxQuestions) sind die Vorgabe fuer
+ * die Regelpruefung der Call-Simulation.
+ */
+
+const VOICE_POLICY_DIR = process.env.VOICE_POLICY_DIR || path.join(__dirname, 'data', 'voice-policies');
+
+// ref -> Policy (null wenn die Datei fehlt)
+const cache = new Map();
+
+/**
+ * Policy zu einer Referenz laden (gecacht).
+ * @param {string} ref - z.B. "global.voice.human_v1"
+ * @returns {Object|null} Policy oder null wenn unbekannt
+ */
+function getVoicePolicy(ref) {
+  if (!ref || !/^[\w.-]+$/.test(ref)) return null;
+  if (!cache.has(ref)) {
+    const file = path.join(VOICE_POLICY_DIR, `${ref}.json`);
+    try {
+      cache.set(ref, JSON.parse(fs.readFileSync(file, 'utf-8')));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`[VoicePolicies] ${ref} konnte nicht geladen werden:`, err.message);
+      }
+      cache.set(ref, null);
+    }
+  }
+  return cache.get(ref);
+}
+
+/**
+ * Verfuegbare Policy-Referenzen (Dateinamen ohne .json).
+ * @returns {string[]}
+ */
+function listVoicePolicies() {
+  if (!fs.existsSync(VOICE_POLICY_DIR)) return [];
+  return fs.readdirSync(VOICE_POLICY_DIR)
+    .filter((f) => f.endsWith('.json'))
+    .map((f) => f.slice(0, -'.json'.length))
+    .sort();
+}
+
+module.exports = {
+  VOICE_POLICY_DIR,
+  getVoicePolicy,
+  listVoicePolicies,
+};
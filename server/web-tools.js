@@ -0,0 +1,192 @@
+const axios = require('axios');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const MAX_DOWNLOAD_BYTES = 5 * 1024 * 1024;
+const DEFAULT_MAX_LENGTH = 20000;
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local and other non-public ranges are not reachable through this tool
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 (::ffff:a.b.c.d); as its own list, because BlockList also matches plain IPv4 against it
+const MAPPED_IPV4 = new net.BlockList();
+MAPPED_IPV4.addSubnet('::ffff:0:0', 96, 'ipv6');
+
+function isBlockedAddress(address, family) {
+  if (family === 6) return MAPPED_IPV4.check(address, 'ipv6') || BLOCKED_ADDRESSES.check(address, 'ipv6');
+  return BLOCKED_ADDRESSES.check(address, 'ipv4');
+}
+
+/**
+ * Resolve a host and make sure every address it resolves to is public
+ * @param {string} hostname - URL hostname (IPv6 in brackets)
+ * @returns {Promise<{address: string, family: number}>} Address to connect to
+ */
+async function resolvePublicAddress(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw new Error(`Host '${hostname}' could not be resolved: ${error.code || error.message}`);
+  }
+  const blocked = addresses.some(({ address, family }) => isBlockedAddress(address, family));
+  if (addresses.length === 0 || blocked) {
+    throw new Error(`Host '${hostname}' is not allowed`);
+  }
+  return addresses[0];
+}
+
+/**
+ * HTTP(S) agent that connects only to the already checked address,
+ * so a second DNS answer cannot point the request somewhere else
+ */
+function pinnedAgent(protocol, { address, family }) {
+  const lookup = (hostname, options, callback) => {
+    if (options.all) callback(null, [{ address, family }]);
+    else callback(null, address, family);
+  };
+  return protocol === 'https:' ? new https.Agent({ lookup }) : new http.Agent({ lookup });
+}
+
+/**
+ * Reduce an HTML document to readable text
+ * @param {string} html - Raw HTML
+ * @returns {{title: string, text: string}} Page title and text content
+ */
+function htmlToText(html) {
+  const title = (/<title[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1] || '').trim();
+  const text = html
+    .replace(/<(script|style|noscript|svg)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<(br|\/p|\/div|\/li|\/h\d|\/tr)[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+  return { title, text };
+}
+
+/**
+ * Fetch a web page and return its text content
+ * @param {string} url - http(s) URL
+ * @param {number} maxLength - Maximum number of characters to return
+ * @returns {Promise<object>} Page content or error
+ */
+async function fetch_webpage(url, maxLength = DEFAULT_MAX_LENGTH) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { error: `Invalid URL: ${url}` };
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return { error: 'Only http and https URLs are supported' };
+  }
+
+  try {
+    // Redirects are followed by hand so every hop goes through the address check
+    let response;
+    for (let hop = 0; ; hop++) {
+      const agent = pinnedAgent(parsed.protocol, await resolvePublicAddress(parsed.hostname));
+      response = await axios.get(parsed.toString(), {
+        timeout: 15000,
+        maxContentLength: MAX_DOWNLOAD_BYTES,
+        maxRedirects: 0,
+        validateStatus: (status) => status >= 200 && status < 400,
+        responseType: 'text',
+        httpAgent: agent,
+        httpsAgent: agent,
+        proxy: false,
+        headers: { 'User-Agent': 'Letta-Agent-Server' }
+      });
+      if (response.status < 300 || !response.headers.location) break;
+      if (hop >= MAX_REDIRECTS) {
+        return { error: `Too many redirects (more than ${MAX_REDIRECTS})` };
+      }
+      parsed = new URL(response.headers.location, parsed);
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return { error: `Redirect to unsupported URL: ${parsed.toString()}` };
+      }
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+    const { title, text } = contentType.includes('html') ? htmlToText(body) : { title: '', text: body };
+    const limit = Number.isInteger(maxLength) && maxLength > 0 ? maxLength : DEFAULT_MAX_LENGTH;
+
+    return {
+      url: parsed.toString(),
+      status: response.status,
+      contentType,
+      title,
+      content: text.substring(0, limit),
+      truncated: text.length > limit
+    };
+  } catch (error) {
+    return { error: error.response ? `HTTP ${error.response.status}` : error.message };
+  }
+}
+
+/**
+ * Ollama-compatible tool definitions for function calling
+ */
+const tools = [
+  {
+    type: 'function',
+    function: {
+      name: 'fetch_webpage',
+      description: 'Fetch a public web page and return its readable text content',
+      parameters: {
+        type: 'object',
+        properties: {
+          url: {
+            type: 'string',
+            description: 'Absolute http(s) URL of the page'
+          },
+          maxLength: {
+            type: 'number',
+            description: 'Maximum number of characters to return (default: 20000)'
+          }
+        },
+        required: ['url']
+      }
+    }
+  }
+];
+
+/**
+ * Execute a web function by name
+ * @param {string} name - Function name
+ * @param {object} args - Function arguments
+ * @returns {Promise<object>} Function result or error
+ */
+async function executeFunction(name, args) {
+  switch (name) {
+    case 'fetch_webpage':
+      return await fetch_webpage(args.url, args.maxLength);
+
+    default:
+      return { error: `Unknown function: ${name}` };
+  }
+}
+
+module.exports = {
+  tools,
+  executeFunction
+};